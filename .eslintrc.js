@@ -1,7 +1,7 @@
 module.exports = {
   "root": true,
   "parserOptions": {
-    "ecmaVersion": 8,
+    "ecmaVersion": 9,
   },
   "env": {
     "node": true,
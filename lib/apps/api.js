@@ -10,12 +10,10 @@
 'use strict';
 
 const autoBind = require('auto-bind');
-const fs = require('fs');
 const urljoin = require('url-join');
 
 const api = require('../users/api.js');
 const auth = require('./auth.js');
-const requests = require('../users/requests.js');
 
 /**
  * Main class for managing an application session with the Voxel51 Platform
@@ -46,10 +44,12 @@ class ApplicationAPI extends api.API {
    * @param {string} [token=null] - an optional ApplicationToken to use. If no
    *   token is provided, the strategy described above is used to locate the
    *   active token
+   * @param {object} [options={}] - optional settings for the session. See
+   *   the API constructor for details
    */
-  constructor(token=null) {
+  constructor(token=null, options={}) {
     token = token || auth.loadApplicationToken();
-    super(token);
+    super(token, options);
     this.activeUser = null;
     autoBind(this);
   }
@@ -82,11 +82,13 @@ class ApplicationAPI extends api.API {
    * file.
    *
    * @param {string} tokenPath - the path to an ApplicationToken JSON file
+   * @param {object} [options={}] - optional settings for the session. See
+   *   the API constructor for details
    * @return {ApplicationAPI} an ApplicationAPI instance
    */
-  static fromJSON(tokenPath) {
+  static fromJSON(tokenPath, options={}) {
     let token = auth.loadApplicationToken(tokenPath);
-    return new ApplicationAPI(token);
+    return new ApplicationAPI(token, options);
   }
 
   //
@@ -106,13 +108,15 @@ class ApplicationAPI extends api.API {
    * @async
    * @param {boolean} [allVersions=false] - whether to return all versions of
    *   each analytic or only the latest version
+   * @param {object} [options={}] - optional request options
    * @return {Array} an array of objects describing the analytics
    * @throws {APIError} if the request was unsuccessful
    */
-  async listAnalytics(allVersions=false) {
+  async listAnalytics(allVersions=false, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'analytics', 'list');
     let params = {all_versions: allVersions};
-    let body = await requests.get(uri, this.header_, {qs: params});
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options, {qs: params}));
     return JSON.parse(body).analytics;
   }
 
@@ -122,14 +126,16 @@ class ApplicationAPI extends api.API {
    * @async
    * @param {AnalyticsQuery} analyticsQuery An AnalyticsQuery instance defining
    *   the customized analytics query to perform
+   * @param {object} [options={}] - optional request options
    * @return {object} an object containing the query results and total number
    *   of records
    * @throws {APIError} if the request was unsuccessful
    */
-  async queryAnalytics(analyticsQuery) {
+  async queryAnalytics(analyticsQuery, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'analytics');
-    let body = await requests.get(
-      uri, this.header_, {qs: analyticsQuery.toObject()});
+    let params = analyticsQuery.toObject();
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options, {qs: params}));
     return JSON.parse(body);
   }
 
@@ -138,12 +144,14 @@ class ApplicationAPI extends api.API {
    *
    * @async
    * @param {string} analyticId - the analytic ID
+   * @param {object} [options={}] - optional request options
    * @return {object} metadata about the analytic
    * @throws {APIError} if the request was unsuccessful
    */
-  async getAnalyticDetails(analyticId) {
+  async getAnalyticDetails(analyticId, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'analytics', analyticId);
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).analytic;
   }
 
@@ -152,12 +160,14 @@ class ApplicationAPI extends api.API {
    *
    * @async
    * @param {string} analyticId - the analytic ID
+   * @param {object} [options={}] - optional request options
    * @return {object} an object containing the analytic documentation
    * @throws {APIError} if the request was unsuccessful
    */
-  async getAnalyticDoc(analyticId) {
+  async getAnalyticDoc(analyticId, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'analytics', analyticId, 'doc');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body);
   }
 
@@ -169,22 +179,30 @@ class ApplicationAPI extends api.API {
    * for a description of the JSON format to use.
    *
    * @async
-   * @param {string} docJSONPath - the path to the analytic JSON
+   * @param {string|Blob} docJSONPath - the path to the analytic JSON. When
+   *   using a transport that supports them, a Blob, File, or ReadableStream
+   *   containing the JSON may be provided instead
    * @param {AnalyticType} [analyticType=undefined] - the type of analytic that
    *  you are uploading. If not specified, it is assumed that you are uploading
    *  a standard platform analytic
+   * @param {object} [options={}] - optional request options, including the
+   *   `onProgress` option
    * @return {object} an object containing metadata about the posted analytic
    * @throws {APIError} if the request was unsuccessful
    */
-  async uploadAnalytic(docJSONPath, analyticType=undefined) {
+  async uploadAnalytic(docJSONPath, analyticType=undefined, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'analytics');
-    let formData = {
-      file: fs.createReadStream(docJSONPath),
+    let tracker = this.progressTracker_(options);
+    let formData = () => {
+      let data = {file: this.fileData_(docJSONPath, tracker)};
+      if (analyticType) {
+        data['analytic_type'] = analyticType.toString();
+      }
+      return data;
     };
-    if (analyticType) {
-      formData['analytic_type'] = analyticType.toString();
-    }
-    let body = await requests.post(uri, this.header_, {formData: formData});
+    let body = await this.session_.post(
+      uri, this.header_, this.requestOptions_(options, {formData}));
+    this.finishProgress_(tracker);
     return JSON.parse(body).analytic;
   }
 
@@ -199,17 +217,22 @@ class ApplicationAPI extends api.API {
    *
    * @async
    * @param {string} analyticId - the analytic ID
-   * @param {string} imageTarPath - the path to the image tarfile
+   * @param {string|Blob} imageTarPath - the path to the image tarfile. When
+   *   using a transport that supports them, a Blob, File, or ReadableStream
+   *   containing the tarfile may be provided instead
    * @param {string} imageType - the image computation type, 'cpu' or 'gpu'
+   * @param {object} [options={}] - optional request options, including the
+   *   `onProgress` option
    * @throws {APIError} if the request was unsuccessful
    */
-  async uploadAnalyticImage(analyticId, imageTarPath, imageType) {
+  async uploadAnalyticImage(analyticId, imageTarPath, imageType, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'analytics', analyticId, 'images');
-    let formData = {
-      file: fs.createReadStream(imageTarPath),
-    };
+    let tracker = this.progressTracker_(options);
+    let formData = () => ({file: this.fileData_(imageTarPath, tracker)});
     let params = {type: imageType};
-    await requests.post(uri, this.header_, {formData: formData, qs: params});
+    await this.session_.post(
+      uri, this.header_, this.requestOptions_(options, {formData, qs: params}));
+    this.finishProgress_(tracker);
   }
 
   /**
@@ -218,11 +241,13 @@ class ApplicationAPI extends api.API {
    *
    * @async
    * @param {string} analyticId - the analytic ID
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async deleteAnalytic(analyticId) {
+  async deleteAnalytic(analyticId, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'analytics', analyticId);
-    await requests.delete(uri, this.header_);
+    await this.session_.delete(
+      uri, this.header_, this.requestOptions_(options));
   }
 
   // DATA
@@ -235,17 +260,44 @@ class ApplicationAPI extends api.API {
    * @async
    * @param {DataQuery} dataQuery A DataQuery instance defining the customized
    *   data query to perform
+   * @param {object} [options={}] - optional request options
    * @return {object} an object containing the query results and total number
    *   of records
    * @throws {APIError} if the request was unsuccessful
    */
-  async queryApplicationData(dataQuery) {
+  async queryApplicationData(dataQuery, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'data');
-    let body = await requests.get(
-      uri, this.header_, {qs: dataQuery.toObject()});
+    let params = dataQuery.toObject();
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options, {qs: params}));
     return JSON.parse(body);
   }
 
+  /**
+   * Iterates over the results of a customized data query at the application
+   * level, fetching pages of results as necessary.
+   *
+   * Consecutive pages overlap by one record, and records are identified by
+   * their IDs, so that records that shift between pages because records were
+   * added or removed during iteration are neither skipped nor yielded twice.
+   *
+   * @param {DataQuery} dataQuery - a DataQuery instance defining the customized
+   *   data query to perform. The offset of the query, if any, is the offset
+   *   of the first result
+   * @param {object} [options={}] - optional request options
+   * @param {number} [options.pageSize=100] - the number of records to fetch
+   *   per request. By default, the limit of the query is used, if it is set
+   * @param {number} [options.maxResults=undefined] - an optional maximum
+   *   number of results to yield
+   * @return {AsyncGenerator} an async generator that yields the records
+   *   matching the query. The generator throws an `APIError` if a request
+   *   is unsuccessful
+   */
+  iterateApplicationData(dataQuery, options={}) {
+    return this.iterateQuery_(
+      dataQuery, 'data', this.queryApplicationData, options);
+  }
+
   // JOBS
 
   /**
@@ -256,17 +308,44 @@ class ApplicationAPI extends api.API {
    * @async
    * @param {JobsQuery} jobsQuery A JobsQuery instance defining the customized
    *   jobs query to perform
+   * @param {object} [options={}] - optional request options
    * @return {object} an object containing the query results and total number
    *   of records
    * @throws {APIError} if the request was unsuccessful
    */
-  async queryApplicationJobs(jobsQuery) {
+  async queryApplicationJobs(jobsQuery, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'jobs');
-    let body = await requests.get(
-      uri, this.header_, {qs: jobsQuery.toObject()});
+    let params = jobsQuery.toObject();
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options, {qs: params}));
     return JSON.parse(body);
   }
 
+  /**
+   * Iterates over the results of a customized jobs query at the application
+   * level, fetching pages of results as necessary.
+   *
+   * Consecutive pages overlap by one record, and records are identified by
+   * their IDs, so that records that shift between pages because records were
+   * added or removed during iteration are neither skipped nor yielded twice.
+   *
+   * @param {JobsQuery} jobsQuery - a JobsQuery instance defining the customized
+   *   jobs query to perform. The offset of the query, if any, is the offset
+   *   of the first result
+   * @param {object} [options={}] - optional request options
+   * @param {number} [options.pageSize=100] - the number of records to fetch
+   *   per request. By default, the limit of the query is used, if it is set
+   * @param {number} [options.maxResults=undefined] - an optional maximum
+   *   number of results to yield
+   * @return {AsyncGenerator} an async generator that yields the records
+   *   matching the query. The generator throws an `APIError` if a request
+   *   is unsuccessful
+   */
+  iterateApplicationJobs(jobsQuery, options={}) {
+    return this.iterateQuery_(
+      jobsQuery, 'jobs', this.queryApplicationJobs, options);
+  }
+
   // USERS
 
   /**
@@ -274,23 +353,27 @@ class ApplicationAPI extends api.API {
    *
    * @async
    * @param {string} username - a username for the new user
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async createUser(username) {
+  async createUser(username, options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'users');
-    await requests.post(uri, this.header_, {json: true, body: {username}});
+    await this.session_.post(uri, this.header_,
+      this.requestOptions_(options, {json: true, body: {username}}));
   }
 
   /**
    * Returns a list of all application users.
    *
    * @async
+   * @param {object} [options={}] - optional request options
    * @return {Array} an array of usernames of the application users
    * @throws {APIError} if the request was unsuccessful
    */
-  async listUsers() {
+  async listUsers(options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'users', 'list');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).users;
   }
 
@@ -299,11 +382,13 @@ class ApplicationAPI extends api.API {
   /**
    * Gets the current status of the platform.
    *
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object describing the status of the platform
    */
-  async getPlatformStatus() {
+  async getPlatformStatus(options={}) {
     let uri = urljoin(this.baseURL, 'apps', 'status', 'all');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).statuses;
   }
 }
@@ -11,8 +11,15 @@ exports.users = {
   api: require('./users/api.js'),
   auth: require('./users/auth.js'),
   jobs: require('./users/jobs.js'),
+  manifests: require('./users/manifests.js'),
+  models: require('./users/models.js'),
+  pipelines: require('./users/pipelines.js'),
+  progress: require('./users/progress.js'),
   query: require('./users/query.js'),
+  requests: require('./users/requests.js'),
+  transports: require('./users/transports.js'),
   utils: require('./users/utils.js'),
+  watcher: require('./users/watcher.js'),
 };
 
 exports.apps = {
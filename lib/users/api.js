@@ -10,16 +10,27 @@
 'use strict';
 
 const autoBind = require('auto-bind');
+const crypto = require('crypto');
 const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
 const urljoin = require('url-join');
 
 const auth = require('./auth.js');
 const jobs = require('./jobs.js');
+const manifests = require('./manifests.js');
+const models = require('./models.js');
 const requests = require('./requests.js');
 const query = require('./query.js');
+const progress = require('./progress.js');
 const utils = require('./utils.js');
+const watcher = require('./watcher.js');
 
-const APIError = requests.APIError;
+const ValidationError = requests.ValidationError;
+
+const DEFAULT_PAGE_SIZE = 100;
+
+const DEFAULT_SUBMIT_CONCURRENCY = 4;
 
 /**
  * Enum describing the possible types of analytics.
@@ -52,6 +63,38 @@ const AnalyticImageType = {
  *     variables
  * (3) Use the `VOXEL51_API_TOKEN` environment variable
  * (4) Load the active token from `~/.voxel51/api-token.json`
+ *
+ * All methods that make requests accept an optional `options` object as their
+ * last argument, which supports the following fields:
+ *
+ * - `timeout`: the maximum number of milliseconds to wait for each underlying
+ *   request. For downloads, the timeout applies until the download response
+ *   is received, not to the transfer of the file itself. Requests that time
+ *   out are rejected with an `APITimeoutError`
+ * - `signal`: an `AbortSignal`-compatible object that cancels the call when
+ *   aborted, in which case it is rejected with an `APIAbortError`. Partially
+ *   downloaded files are removed unless `resume` is set
+ *
+ * Methods that download files additionally support the following fields:
+ *
+ * - `resume`: whether to resume an interrupted download of the same file.
+ *   Downloads are written to `${outputPath}.part` until they complete; when
+ *   this option is set, an existing partial file is completed via a `Range`
+ *   request rather than downloaded from scratch, transfers that are
+ *   interrupted are retried from where they stopped according to the retry
+ *   policy, and partial files are kept when a download fails so that it can
+ *   be resumed later
+ * - `verify`: whether to verify the integrity of the downloaded file against
+ *   the size and content hash reported by the platform, if available, or
+ *   the size reported by the download response otherwise. Files that fail
+ *   verification are removed and a `DownloadVerificationError` is thrown
+ *
+ * Methods that upload or download files also support an `onProgress` field,
+ * which is a callback that is periodically invoked with objects describing the
+ * progress of the transfer. See
+ * {@link module:users/progress~ProgressTracker ProgressTracker} for details.
+ * Uploads of Blobs and Files are reported only when they complete, since their
+ * progress cannot be observed independently of the transport
  */
 class API {
   /**
@@ -61,14 +104,26 @@ class API {
    * @param {string} [token=null] - an optional Token to use. If no token is
    *   provided, the strategy described above is used to locate the active
    *   token
+   * @param {object} [options={}] - optional settings for the session
+   * @param {RetryPolicy|object} [options.retry=undefined] - the policy to use
+   *   when retrying failed requests. May be a RetryPolicy instance or an
+   *   object of options for the RetryPolicy constructor. By default, a
+   *   RetryPolicy with default options is used
+   * @param {Transport} [options.transport=undefined] - the HTTP transport to
+   *   use, e.g., a FetchTransport to send requests with `fetch()`. By
+   *   default, a RequestTransport is used
    */
-  constructor(token=null) {
+  constructor(token=null, options={}) {
     if (!token) {
       token = auth.loadToken();
     }
     this.baseURL = urljoin(token.baseAPIURL, 'v1');
     this.token = token;
     this.header_ = token.getHeader();
+    this.session_ = new requests.Session({
+      retry: options.retry,
+      transport: options.transport,
+    });
     autoBind(this);
   }
 
@@ -76,11 +131,32 @@ class API {
    * Creates an API instance from the given Token JSON file.
    *
    * @param {string} tokenPath - the path to a Token JSON file
+   * @param {object} [options={}] - optional settings for the session. See the
+   *   constructor for details
    * @return {API} an API instance
    */
-  static fromJSON(tokenPath) {
+  static fromJSON(tokenPath, options={}) {
     let token = auth.loadToken(tokenPath);
-    return new API(token);
+    return new API(token, options);
+  }
+
+  /**
+   * Registers a middleware function that intercepts all requests made by this
+   * API instance, including streaming downloads.
+   *
+   * Middleware functions have the signature `middleware(request, next)`,
+   * where `request` describes the outgoing request (its `method`, `uri`,
+   * `headers`, and other options) and may be modified, and `next` is an async
+   * function that sends the request and returns the response or throws the
+   * error. See {@link module:users/requests~Session#use Session.use} for
+   * details.
+   *
+   * @param {function} middleware - an async middleware function
+   * @return {API} this API instance
+   */
+  use(middleware) {
+    this.session_.use(middleware);
+    return this;
   }
 
   // ANALYTICS
@@ -94,13 +170,15 @@ class API {
    * @async
    * @param {boolean} [allVersions=false] - whether to return all versions of
    *   each analytic or only the latest version
+   * @param {object} [options={}] - optional request options
    * @return {Array} an array of objects describing the analytics
    * @throws {APIError} if the request was unsuccessful
    */
-  async listAnalytics(allVersions=false) {
+  async listAnalytics(allVersions=false, options={}) {
     let uri = urljoin(this.baseURL, 'analytics', 'list');
     let params = {all_versions: allVersions};
-    let body = await this.getWithJSONBody_(uri, this.header_, params);
+    let body = await this.getWithJSONBody_(
+      uri, this.header_, params, options);
     return JSON.parse(body).analytics;
   }
 
@@ -110,17 +188,60 @@ class API {
    * @async
    * @param {AnalyticsQuery} analyticsQuery An AnalyticsQuery instance defining
    *   the customized analytics query to perform
+   * @param {object} [options={}] - optional request options
    * @return {object} an object containing the query results and total number
    *   of records
    * @throws {APIError} if the request was unsuccessful
    */
-  async queryAnalytics(analyticsQuery) {
+  async queryAnalytics(analyticsQuery, options={}) {
     let uri = urljoin(this.baseURL, 'analytics');
     let body = await this.getWithJSONBody_(
-      uri, this.header_, analyticsQuery.toObject());
+      uri, this.header_, analyticsQuery.toObject(), options);
     return JSON.parse(body);
   }
 
+  /**
+   * Performs a customized analytics query and returns the results as
+   * Analytic instances.
+   *
+   * @async
+   * @param {AnalyticsQuery} analyticsQuery - an AnalyticsQuery instance
+   *   defining the customized analytics query to perform
+   * @param {object} [options={}] - optional request options
+   * @return {object} an object containing the query results, as Analytic
+   *   instances bound to this API instance, and total number of records
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async queryAnalyticModels(analyticsQuery, options={}) {
+    let result = await this.queryAnalytics(analyticsQuery, options);
+    return toModels_(result, 'analytics', models.Analytic, this);
+  }
+
+  /**
+   * Iterates over the results of a customized analytics query, fetching
+   * pages of results as necessary.
+   *
+   * Consecutive pages overlap by one record, and records are identified by
+   * their IDs, so that records that shift between pages because records were
+   * added or removed during iteration are neither skipped nor yielded twice.
+   *
+   * @param {AnalyticsQuery} analyticsQuery - an AnalyticsQuery instance
+   *   defining the customized analytics query to perform. The offset of the
+   *   query, if any, is the offset of the first result
+   * @param {object} [options={}] - optional request options
+   * @param {number} [options.pageSize=100] - the number of records to fetch
+   *   per request. By default, the limit of the query is used, if it is set
+   * @param {number} [options.maxResults=undefined] - an optional maximum
+   *   number of results to yield
+   * @return {AsyncGenerator} an async generator that yields the records
+   *   matching the query. The generator throws an `APIError` if a request
+   *   is unsuccessful
+   */
+  iterateAnalytics(analyticsQuery, options={}) {
+    return this.iterateQuery_(
+      analyticsQuery, 'analytics', this.queryAnalytics, options);
+  }
+
   /**
    * Gets the ID of the analytic with the given name (and optional version).
    *
@@ -128,10 +249,11 @@ class API {
    * @param {string} name - the name of the analytic
    * @param {string} [version=undefined] - the analytic version. By default,
    *   the latest version of the analytic is returned
+   * @param {object} [options={}] - optional request options
    * @return {string} the ID of the analytic
    * @throws {Error} if the specified analytic was not (uniquely) found
    */
-  async getAnalyticID(name, version=undefined) {
+  async getAnalyticID(name, version=undefined, options={}) {
     let analyticsQuery = new query.AnalyticsQuery();
     analyticsQuery.addFields(['id', 'name', 'version']);
     analyticsQuery.addSearch('name', name);
@@ -141,7 +263,7 @@ class API {
       analyticsQuery.setAllVersions(true);
     }
 
-    let result = await this.queryAnalytics(analyticsQuery);
+    let result = await this.queryAnalytics(analyticsQuery, options);
 
     // Queries match substrings, so we must enforce exact matching manually
     let analytics = result.analytics.filter(
@@ -160,26 +282,44 @@ class API {
    *
    * @async
    * @param {string} analyticId - the analytic ID
+   * @param {object} [options={}] - optional request options
    * @return {object} metadata about the analytic
    * @throws {APIError} if the request was unsuccessful
    */
-  async getAnalyticDetails(analyticId) {
+  async getAnalyticDetails(analyticId, options={}) {
     let uri = urljoin(this.baseURL, 'analytics', analyticId);
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).analytic;
   }
 
+  /**
+   * Gets the analytic with the given ID.
+   *
+   * @async
+   * @param {string} analyticId - the analytic ID
+   * @param {object} [options={}] - optional request options
+   * @return {Analytic} an Analytic instance bound to this API instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async getAnalytic(analyticId, options={}) {
+    let analytic = await this.getAnalyticDetails(analyticId, options);
+    return new models.Analytic(analytic, this);
+  }
+
   /**
    * Gets documentation about the analytic with the given ID.
    *
    * @async
    * @param {string} analyticId - the analytic ID
+   * @param {object} [options={}] - optional request options
    * @return {object} an object containing the analytic documentation
    * @throws {APIError} if the request was unsuccessful
    */
-  async getAnalyticDoc(analyticId) {
+  async getAnalyticDoc(analyticId, options={}) {
     let uri = urljoin(this.baseURL, 'analytics', analyticId, 'doc');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body);
   }
 
@@ -191,22 +331,30 @@ class API {
    * for a description of the JSON format to use.
    *
    * @async
-   * @param {string} docJSONPath - the path to the analytic JSON
+   * @param {string|Blob} docJSONPath - the path to the analytic JSON. When
+   *   using a transport that supports them, a Blob, File, or ReadableStream
+   *   containing the JSON may be provided instead
    * @param {AnalyticType} [analyticType=undefined] - the type of analytic that
    *  you are uploading. If not specified, it is assumed that you are uploading
    *  a standard platform analytic
+   * @param {object} [options={}] - optional request options, including the
+   *   `onProgress` option
    * @return {object} an object containing metadata about the posted analytic
    * @throws {APIError} if the request was unsuccessful
    */
-  async uploadAnalytic(docJSONPath, analyticType=undefined) {
+  async uploadAnalytic(docJSONPath, analyticType=undefined, options={}) {
     let uri = urljoin(this.baseURL, 'analytics');
-    let formData = {
-      file: fs.createReadStream(docJSONPath),
+    let tracker = this.progressTracker_(options);
+    let formData = () => {
+      let data = {file: this.fileData_(docJSONPath, tracker)};
+      if (analyticType) {
+        data['analytic_type'] = analyticType.toString();
+      }
+      return data;
     };
-    if (analyticType) {
-      formData['analytic_type'] = analyticType.toString();
-    }
-    let body = await requests.post(uri, this.header_, {formData: formData});
+    let body = await this.session_.post(
+      uri, this.header_, this.requestOptions_(options, {formData}));
+    this.finishProgress_(tracker);
     return JSON.parse(body).analytic;
   }
 
@@ -221,17 +369,22 @@ class API {
    *
    * @async
    * @param {string} analyticId - the analytic ID
-   * @param {string} imageTarPath - the path to the image tarfile
+   * @param {string|Blob} imageTarPath - the path to the image tarfile. When
+   *   using a transport that supports them, a Blob, File, or ReadableStream
+   *   containing the tarfile may be provided instead
    * @param {AnalyticImageType} imageType - the type of analytic image
+   * @param {object} [options={}] - optional request options, including the
+   *   `onProgress` option
    * @throws {APIError} if the request was unsuccessful
    */
-  async uploadAnalyticImage(analyticId, imageTarPath, imageType) {
+  async uploadAnalyticImage(analyticId, imageTarPath, imageType, options={}) {
     let uri = urljoin(this.baseURL, 'analytics', analyticId, 'images');
-    let formData = {
-      file: fs.createReadStream(imageTarPath),
-    };
+    let tracker = this.progressTracker_(options);
+    let formData = () => ({file: this.fileData_(imageTarPath, tracker)});
     let params = {type: imageType};
-    await requests.post(uri, this.header_, {formData: formData, qs: params});
+    await this.session_.post(
+      uri, this.header_, this.requestOptions_(options, {formData, qs: params}));
+    this.finishProgress_(tracker);
   }
 
   /**
@@ -240,11 +393,13 @@ class API {
    *
    * @async
    * @param {string} analyticId - the analytic ID
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async deleteAnalytic(analyticId) {
+  async deleteAnalytic(analyticId, options={}) {
     let uri = urljoin(this.baseURL, 'analytics', analyticId);
-    await requests.delete(uri, this.header_);
+    await this.session_.delete(
+      uri, this.header_, this.requestOptions_(options));
   }
 
   /**
@@ -252,14 +407,32 @@ class API {
    *
    * @async
    * @param {Array} analyticIds - the analytic IDs
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping analytic IDs to response objects. The
    *   `success` field of each response will be set to `true` on success or
    *   `false` on failure, and the `response` field will contain the analytic
    *   details in the same format as returned by `getAnalyticDetails()`
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchGetAnalyticDetails(analyticIds) {
-    return await this.batchRequest_('analytics', 'details', analyticIds);
+  async batchGetAnalyticDetails(analyticIds, options={}) {
+    return await this.batchRequest_(
+      'analytics', 'details', analyticIds, options);
+  }
+
+  /**
+   * Gets the analytics with the given IDs.
+   *
+   * @async
+   * @param {Array} analyticIds - the analytic IDs
+   * @param {object} [options={}] - optional request options
+   * @return {Object} an object mapping analytic IDs to response objects in the
+   *   same format as returned by `batchGetAnalyticDetails()`, except that the
+   *   `response` field of each successful response is an Analytic instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async batchGetAnalytics(analyticIds, options={}) {
+    let responses = await this.batchGetAnalyticDetails(analyticIds, options);
+    return toBatchModels_(responses, models.Analytic, this);
   }
 
   // DATA
@@ -268,12 +441,14 @@ class API {
    * Returns a list of all uploaded data.
    *
    * @async
+   * @param {object} [options={}] - optional request options
    * @return {Array} an array of objects describing the data
    * @throws {APIError} if the request was unsuccessful
    */
-  async listData() {
+  async listData(options={}) {
     let uri = urljoin(this.baseURL, 'data', 'list');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).data;
   }
 
@@ -283,38 +458,89 @@ class API {
    * @async
    * @param {DataQuery} dataQuery A DataQuery instance defining the customized
    *   data query to perform
+   * @param {object} [options={}] - optional request options
    * @return {object} an object containing the query results and total number
    *   of records
    * @throws {APIError} if the request was unsuccessful
    */
-  async queryData(dataQuery) {
+  async queryData(dataQuery, options={}) {
     let uri = urljoin(this.baseURL, 'data');
     let body = await this.getWithJSONBody_(
-      uri, this.header_, dataQuery.toObject());
+      uri, this.header_, dataQuery.toObject(), options);
     return JSON.parse(body);
   }
 
+  /**
+   * Performs a customized data query and returns the results as Data
+   * instances.
+   *
+   * @async
+   * @param {DataQuery} dataQuery - a DataQuery instance defining the
+   *   customized data query to perform
+   * @param {object} [options={}] - optional request options
+   * @return {object} an object containing the query results, as Data
+   *   instances bound to this API instance, and total number of records
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async queryDataModels(dataQuery, options={}) {
+    let result = await this.queryData(dataQuery, options);
+    return toModels_(result, 'data', models.Data, this);
+  }
+
+  /**
+   * Iterates over the results of a customized data query, fetching pages of
+   * results as necessary.
+   *
+   * Consecutive pages overlap by one record, and records are identified by
+   * their IDs, so that records that shift between pages because records were
+   * added or removed during iteration are neither skipped nor yielded twice.
+   *
+   * @param {DataQuery} dataQuery - a DataQuery instance defining the customized
+   *   data query to perform. The offset of the query, if any, is the offset
+   *   of the first result
+   * @param {object} [options={}] - optional request options
+   * @param {number} [options.pageSize=100] - the number of records to fetch
+   *   per request. By default, the limit of the query is used, if it is set
+   * @param {number} [options.maxResults=undefined] - an optional maximum
+   *   number of results to yield
+   * @return {AsyncGenerator} an async generator that yields the records
+   *   matching the query. The generator throws an `APIError` if a request
+   *   is unsuccessful
+   */
+  iterateData(dataQuery, options={}) {
+    return this.iterateQuery_(dataQuery, 'data', this.queryData, options);
+  }
+
   /**
    * Uploads the given data.
    *
    * @async
-   * @param {string} path - the path to the data file
+   * @param {string|Blob} path - the path to the data file. When using a
+   *   transport that supports them, a Blob, File, or ReadableStream containing
+   *   the data may be provided instead. Note that only Files and file paths
+   *   convey the filename of the data
    * @param {Date|string} [ttl=undefined] - a TTL for the data. If none is
    *   provided, the default TTL is used. If a string is provided, it must be
    *   in ISO 8601 format, e.g., 'YYYY-MM-DDThh:mm:ss.sssZ'. If a non-UTC
    *   timezone is included in the Date or string, it will be respected
+   * @param {object} [options={}] - optional request options, including the
+   *   `onProgress` option
    * @return {object} metadata about the uploaded data
    * @throws {APIError} if the request was unsuccessful
    */
-  async uploadData(path, ttl=undefined) {
-    let formData = {
-      file: fs.createReadStream(path),
+  async uploadData(path, ttl=undefined, options={}) {
+    let tracker = this.progressTracker_(options);
+    let formData = () => {
+      let data = {file: this.fileData_(path, tracker)};
+      if (ttl) {
+        data['data_ttl'] = parseDate_(ttl);
+      }
+      return data;
     };
-    if (ttl) {
-      formData['data_ttl'] = parseDate_(ttl);
-    }
     let uri = urljoin(this.baseURL, 'data');
-    let body = await requests.post(uri, this.header_, {formData: formData});
+    let body = await this.session_.post(
+      uri, this.header_, this.requestOptions_(options, {formData}));
+    this.finishProgress_(tracker);
     return JSON.parse(body).data;
   }
 
@@ -341,11 +567,13 @@ class API {
    *   'YYYY-MM-DDThh:mm:ss.sssZ'. If a non-UTC timezone is included in the
    *   Date or string, it will be respected
    * @param {string} [encoding=undefined] - the encoding of the file
+   * @param {object} [options={}] - optional request options
    * @return {object} metadata about the uploaded data
    * @throws {APIError} if the request was unsuccessful
    */
   async postDataAsURL(
-    url, filename, mimeType, size, expirationDate, encoding=undefined) {
+    url, filename, mimeType, size, expirationDate, encoding=undefined,
+    options={}) {
     let uri = urljoin(this.baseURL, 'data', 'url');
     let bodyData = {
       signed_url: url,
@@ -358,8 +586,8 @@ class API {
       bodyData['encoding'] = encoding;
     }
 
-    let body = await requests.post(
-      uri, this.header_, {json: true, body: bodyData});
+    let body = await this.session_.post(uri, this.header_,
+      this.requestOptions_(options, {json: true, body: bodyData}));
     // the {json: true} option appears to auto-parse the response body
     // so no manual parsing is necessary here!
     return body.data;
@@ -370,15 +598,31 @@ class API {
    *
    * @async
    * @param {string} dataId - the data ID
+   * @param {object} [options={}] - optional request options
    * @return {object} metadata about the data
    * @throws {APIError} if the request was unsuccessful
    */
-  async getDataDetails(dataId) {
+  async getDataDetails(dataId, options={}) {
     let uri = urljoin(this.baseURL, 'data', dataId);
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).data;
   }
 
+  /**
+   * Gets the data with the given ID.
+   *
+   * @async
+   * @param {string} dataId - the data ID
+   * @param {object} [options={}] - optional request options
+   * @return {Data} a Data instance bound to this API instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async getData(dataId, options={}) {
+    let data = await this.getDataDetails(dataId, options);
+    return new models.Data(data, this);
+  }
+
   /**
    * Downloads the data with the given ID.
    *
@@ -387,23 +631,22 @@ class API {
    * @param {string} [outputPath=undefined] - the output path to write to. By
    *   default, the data is written to the current working directory with the
    *   same filename as the uploaded data
+   * @param {object} [options={}] - optional request options, including the
+   *   `resume`, `verify`, and `onProgress` options
    * @return {string} the path to the downloaded data
    * @throws {APIError} if the request was unsuccessful
+   * @throws {DownloadVerificationError} if `verify` is set and the downloaded
+   *   data is corrupt
    */
-  async downloadData(dataId, outputPath=undefined) {
-    if (!outputPath) {
-      let data = await this.getDataDetails(dataId);
-      outputPath = data.name;
+  async downloadData(dataId, outputPath=undefined, options={}) {
+    let expected = {};
+    if (!outputPath || options.verify) {
+      let data = await this.getDataDetails(dataId, options);
+      outputPath = outputPath || data.name;
+      expected = {size: data.size, md5: data.md5, sha256: data.sha256};
     }
-    let stream = fs.createWriteStream(outputPath);
-    stream.on('error', function(err) {
-      throw err;
-    });
-    stream.on('end', function() {
-      return;
-    });
     let uri = urljoin(this.baseURL, 'data', dataId, 'download');
-    await requests.pipe(uri, stream, this.header_);
+    await this.downloadFile_(uri, outputPath, options, expected);
     return outputPath;
   }
 
@@ -412,12 +655,14 @@ class API {
    *
    * @async
    * @param {string} dataId - the data ID
+   * @param {object} [options={}] - optional request options
    * @return {string} a signed URL with read access to download the data
    * @throws {APIError} if the request was unsuccessful
    */
-  async getDataDownloadURL(dataId) {
+  async getDataDownloadURL(dataId, options={}) {
     let uri = urljoin(this.baseURL, 'data', dataId, 'download-url');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).url;
   }
 
@@ -438,9 +683,11 @@ class API {
    *   If a string is provided, it must be in ISO 8601 format, e.g.,
    *   'YYYY-MM-DDThh:mm:ss.sssZ'. If a non-UTC timezone is included in the
    *   Date or string, it will be respected
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async updateDataTTL(dataId, days=undefined, expirationDate=undefined) {
+  async updateDataTTL(
+    dataId, days=undefined, expirationDate=undefined, options={}) {
     let uri = urljoin(this.baseURL, 'data', dataId, 'ttl');
     let formData = {};
     if (days) {
@@ -450,10 +697,11 @@ class API {
       formData.expiration_date = parseDate_(expirationDate);
     }
     if (Object.keys(formData).length != 1) {
-      throw new APIError(
+      throw new ValidationError(
         'Either `days` or `expirationDate` must be provided', 400);
     }
-    await requests.put(uri, this.header_, {form: formData});
+    await this.session_.put(
+      uri, this.header_, this.requestOptions_(options, {form: formData}));
   }
 
   /**
@@ -461,11 +709,13 @@ class API {
    *
    * @async
    * @param {string} dataId - the data ID
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async deleteData(dataId) {
+  async deleteData(dataId, options={}) {
     let uri = urljoin(this.baseURL, 'data', dataId);
-    await requests.delete(uri, this.header_);
+    await this.session_.delete(
+      uri, this.header_, this.requestOptions_(options));
   }
 
   /**
@@ -473,14 +723,31 @@ class API {
    *
    * @async
    * @param {Array} dataIds - the data IDs
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping data IDs to response objects. The
    *   `success` field of each response will be set to `true` on success or
    *   `false` on failure, and the `response` field will contain the data
    *   details in the same format as returned by `getDataDetails()`
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchGetDataDetails(dataIds) {
-    return await this.batchRequest_('data', 'details', dataIds);
+  async batchGetDataDetails(dataIds, options={}) {
+    return await this.batchRequest_('data', 'details', dataIds, options);
+  }
+
+  /**
+   * Gets the data with the given IDs.
+   *
+   * @async
+   * @param {Array} dataIds - the data IDs
+   * @param {object} [options={}] - optional request options
+   * @return {Object} an object mapping data IDs to response objects in the
+   *   same format as returned by `batchGetDataDetails()`, except that the
+   *   `response` field of each successful response is a Data instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async batchGetData(dataIds, options={}) {
+    let responses = await this.batchGetDataDetails(dataIds, options);
+    return toBatchModels_(responses, models.Data, this);
   }
 
   /**
@@ -500,12 +767,14 @@ class API {
    *   the data. If a string is provided, it must be in ISO 8601 format, e.g.,
    *   'YYYY-MM-DDThh:mm:ss.sssZ'. If a non-UTC timezone is included in the
    *   Date or string, it will be respected
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping data IDs to objects indicating whether
    *   the data was successfully processed. The `success` field will be set to
    *   `true` on success or `false` on failure
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchUpdateDataTTL(dataIds, days=undefined, expirationDate=undefined) {
+  async batchUpdateDataTTL(
+    dataIds, days=undefined, expirationDate=undefined, options={}) {
     let formData = {};
     if (days) {
       formData.days = days.toString();
@@ -514,10 +783,10 @@ class API {
       formData.expiration_date = parseDate_(expirationDate);
     }
     if (Object.keys(formData).length != 1) {
-      throw new APIError(
+      throw new ValidationError(
         'Either `days` or `expirationDate` must be provided', 400);
     }
-    return await this.batchRequest_('data', 'ttl', dataIds, formData);
+    return await this.batchRequest_('data', 'ttl', dataIds, options, formData);
   }
 
   /**
@@ -525,13 +794,14 @@ class API {
    *
    * @async
    * @param {Array} dataIds - the data IDs
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping data IDs to objects indicating whether
    *   the data was successfully processed. The `success` field will be set to
    *   `true` on success or `false` on failure
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchDeleteData(dataIds) {
-    return await this.batchRequest_('data', 'delete', dataIds);
+  async batchDeleteData(dataIds, options={}) {
+    return await this.batchRequest_('data', 'delete', dataIds, options);
   }
 
   // JOBS
@@ -540,12 +810,14 @@ class API {
    * Returns a list of all unarchived jobs.
    *
    * @async
+   * @param {object} [options={}] - optional request options
    * @return {Array} an array of objects describing the jobs
    * @throws {APIError} if the request was unsuccessful
    */
-  async listJobs() {
+  async listJobs(options={}) {
     let uri = urljoin(this.baseURL, 'jobs', 'list');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).jobs;
   }
 
@@ -555,20 +827,66 @@ class API {
    * @async
    * @param {JobsQuery} jobsQuery A JobsQuery instance defining the customized
    *   jobs query to perform
+   * @param {object} [options={}] - optional request options
    * @return {object} an object containing the query results and total number
    *   of records
    * @throws {APIError} if the request was unsuccessful
    */
-  async queryJobs(jobsQuery) {
+  async queryJobs(jobsQuery, options={}) {
     let uri = urljoin(this.baseURL, 'jobs');
     let body = await this.getWithJSONBody_(
-      uri, this.header_, jobsQuery.toObject());
+      uri, this.header_, jobsQuery.toObject(), options);
     return JSON.parse(body);
   }
 
+  /**
+   * Performs a customized jobs query and returns the results as Job
+   * instances.
+   *
+   * @async
+   * @param {JobsQuery} jobsQuery - a JobsQuery instance defining the
+   *   customized jobs query to perform
+   * @param {object} [options={}] - optional request options
+   * @return {object} an object containing the query results, as Job
+   *   instances bound to this API instance, and total number of records
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async queryJobModels(jobsQuery, options={}) {
+    let result = await this.queryJobs(jobsQuery, options);
+    return toModels_(result, 'jobs', models.Job, this);
+  }
+
+  /**
+   * Iterates over the results of a customized jobs query, fetching pages of
+   * results as necessary.
+   *
+   * Consecutive pages overlap by one record, and records are identified by
+   * their IDs, so that records that shift between pages because records were
+   * added or removed during iteration are neither skipped nor yielded twice.
+   *
+   * @param {JobsQuery} jobsQuery - a JobsQuery instance defining the customized
+   *   jobs query to perform. The offset of the query, if any, is the offset
+   *   of the first result
+   * @param {object} [options={}] - optional request options
+   * @param {number} [options.pageSize=100] - the number of records to fetch
+   *   per request. By default, the limit of the query is used, if it is set
+   * @param {number} [options.maxResults=undefined] - an optional maximum
+   *   number of results to yield
+   * @return {AsyncGenerator} an async generator that yields the records
+   *   matching the query. The generator throws an `APIError` if a request
+   *   is unsuccessful
+   */
+  iterateJobs(jobsQuery, options={}) {
+    return this.iterateQuery_(jobsQuery, 'jobs', this.queryJobs, options);
+  }
+
   /**
    * Uploads a job request.
    *
+   * Any inputs or data parameters of the job request that reference signed
+   * URLs or local files are first resolved to data IDs. See
+   * `resolveJobRequest()` for details.
+   *
    * @async
    * @param {JobRequest} jobRequest - a JobRequest instance describing the job
    * @param {string} jobName - a name for the job
@@ -578,12 +896,123 @@ class API {
    *   is provided, the default TTL is used. If a string is provided, it must
    *   be in ISO 8601 format, e.g., 'YYYY-MM-DDThh:mm:ss.sssZ'. If a non-UTC
    *   timezone is included in the Date or string, it will be respected
-   * @return {object} metadata about the job
+   * @param {object} [options={}] - optional request options
+   * @param {boolean} [options.validate=false] - whether to validate the job
+   *   request against the documentation of its analytic before uploading it.
+   *   See `validateJobRequest()` for details
+   * @param {boolean} [options.dryRun=false] - whether to only report the
+   *   data that would be uploaded, without uploading any data or the job
+   *   request
+   * @return {object} metadata about the job. If `dryRun` is set, an object
+   *   of the form `{dryRun: true, actions, jobRequest}` is returned instead,
+   *   where `actions` describes the data that would be uploaded
+   * @throws {JobRequestValidationError} if `validate` is set and the job
+   *   request is invalid
+   * @throws {RemoteDataPathError} if a local file referenced by the job
+   *   request does not exist
    * @throws {APIError} if the request was unsuccessful
    *
    * @todo allow jobJSONPath to accept a job JSON object directly
    */
-  async uploadJobRequest(jobRequest, jobName, autoStart=false, ttl=undefined) {
+  async uploadJobRequest(
+    jobRequest, jobName, autoStart=false, ttl=undefined, options={}) {
+    if (options.validate) {
+      let problems = await this.validateJobRequest(jobRequest, options);
+      if (problems.length) {
+        let messages = problems.map((problem) => problem.message);
+        throw new jobs.JobRequestValidationError(
+          `Invalid job request:\n${messages.join('\n')}`, problems);
+      }
+    }
+    let resolved = await this.resolveJobRequest(jobRequest, options);
+    if (options.dryRun) {
+      return Object.assign({dryRun: true}, resolved);
+    }
+    return await this.uploadJobRequest_(
+      resolved.jobRequest, jobName, autoStart, ttl, options);
+  }
+
+  /**
+   * Resolves the inputs and data parameters of the given job request that
+   * reference signed URLs or local files to data IDs.
+   *
+   * Signed URLs are registered via `postDataAsURL()`, and local files are
+   * uploaded via `uploadData()`. Each distinct URL or file is only uploaded
+   * once, even if it is referenced multiple times. The given job request is
+   * not modified.
+   *
+   * Each action in the returned array is an object with the following fields:
+   *
+   * - `type`: `'postURL'` for signed URLs or `'upload'` for local files
+   * - `field`: `'inputs'` or `'parameters'`
+   * - `name`: the name of the input or parameter
+   * - `url` or `localPath`: the source of the data
+   * - `size`: the size of the data, in bytes
+   * - `dataId`: the ID of the resulting data, which is undefined when
+   *   `dryRun` is set
+   *
+   * @async
+   * @param {JobRequest} jobRequest - a JobRequest instance describing the job
+   * @param {object} [options={}] - optional request options, including the
+   *   `onProgress` option of `uploadData()`
+   * @param {boolean} [options.dryRun=false] - whether to only report the
+   *   actions that would be performed, without uploading any data
+   * @return {object} an object of the form `{jobRequest, actions}`, where
+   *   `jobRequest` is a copy of the job request whose paths have been
+   *   resolved (unless `dryRun` is set) and `actions` is an array describing
+   *   the data that was (or would be) uploaded
+   * @throws {RemoteDataPathError} if a local file does not exist
+   * @throws {APIError} if a request was unsuccessful
+   */
+  async resolveJobRequest(jobRequest, options={}) {
+    let resolved = jobs.JobRequest.fromObject(jobRequest.toObject());
+    let actions = [];
+    let dataIds = new Map();
+    for (let [field, name, dataPath] of iterateDataPaths_(resolved)) {
+      let action;
+      let key;
+      if (dataPath.hasLocalPath) {
+        action = {type: 'upload', field, name, localPath: dataPath.localPath};
+        action.size = statFile_(dataPath.localPath).size;
+        key = 'file:' + path.resolve(dataPath.localPath);
+      } else if (dataPath.hasSignedURL) {
+        action = {type: 'postURL', field, name, url: dataPath.signedURL};
+        action.size = dataPath.metadata.size;
+        key = 'url:' + dataPath.signedURL;
+      } else {
+        continue;
+      }
+      actions.push(action);
+      if (options.dryRun) {
+        continue;
+      }
+
+      if (!dataIds.has(key)) {
+        dataIds.set(key, this.resolveDataPath_(dataPath, options));
+      }
+      action.dataId = await dataIds.get(key);
+      resolved[field][name] = jobs.RemoteDataPath.fromDataId(action.dataId);
+    }
+    return {jobRequest: resolved, actions};
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async resolveDataPath_(dataPath, options) {
+    let data;
+    if (dataPath.hasLocalPath) {
+      data = await this.uploadData(dataPath.localPath, undefined, options);
+    } else {
+      let metadata = dataPath.metadata;
+      data = await this.postDataAsURL(
+        dataPath.signedURL, metadata.filename, metadata.mimeType,
+        metadata.size, metadata.expirationDate, metadata.encoding, options);
+    }
+    return data.id;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async uploadJobRequest_(
+    jobRequest, jobName, autoStart, ttl, options={}) {
     let uri = urljoin(this.baseURL, 'jobs');
     let formData = {
       'file': {
@@ -599,35 +1028,219 @@ class API {
     if (ttl) {
       formData['job_ttl'] = parseDate_(ttl);
     }
-    let body = await requests.post(uri, this.header_, {formData: formData});
+    let body = await this.session_.post(
+      uri, this.header_, this.requestOptions_(options, {formData}));
     return JSON.parse(body).job;
   }
 
+  /**
+   * Creates a new job request for the analytic with the given name (and
+   * optional version), pre-populated with the default values of its
+   * parameters.
+   *
+   * See `JobRequest.fromAnalyticDoc()` for details.
+   *
+   * @async
+   * @param {string} name - the name of the analytic
+   * @param {string} [version=undefined] - the analytic version. By default,
+   *   the latest version of the analytic is used
+   * @param {JobComputeMode} [computeMode=undefined] - the JobComputeMode to
+   *   use for the job
+   * @param {object} [options={}] - optional request options
+   * @return {JobRequest} a JobRequest instance
+   * @throws {Error} if the analytic was not found
+   * @throws {APIError} if an underlying API request was unsuccessful
+   */
+  async newJobRequest(
+    name, version=undefined, computeMode=undefined, options={}) {
+    let analyticId = await this.getAnalyticID(name, version, options);
+    let doc = await this.getAnalyticDoc(analyticId, options);
+    return jobs.JobRequest.fromAnalyticDoc(doc, computeMode || null);
+  }
+
+  /**
+   * Validates the given job request against the documentation of its
+   * analytic.
+   *
+   * See {@link module:users/jobs~JobRequest#validate JobRequest.validate()}
+   * for the problems that are detected.
+   *
+   * @async
+   * @param {JobRequest} jobRequest - a JobRequest instance describing the job
+   * @param {object} [options={}] - optional request options
+   * @return {Array} an array of problems, which is empty if the job request is
+   *   valid. Each problem is an object with `type`, `name`, and `message`
+   *   fields
+   * @throws {Error} if the analytic of the job request was not found
+   * @throws {APIError} if an underlying API request was unsuccessful
+   */
+  async validateJobRequest(jobRequest, options={}) {
+    let analyticId = await this.getAnalyticID(
+      jobRequest.analytic, jobRequest.version || undefined, options);
+    let doc = await this.getAnalyticDoc(analyticId, options);
+    return jobRequest.validate(doc);
+  }
+
+  /**
+   * Submits the jobs defined by the given manifest file.
+   *
+   * See {@link module:users/manifests~Manifest Manifest} for the format of
+   * manifest files. Every job of the manifest is validated against the
+   * documentation of its analytic before any job is submitted, and the jobs
+   * are then submitted with bounded concurrency. A job that cannot be
+   * submitted does not prevent the remaining jobs from being submitted.
+   *
+   * The results are written to a JSON file that maps the name of each job to
+   * an object containing the index of the `entry` of the manifest that
+   * defines it, the local `file` matched by the glob of the entry (if any),
+   * and either the `job_id` of the submitted job or the `error` that
+   * prevented its submission.
+   *
+   * If the results file already exists, the jobs that it records as
+   * submitted are not submitted again, and their results are carried over to
+   * the new results file. This allows a partially failed submission to be
+   * completed by submitting the same manifest again.
+   *
+   * @async
+   * @param {string} manifestPath - the path to the JSON or YAML manifest file
+   * @param {object} [options={}] - optional request options
+   * @param {object} [options.variables={}] - variables that override those
+   *   defined by the manifest
+   * @param {boolean} [options.validate=true] - whether to validate the job
+   *   requests against the documentation of their analytics
+   * @param {number} [options.concurrency=4] - the maximum number of jobs to
+   *   submit in parallel
+   * @param {string} [options.resultsPath=undefined] - the path to which to
+   *   write the results. By default, the manifest path with its extension
+   *   replaced by `.results.json` is used
+   * @param {boolean} [options.resubmit=false] - whether to submit every job
+   *   of the manifest, including those that the existing results file records
+   *   as submitted
+   * @return {object} the results, in the format written to the results file
+   * @throws {ManifestError} if the manifest is invalid or if any of its job
+   *   requests are invalid, in which case the `problems` of the error
+   *   describe the problems with each invalid job request
+   * @throws {Error} if the analytic of a job request was not found
+   * @throws {APIError} if a validation request was unsuccessful
+   */
+  async submitManifest(manifestPath, options={}) {
+    let manifest = manifests.Manifest.fromFile(
+      manifestPath, {variables: options.variables});
+    let resultsPath = options.resultsPath || path.join(
+      path.dirname(manifestPath),
+      path.basename(manifestPath, path.extname(manifestPath)) +
+      '.results.json');
+    let previousResults = (!options.resubmit && fs.existsSync(resultsPath)) ?
+      utils.readJSON(resultsPath) : {};
+    let pending = manifest.jobs.filter((job) => !(
+      previousResults[job.name] && previousResults[job.name].job_id));
+    if (options.validate !== false) {
+      await this.validateManifest_(pending, options);
+    }
+
+    let uploadOptions = Object.assign({}, options, {validate: false});
+    let concurrency = options.concurrency || DEFAULT_SUBMIT_CONCURRENCY;
+    let submitted = await utils.mapWithConcurrency(
+      pending, concurrency, async (job) => {
+        let result = {entry: job.entry, file: job.file};
+        try {
+          let metadata = await this.uploadJobRequest(
+            job.jobRequest, job.name, job.autoStart, job.ttl, uploadOptions);
+          result.job_id = metadata.id;
+        } catch (err) {
+          result.error = err.message;
+        }
+        return result;
+      });
+
+    let results = {};
+    manifest.jobs.forEach((job) => {
+      let index = pending.indexOf(job);
+      results[job.name] = (index >= 0) ?
+        submitted[index] : previousResults[job.name];
+    });
+    utils.writeJSON(results, resultsPath);
+    return results;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async validateManifest_(manifestJobs, options) {
+    // Fetch the documentation of each analytic only once
+    let docs = new Map();
+    let getDoc = (jobRequest) => {
+      let version = jobRequest.version || undefined;
+      let key = `${jobRequest.analytic}@${version}`;
+      if (!docs.has(key)) {
+        docs.set(key, this.getAnalyticID(
+          jobRequest.analytic, version, options).then(
+          (analyticId) => this.getAnalyticDoc(analyticId, options)));
+      }
+      return docs.get(key);
+    };
+
+    let problems = [];
+    for (let job of manifestJobs) {
+      let doc = await getDoc(job.jobRequest);
+      let jobProblems = job.jobRequest.validate(doc);
+      if (jobProblems.length) {
+        problems.push({name: job.name, problems: jobProblems});
+      }
+    }
+    if (problems.length) {
+      let messages = [];
+      problems.forEach(({name, problems: jobProblems}) => {
+        jobProblems.forEach((problem) => {
+          messages.push(`${name}: ${problem.message}`);
+        });
+      });
+      throw new manifests.ManifestError(
+        `Invalid manifest:\n${messages.join('\n')}`, problems);
+    }
+  }
+
   /**
    * Gets details about the job with the given ID.
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @return {object} metadata about the job
    * @throws {APIError} if the request was unsuccessful
    */
-  async getJobDetails(jobId) {
+  async getJobDetails(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId);
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).job;
   }
 
+  /**
+   * Gets the job with the given ID.
+   *
+   * @async
+   * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
+   * @return {Job} a Job instance bound to this API instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async getJob(jobId, options={}) {
+    let job = await this.getJobDetails(jobId, options);
+    return new models.Job(job, this);
+  }
+
   /**
    * Gets the job request for the job with the given ID.
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @return {JobRequest} the JobRequest instance describing the job
    * @throws {APIError} if the request was unsuccessful
    */
-  async getJobRequest(jobId) {
+  async getJobRequest(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'request');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return jobs.JobRequest.fromString(body);
   }
 
@@ -636,11 +1249,12 @@ class API {
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async startJob(jobId) {
+  async startJob(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'start');
-    await requests.put(uri, this.header_);
+    await this.session_.put(uri, this.header_, this.requestOptions_(options));
   }
 
   /**
@@ -660,9 +1274,11 @@ class API {
    *   If a string is provided, it must be in ISO 8601 format, e.g.,
    *   'YYYY-MM-DDThh:mm:ss.sssZ'. If a non-UTC timezone is included in the
    *   Date or string, it will be respected
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async updateJobTTL(jobId, days=undefined, expirationDate=undefined) {
+  async updateJobTTL(
+    jobId, days=undefined, expirationDate=undefined, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'ttl');
     let formData = {};
     if (days) {
@@ -672,10 +1288,11 @@ class API {
       formData.expiration_date = parseDate_(expirationDate);
     }
     if (Object.keys(formData).length != 1) {
-      throw new APIError(
+      throw new ValidationError(
         'Either `days` or `expirationDate` must be provided', 400);
     }
-    await requests.put(uri, this.header_, {form: formData});
+    await this.session_.put(
+      uri, this.header_, this.requestOptions_(options, {form: formData}));
   }
 
   /**
@@ -683,11 +1300,12 @@ class API {
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async archiveJob(jobId) {
+  async archiveJob(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'archive');
-    await requests.put(uri, this.header_);
+    await this.session_.put(uri, this.header_, this.requestOptions_(options));
   }
 
   /**
@@ -695,11 +1313,12 @@ class API {
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async unarchiveJob(jobId) {
+  async unarchiveJob(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'unarchive');
-    await requests.put(uri, this.header_);
+    await this.session_.put(uri, this.header_, this.requestOptions_(options));
   }
 
   /**
@@ -711,19 +1330,21 @@ class API {
    * @param {string} [jobId=undefined] - the job ID
    * @param {object} [job=undefined] - the metadata object for the job, as
    *   returned by `getJobDetails()` or `queryJobs()`
+   * @param {object} [options={}] - optional request options
    * @return {string} the state of the job, which is a value in the `JobState`
    *   enum
    * @throws {APIError} if the request was unsuccessful
    */
-  async getJobState(jobId=undefined, job=undefined) {
+  async getJobState(jobId=undefined, job=undefined, options={}) {
     let state;
     if (jobId) {
-      let jobDetails = await this.getJobDetails(jobId);
+      let jobDetails = await this.getJobDetails(jobId, options);
       state = jobDetails.state;
     } else if (job) {
       state = job.state;
     } else {
-      throw new APIError('Either `jobId` or `job` must be provided', 400);
+      throw new ValidationError(
+        'Either `jobId` or `job` must be provided', 400);
     }
     return state;
   }
@@ -737,14 +1358,15 @@ class API {
    * @param {string} [jobId=undefined] - the job ID
    * @param {object} [job=undefined] - the metadata object for the job, as
    *   returned by `getJobDetails()` or `queryJobs()`
+   * @param {object} [options={}] - optional request options
    * @return {boolean} true if the job is complete, and false otherwise
    * @throws {JobExecutionError} if the job failed
    * @throws {APIError} if the underlying API request was unsuccessful
    */
-  async isJobComplete(jobId=undefined, job=undefined) {
-    let jobState = await this.getJobState(jobId, job);
+  async isJobComplete(jobId=undefined, job=undefined, options={}) {
+    let jobState = await this.getJobState(jobId, job, options);
     if (jobState == jobs.JobState.FAILED) {
-      throw new jobs.JobExecutionError('Job ' + jobId + ' failed');
+      throw new jobs.JobExecutionError('Job ' + (jobId || job.id) + ' failed');
     }
     return (jobState == jobs.JobState.COMPLETE);
   }
@@ -758,14 +1380,246 @@ class API {
    *   state checks
    * @param {number} [maxWaitTime=600] - the maximum number of seconds to wait
    *   for the job to complete
-   * @throws {JobExecutionError} if the job failed
-   * @throws {APITimeoutError} if the maximum wait time was exceeded
+   * @param {object} [options={}] - optional request options. The `signal`
+   *   option cancels the wait
+   * @param {Backoff|number|function|object} [options.backoff=undefined] - an
+   *   optional backoff strategy for the delays between job state checks, in
+   *   any format accepted by
+   *   {@link module:users/utils~Backoff.from Backoff.from()}. For example,
+   *   `{strategy: 'exponential', delay: 5000, maxDelay: 300000}` is suitable
+   *   for long-running jobs. If provided, `sleepTime` is ignored
+   * @param {function} [options.onPoll=undefined] - an optional function that
+   *   is called after each job state check with an object containing the
+   *   `attempt` number, the job details `value`, and the number of
+   *   milliseconds `elapsed`
+   * @param {object} [options.autoRetry=undefined] - an optional policy for
+   *   automatically retrying the job via `retryJob()` if it fails. The
+   *   maximum wait time applies to all attempts. The policy supports the
+   *   following fields:
+   *   - `maxRetries`: the maximum number of retries. The default is 1
+   *   - `onlyFailureTypes`: the `JobFailureType` values of failures that are
+   *     retried. By default, only `PLATFORM` failures are retried
+   *   - `onRetry`: an optional function that is called with the IDs of the
+   *     failed job and the new job, and the number of retries so far, each
+   *     time the job is retried
+   * @return {object} metadata about the completed job. If the job was
+   *   retried, this describes the job that completed
+   * @throws {JobExecutionError} if the job failed and was not retried
+   * @throws {APITimeoutError} if the maximum wait time was exceeded. The
+   *   `lastValue` of the error contains the last known details of the job
    * @throws {APIError} if an underlying API request was unsuccessful
    */
-  async waitUntilJobCompletes(jobId, sleepTime=5, maxWaitTime=600) {
-    let boundIsJobComplete = this.isJobComplete.bind(this);
-    await utils.waitForCondition(
-      boundIsJobComplete, [jobId], 1000 * sleepTime, 1000 * maxWaitTime);
+  async waitUntilJobCompletes(
+    jobId, sleepTime=5, maxWaitTime=600, options={}) {
+    let backoff = options.backoff || (1000 * sleepTime);
+    let autoRetry = Object.assign({
+      maxRetries: 1,
+      onlyFailureTypes: [jobs.JobFailureType.PLATFORM],
+    }, options.autoRetry);
+    let endTime = Date.now() + 1000 * maxWaitTime;
+    for (let retries = 0; ; retries++) {
+      let lastJob;
+      try {
+        return await utils.waitForCondition(
+          this.getJobDetails, [jobId, options], backoff,
+          Math.max(endTime - Date.now(), 0), {
+            signal: options.signal,
+            onPoll: options.onPoll,
+            isSatisfied: (job) => {
+              lastJob = job;
+              return this.isJobComplete(undefined, job);
+            },
+          });
+      } catch (err) {
+        let shouldRetry = (
+          options.autoRetry && err instanceof jobs.JobExecutionError &&
+          retries < autoRetry.maxRetries &&
+          autoRetry.onlyFailureTypes.includes(lastJob.failure_type));
+        if (!shouldRetry) {
+          throw err;
+        }
+      }
+
+      let newJobId = await this.retryJob(jobId, Object.assign({}, options, {
+        onlyFailureTypes: autoRetry.onlyFailureTypes,
+      }));
+      if (autoRetry.onRetry) {
+        autoRetry.onRetry(jobId, newJobId, retries + 1);
+      }
+      jobId = newJobId;
+    }
+  }
+
+  /**
+   * Waits until the jobs with the given IDs are complete.
+   *
+   * The states of the jobs are polled via a single batch request per poll.
+   * By default, this method waits until every job has completed or failed, or
+   * until the maximum wait time is exceeded, and then returns a summary of
+   * each job. Each summary is an object with the following fields:
+   *
+   * - `status`: the outcome of the wait for the job, which is a value in the
+   *   `JobWaitStatus` enum
+   * - `job`: a Job instance describing the last known details of the job, if
+   *   any
+   * - `failureType`: the `JobFailureType` of the job, if it failed
+   * - `error`: the error that occurred when fetching the details of the job,
+   *   if its status is `ERROR`
+   *
+   * @async
+   * @param {Array} jobIds - the job IDs
+   * @param {object} [options={}] - optional request options
+   * @param {number} [options.sleepTime=5] - the number of seconds to wait
+   *   between polls
+   * @param {number} [options.maxWaitTime=600] - the maximum number of seconds
+   *   to wait for all of the jobs to complete
+   * @param {boolean} [options.failFast=false] - whether to throw a
+   *   `JobExecutionError` as soon as any job fails, or its details cannot be
+   *   fetched
+   * @param {number} [options.maxPollErrors=3] - the maximum number of
+   *   consecutive polls that may fail before giving up, in which case the jobs
+   *   that are not yet done are reported with `ERROR` status and the error of
+   *   the last poll. Only applicable when `failFast` is not set
+   * @return {object} an object mapping job IDs to summaries
+   * @throws {JobExecutionError} if `failFast` is set and a job failed
+   * @throws {APIAbortError} if the wait was aborted via the `signal` option
+   * @throws {APIError} if `failFast` is set and an underlying API request was
+   *   unsuccessful
+   */
+  async waitUntilJobsComplete(jobIds, options={}) {
+    let sleepTime = utils.isNullOrUndefined(options.sleepTime) ?
+      5 : options.sleepTime;
+    let maxWaitTime = utils.isNullOrUndefined(options.maxWaitTime) ?
+      600 : options.maxWaitTime;
+    let maxPollErrors = utils.isNullOrUndefined(options.maxPollErrors) ?
+      3 : options.maxPollErrors;
+    let summaries = {};
+    let lastJobs = {};
+    let pollErrors = 0;
+    jobIds = Array.from(new Set(jobIds));
+    if (!jobIds.length) {
+      return summaries;
+    }
+
+    let jobWatcher = new watcher.JobWatcher(this, jobIds, Object.assign(
+      {}, options, {interval: 1000 * sleepTime, watchExpiration: false}));
+    return await new Promise(function(resolve, reject) {
+      let done = false;
+      let timer;
+      let removeAbortListener;
+      let finish = function(settle, value) {
+        if (!done) {
+          done = true;
+          clearTimeout(timer);
+          jobWatcher.stop();
+          jobWatcher.removeAllListeners();
+          if (removeAbortListener) {
+            removeAbortListener();
+          }
+          settle(value);
+        }
+      };
+      let resolveSummaries = function() {
+        // Report the jobs in the order that they were provided
+        let results = {};
+        jobIds.forEach((jobId) => {
+          results[jobId] = summaries[jobId];
+        });
+        finish(resolve, results);
+      };
+      let checkDone = function() {
+        if (jobIds.every((jobId) => summaries[jobId])) {
+          resolveSummaries();
+        }
+      };
+
+      jobWatcher.on('stateChange', function(job) {
+        lastJobs[job.id] = job;
+      });
+      jobWatcher.on('complete', function(job) {
+        summaries[job.id] = {status: jobs.JobWaitStatus.COMPLETE, job};
+      });
+      jobWatcher.on('failed', function(job, failureType) {
+        if (options.failFast) {
+          return finish(reject, new jobs.JobExecutionError(
+            `Job ${job.id} failed with failure type ${failureType}`));
+        }
+        summaries[job.id] = {
+          status: jobs.JobWaitStatus.FAILED,
+          job,
+          failureType,
+        };
+      });
+      jobWatcher.on('error', function(err) {
+        if (options.failFast) {
+          return finish(reject, err);
+        }
+        if (err instanceof watcher.JobWatcherError) {
+          summaries[err.jobId] = {
+            status: jobs.JobWaitStatus.ERROR,
+            error: err,
+          };
+          return;
+        }
+        // The poll failed, so keep polling until too many polls have failed
+        // in a row
+        pollErrors++;
+        if (pollErrors < maxPollErrors) {
+          return;
+        }
+        jobIds.forEach(function(jobId) {
+          if (!summaries[jobId]) {
+            summaries[jobId] = {
+              status: jobs.JobWaitStatus.ERROR,
+              job: lastJobs[jobId],
+              error: err,
+            };
+          }
+        });
+        resolveSummaries();
+      });
+      jobWatcher.on('progress', function() {
+        pollErrors = 0;
+        checkDone();
+      });
+
+      timer = setTimeout(function() {
+        jobIds.forEach(function(jobId) {
+          if (!summaries[jobId]) {
+            summaries[jobId] = {
+              status: jobs.JobWaitStatus.TIMED_OUT,
+              job: lastJobs[jobId],
+            };
+          }
+        });
+        resolveSummaries();
+      }, 1000 * maxWaitTime);
+      removeAbortListener = utils.onAbort(options.signal, function() {
+        finish(reject, new utils.APIAbortError('Wait aborted'));
+      });
+      if (!done) {
+        jobWatcher.start();
+      }
+    });
+  }
+
+  /**
+   * Starts watching the jobs with the given IDs.
+   *
+   * The returned watcher polls the jobs via a single batch request per poll
+   * and emits events as their states change. See
+   * {@link module:users/watcher~JobWatcher JobWatcher} for details. The first
+   * poll is performed asynchronously, so listeners registered immediately
+   * after calling this method receive all events.
+   *
+   * @param {Array} jobIds - the IDs of the jobs to watch
+   * @param {object} [options={}] - optional settings for the watcher,
+   *   including the `interval` and `watchExpiration` options, which are also
+   *   used as the request options of each poll
+   * @return {JobWatcher} a running JobWatcher instance
+   */
+  watchJobs(jobIds, options={}) {
+    return new watcher.JobWatcher(this, jobIds, options).start();
   }
 
   /**
@@ -775,19 +1629,25 @@ class API {
    *
    * @async
    * @param {string} [jobId=undefined] - the job ID
-   * @param {object} [job=undefined] - the metadata object for the job, as
-   *   returned by `getJobDetails()` or `queryJobs()`
+   * @param {object|Job} [job=undefined] - the metadata object for the job, as
+   *   returned by `getJobDetails()` or `queryJobs()`, or a Job instance
+   * @param {object} [options={}] - optional request options
    * @return {boolean} true if the job is expired, and false otherwise
    * @throws {APIError} if the request was unsuccessful
    */
-  async isJobExpired(jobId=undefined, job=undefined) {
+  async isJobExpired(jobId=undefined, job=undefined, options={}) {
     if (jobId) {
-      let jobDetails = await this.getJobDetails(jobId);
+      let jobDetails = await this.getJobDetails(jobId, options);
       return jobDetails.expired;
     }
 
     if (!job) {
-      throw new APIError('Either `jobId` or `job` must be provided', 400);
+      throw new ValidationError(
+        'Either `jobId` or `job` must be provided', 400);
+    }
+
+    if (job instanceof models.Job) {
+      return job.isExpired();
     }
 
     // Note that we could just return `job.expired` here, but we are
@@ -803,12 +1663,14 @@ class API {
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @return {object} an object describing the status of the job
    * @throws {APIError} if the request was unsuccessful
    */
-  async getJobStatus(jobId) {
+  async getJobStatus(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'status');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body);
   }
 
@@ -820,23 +1682,26 @@ class API {
    * @param {string} [outputPath=undefined] - the output path to write to. By
    *   default, the file is written to the current working directory with the
    *   recommended output filename for the job
+   * @param {object} [options={}] - optional request options, including the
+   *   `resume`, `verify`, and `onProgress` options
    * @return {string} the path to the downloaded job output
    * @throws {APIError} if the request was unsuccessful
+   * @throws {DownloadVerificationError} if `verify` is set and the downloaded
+   *   output is corrupt
    */
-  async downloadJobOutput(jobId, outputPath=undefined) {
-    if (!outputPath) {
-      let job = await this.getJobDetails(jobId);
-      outputPath = job.output_filename;
+  async downloadJobOutput(jobId, outputPath=undefined, options={}) {
+    let expected = {};
+    if (!outputPath || options.verify) {
+      let job = await this.getJobDetails(jobId, options);
+      outputPath = outputPath || job.output_filename;
+      expected = {
+        size: job.output_size,
+        md5: job.output_md5,
+        sha256: job.output_sha256,
+      };
     }
-    let stream = fs.createWriteStream(outputPath);
-    stream.on('error', function(error) {
-      throw error;
-    });
-    stream.on('end', function() {
-      return;
-    });
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'output');
-    await requests.pipe(uri, stream, this.header_);
+    await this.downloadFile_(uri, outputPath, options, expected);
     return outputPath;
   }
 
@@ -845,12 +1710,14 @@ class API {
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @return {string} a signed URL with read access to download the job output
    * @throws {APIError} if the request was unsuccessful
    */
-  async getJobOutputDownloadURL(jobId) {
+  async getJobOutputDownloadURL(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'output-url');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).url;
   }
 
@@ -865,21 +1732,91 @@ class API {
    * @param {string} [outputPath=undefined] - the path to write the logfile. By
    *   default, the logfile is written to the current working directory with
    *   the filename '${jobId}.log'
+   * @param {object} [options={}] - optional request options, including the
+   *   `resume`, `verify`, and `onProgress` options
    * @throws {APIError} if the request was unsuccessful
+   * @throws {DownloadVerificationError} if `verify` is set and the downloaded
+   *   logfile is corrupt
    */
-  async downloadJobLogfile(jobId, outputPath=undefined) {
+  async downloadJobLogfile(jobId, outputPath=undefined, options={}) {
     if (!outputPath) {
       outputPath = jobId + '.log';
     }
-    let stream = fs.createWriteStream(outputPath);
-    stream.on('error', function(error) {
-      throw error;
-    });
-    stream.on('end', function() {
-      return;
-    });
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'log');
-    await requests.pipe(uri, stream, this.header_);
+    await this.downloadFile_(uri, outputPath, options);
+  }
+
+  /**
+   * Tails the logfile of the job with the given ID.
+   *
+   * The logfile is fetched incrementally via `Range` requests, and the lines
+   * of the logfile are yielded as they become available, without their
+   * trailing newlines. By default, the current contents of the logfile are
+   * yielded and the iteration ends. When the `follow` option is set, the
+   * logfile is polled for new lines, like `tail -f`, until the job reaches a
+   * terminal state (`COMPLETE` or `FAILED`), after which the remainder of
+   * the logfile is yielded and the iteration ends.
+   *
+   * To consume the lines as a stream, use `stream.Readable.from()`.
+   *
+   * Note that logfiles can only be downloaded for jobs that run private
+   * analytics.
+   *
+   * @async
+   * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options. The `signal`
+   *   option ends the iteration with an `APIAbortError`
+   * @param {boolean} [options.follow=false] - whether to poll for new lines
+   *   until the job reaches a terminal state
+   * @param {number} [options.sleepTime=5] - the number of seconds to wait
+   *   between polls when following the logfile
+   * @return {AsyncGenerator} an async generator that yields the lines of the
+   *   logfile. The generator throws an `APIError` if a request is
+   *   unsuccessful
+   */
+  async* tailJobLog(jobId, options={}) {
+    let uri = urljoin(this.baseURL, 'jobs', jobId, 'log');
+    let sleepTime = utils.isNullOrUndefined(options.sleepTime) ?
+      5 : options.sleepTime;
+    let offset = 0;
+    let pending = Buffer.alloc(0);
+    while (true) {
+      let isTerminal = true;
+      if (options.follow) {
+        // Check the state first, so that the logfile is fetched once more
+        // after the job reaches a terminal state
+        let state = await this.getJobState(jobId, undefined, options);
+        isTerminal = (
+          state === jobs.JobState.COMPLETE || state === jobs.JobState.FAILED);
+      }
+
+      let data;
+      try {
+        data = await this.fetchRange_(uri, offset, options);
+      } catch (err) {
+        // The logfile may not exist until the job starts running
+        if (isTerminal || !(err instanceof requests.NotFoundError)) {
+          throw err;
+        }
+        data = Buffer.alloc(0);
+      }
+      offset += data.length;
+      pending = Buffer.concat([pending, data]);
+
+      let end;
+      while ((end = pending.indexOf('\n')) >= 0) {
+        yield pending.slice(0, end).toString().replace(/\r$/, '');
+        pending = pending.slice(end + 1);
+      }
+
+      if (isTerminal) {
+        if (pending.length) {
+          yield pending.toString();
+        }
+        return;
+      }
+      await utils.sleep(1000 * sleepTime, options.signal);
+    }
   }
 
   /**
@@ -890,13 +1827,15 @@ class API {
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @return {string} a signed URL with read access to download the job
    *   logfile
    * @throws {APIError} if the request was unsuccessful
    */
-  async getJobLogfileDownloadURL(jobId) {
+  async getJobLogfileDownloadURL(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'log-url');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).url;
   }
 
@@ -907,11 +1846,13 @@ class API {
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async deleteJob(jobId) {
+  async deleteJob(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId);
-    await requests.delete(uri, this.header_);
+    await this.session_.delete(
+      uri, this.header_, this.requestOptions_(options));
   }
 
   /**
@@ -921,11 +1862,58 @@ class API {
    *
    * @async
    * @param {string} jobId - the job ID
+   * @param {object} [options={}] - optional request options
    * @throws {APIError} if the request was unsuccessful
    */
-  async killJob(jobId) {
+  async killJob(jobId, options={}) {
     let uri = urljoin(this.baseURL, 'jobs', jobId, 'kill');
-    await requests.put(uri, this.header_);
+    await this.session_.put(uri, this.header_, this.requestOptions_(options));
+  }
+
+  /**
+   * Retries the failed job with the given ID.
+   *
+   * A new job is created with the same job request, name, compute mode, and
+   * expiration date as the failed job. The platform does not link the new job
+   * to the failed job, so callers that need to track retries should record
+   * the returned ID, e.g., via the `onRetry` option of
+   * `waitUntilJobCompletes()`.
+   *
+   * @async
+   * @param {string} jobId - the ID of the failed job
+   * @param {object} [options={}] - optional request options
+   * @param {Array} [options.onlyFailureTypes=undefined] - an optional array
+   *   of `JobFailureType` values. If provided, the job is only retried if it
+   *   failed with one of these failure types
+   * @param {boolean} [options.autoStart=true] - whether to automatically
+   *   start the new job
+   * @return {string} the ID of the new job
+   * @throws {JobRetryError} if the job has not failed, or if it failed with a
+   *   failure type that is not in `onlyFailureTypes`
+   * @throws {APIError} if an underlying API request was unsuccessful
+   */
+  async retryJob(jobId, options={}) {
+    let job = await this.getJobDetails(jobId, options);
+    if (job.state !== jobs.JobState.FAILED) {
+      throw new JobRetryError(
+        `Job ${jobId} cannot be retried because it is ${job.state}`, jobId);
+    }
+    let failureTypes = options.onlyFailureTypes;
+    if (failureTypes && !failureTypes.includes(job.failure_type)) {
+      throw new JobRetryError(
+        `Job ${jobId} cannot be retried because it failed with failure type ` +
+        `${job.failure_type}`, jobId);
+    }
+
+    let jobRequest = await this.getJobRequest(jobId, options);
+    if (utils.isNullOrUndefined(jobRequest.computeMode) && job.compute_mode) {
+      jobRequest.computeMode = job.compute_mode;
+    }
+    let autoStart = utils.isNullOrUndefined(options.autoStart) ?
+      true : options.autoStart;
+    let newJob = await this.uploadJobRequest_(
+      jobRequest, job.name, autoStart, job.expiration_date, options);
+    return newJob.id;
   }
 
   /**
@@ -933,14 +1921,31 @@ class API {
    *
    * @async
    * @param {Array} jobIds - the job IDs
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping job IDs to response objects. The
    *   `success` field of each response will be set to `true` on success or
    *   `false` on failure, and the `response` field will contain the job details
    *   in the same format as returned by `getJobDetails()`
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchGetJobDetails(jobIds) {
-    return await this.batchRequest_('jobs', 'details', jobIds);
+  async batchGetJobDetails(jobIds, options={}) {
+    return await this.batchRequest_('jobs', 'details', jobIds, options);
+  }
+
+  /**
+   * Gets the jobs with the given IDs.
+   *
+   * @async
+   * @param {Array} jobIds - the job IDs
+   * @param {object} [options={}] - optional request options
+   * @return {Object} an object mapping job IDs to response objects in the
+   *   same format as returned by `batchGetJobDetails()`, except that the
+   *   `response` field of each successful response is a Job instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async batchGetJobs(jobIds, options={}) {
+    let responses = await this.batchGetJobDetails(jobIds, options);
+    return toBatchModels_(responses, models.Job, this);
   }
 
   /**
@@ -948,13 +1953,14 @@ class API {
    *
    * @async
    * @param {Array} jobIds - the job IDs
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping job IDs to objects indicating whether
    *   the job was successfully processed. The `success` field will be set to
    *   `true` on success or `false` on failure
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchStartJobs(jobIds) {
-    return await this.batchRequest_('jobs', 'start', jobIds);
+  async batchStartJobs(jobIds, options={}) {
+    return await this.batchRequest_('jobs', 'start', jobIds, options);
   }
 
   /**
@@ -962,13 +1968,14 @@ class API {
    *
    * @async
    * @param {Array} jobIds - the job IDs
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping job IDs to objects indicating whether
    *   the job was successfully processed. The `success` field will be set to
    *   `true` on success or `false` on failure
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchArchiveJobs(jobIds) {
-    return await this.batchRequest_('jobs', 'archive', jobIds);
+  async batchArchiveJobs(jobIds, options={}) {
+    return await this.batchRequest_('jobs', 'archive', jobIds, options);
   }
 
   /**
@@ -976,13 +1983,14 @@ class API {
    *
    * @async
    * @param {Array} jobIds - the job IDs
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping job IDs to objects indicating whether
    *   the job was successfully processed. The `success` field will be set to
    *   `true` on success or `false` on failure
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchUnarchiveJobs(jobIds) {
-    return await this.batchRequest_('jobs', 'unarchive', jobIds);
+  async batchUnarchiveJobs(jobIds, options={}) {
+    return await this.batchRequest_('jobs', 'unarchive', jobIds, options);
   }
 
   /**
@@ -1002,12 +2010,14 @@ class API {
    *   each job. If a string is provided, it must be in ISO 8601 format, e.g.,
    *   'YYYY-MM-DDThh:mm:ss.sssZ'. If a non-UTC timezone is included in the
    *   Date or string, it will be respected
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping job IDs to objects indicating whether
    *   the job was successfully processed. The `success` field will be set to
    *   `true` on success or `false` on failure
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchUpdateJobsTTL(jobIds, days=undefined, expirationDate=undefined) {
+  async batchUpdateJobsTTL(
+    jobIds, days=undefined, expirationDate=undefined, options={}) {
     let formData = {};
     if (days) {
       formData.days = days.toString();
@@ -1016,10 +2026,10 @@ class API {
       formData.expiration_date = parseDate_(expirationDate);
     }
     if (Object.keys(formData).length != 1) {
-      throw new APIError(
+      throw new ValidationError(
         'Either `days` or `expirationDate` must be provided', 400);
     }
-    return await this.batchRequest_('jobs', 'ttl', jobIds, formData);
+    return await this.batchRequest_('jobs', 'ttl', jobIds, options, formData);
   }
 
   /**
@@ -1029,13 +2039,14 @@ class API {
    *
    * @async
    * @param {Array} jobIds - the job IDs
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping job IDs to objects indicating whether
    *   the job was successfully processed. The `success` field will be set to
    *   `true` on success or `false` on failure
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchDeleteJobs(jobIds) {
-    return await this.batchRequest_('jobs', 'delete', jobIds);
+  async batchDeleteJobs(jobIds, options={}) {
+    return await this.batchRequest_('jobs', 'delete', jobIds, options);
   }
 
   /**
@@ -1045,13 +2056,14 @@ class API {
    *
    * @async
    * @param {Array} jobIds - the job IDs
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object mapping job IDs to objects indicating whether
    *   the job was successfully processed. The `success` field will be set to
    *   `true` on success or `false` on failure
    * @throws {APIError} if the request was unsuccessful
    */
-  async batchKillJobs(jobIds) {
-    return await this.batchRequest_('jobs', 'kill', jobIds);
+  async batchKillJobs(jobIds, options={}) {
+    return await this.batchRequest_('jobs', 'kill', jobIds, options);
   }
 
   // STATUS
@@ -1059,32 +2071,262 @@ class API {
   /**
    * Gets the current status of the platform.
    *
+   * @param {object} [options={}] - optional request options
    * @return {Object} an object describing the status of the platform
    */
-  async getPlatformStatus() {
+  async getPlatformStatus(options={}) {
     let uri = urljoin(this.baseURL, 'status', 'all');
-    let body = await requests.get(uri, this.header_);
+    let body = await this.session_.get(
+      uri, this.header_, this.requestOptions_(options));
     return JSON.parse(body).statuses;
   }
 
   // PRIVATE FUNCTIONS
 
   // eslint-disable-next-line require-jsdoc
-  async batchRequest_(type, action, ids, params={}) {
+  async batchRequest_(type, action, ids, options={}, params={}) {
     let uri = urljoin(this.baseURL, type, 'batch');
     let bodyData = Object.assign({}, params, {action, ids});
-    let res = await requests.post(
-      uri, this.header_, {json: true, body: bodyData});
+    let idempotent = (action === 'details');
+    let res = await this.session_.post(uri, this.header_,
+      this.requestOptions_(options, {json: true, body: bodyData, idempotent}));
     return res.responses;
   }
 
   // eslint-disable-next-line require-jsdoc
-  async getWithJSONBody_(uri, headers, body) {
+  async* iterateQuery_(query, key, runQuery, options={}) {
+    let pageSize = options.pageSize || query.limit || DEFAULT_PAGE_SIZE;
+    pageSize = Math.max(pageSize, 2);
+    let maxResults = options.maxResults;
+    let start = query.offset || 0;
+    let offset = start;
+    let seen = new Set();
+    let count = 0;
+
+    let pageQuery = query.copy();
+    if (pageQuery.fields.length && !pageQuery.fields.includes('id')) {
+      // IDs are required to detect records that shift between pages
+      pageQuery.addField('id');
+    }
+
+    while (utils.isNullOrUndefined(maxResults) || count < maxResults) {
+      pageQuery.setOffset(offset).setLimit(pageSize);
+      let records = (await runQuery(pageQuery, options))[key] || [];
+      let first = records.length ? records[0].id : undefined;
+      if (offset > start && first !== undefined && !seen.has(first)) {
+        // Records were removed since the previous page was fetched, so unseen
+        // records may have shifted onto earlier pages
+        offset = Math.max(offset - pageSize + 1, start);
+        continue;
+      }
+
+      for (let record of records) {
+        if (record.id !== undefined) {
+          if (seen.has(record.id)) {
+            continue;
+          }
+          seen.add(record.id);
+        }
+        yield record;
+        count++;
+        if (!utils.isNullOrUndefined(maxResults) && count >= maxResults) {
+          return;
+        }
+      }
+
+      if (records.length < pageSize) {
+        return;
+      }
+      offset += records.length - 1;
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async getWithJSONBody_(uri, headers, body, options={}) {
     headers = Object.assign({
       'content-type': 'application/json',
     }, headers);
-    return await requests.get(uri, headers, {
+    return await this.session_.get(uri, headers, this.requestOptions_(options, {
       body: JSON.stringify(body),
+    }));
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async fetchRange_(uri, offset, options={}) {
+    let headers = this.header_;
+    if (offset > 0) {
+      headers = Object.assign({}, headers, {'Range': `bytes=${offset}-`});
+    }
+    let chunks = [];
+    try {
+      await this.session_.pipe(uri, function(res) {
+        // Servers that do not support ranges return the entire file
+        let skip = (res.statusCode === 206) ? 0 : offset;
+        return new stream.Writable({
+          write(chunk, encoding, callback) {
+            chunk = Buffer.from(chunk);
+            if (skip > 0) {
+              let skipped = Math.min(skip, chunk.length);
+              chunk = chunk.slice(skipped);
+              skip -= skipped;
+            }
+            chunks.push(chunk);
+            callback();
+          },
+        });
+      }, headers, this.requestOptions_(options));
+    } catch (err) {
+      if (err.statusCode === 416) {
+        // There is no data beyond the offset
+        return Buffer.alloc(0);
+      }
+      throw err;
+    }
+    return Buffer.concat(chunks);
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async downloadFile_(uri, outputPath, options={}, expected={}) {
+    // Download to a temporary file so that `outputPath` is only created once
+    // the download has completed successfully
+    let tmpPath = outputPath + '.part';
+    let partialSize = function() {
+      return (options.resume && fs.existsSync(tmpPath)) ?
+        fs.statSync(tmpPath).size : 0;
+    };
+
+    let stream;
+    let closed;
+
+    // The partial file grows with each attempt, so the range to request is
+    // recomputed once the stream of the previous attempt has been closed
+    let offset = partialSize();
+    let headers = async () => {
+      if (stream) {
+        stream.destroy();
+        await closed;
+      }
+      offset = partialSize();
+      if (!offset) {
+        return this.header_;
+      }
+      return Object.assign({}, this.header_, {'Range': `bytes=${offset}-`});
+    };
+
+    let tracker = this.progressTracker_(options);
+    if (tracker) {
+      tracker.start(undefined, offset);
+    }
+
+    let openStream = function(res) {
+      // Servers that do not support ranges respond with the entire file
+      if (res.statusCode !== 206) {
+        offset = 0;
+      }
+      if (tracker) {
+        tracker.start(parseResponseSize_(res), offset);
+      }
+      stream = fs.createWriteStream(tmpPath, {flags: offset ? 'a' : 'w'});
+      closed = new Promise((resolve) => stream.on('close', resolve));
+      return stream;
+    };
+
+    let res;
+    try {
+      res = await this.session_.pipe(
+        uri, openStream, headers, this.requestOptions_(options, {
+          onData: tracker ? (chunk) => tracker.update(chunk.length) : undefined,
+          resumable: options.resume,
+        }));
+      await closed;
+    } catch (err) {
+      if (offset && err.statusCode === 416) {
+        if (parseContentRange_(err.headers).total === offset) {
+          // The partial file is already complete
+          res = {statusCode: 206, headers: {}};
+        } else {
+          // The partial file does not match the remote file, so start over
+          fs.unlinkSync(tmpPath);
+          return await this.downloadFile_(uri, outputPath, options, expected);
+        }
+      } else {
+        if (stream) {
+          // Wait for the stream to close so that the partial file is not
+          // recreated after it is removed
+          stream.destroy();
+          await closed;
+        }
+        if (!options.resume) {
+          removePartialFile_(tmpPath);
+        }
+        throw err;
+      }
+    }
+
+    if (options.verify) {
+      let size = utils.isNullOrUndefined(expected.size) ?
+        parseResponseSize_(res) : Number(expected.size);
+      try {
+        await verifyFile_(tmpPath, Object.assign({}, expected, {size}));
+      } catch (err) {
+        removePartialFile_(tmpPath);
+        throw err;
+      }
+    }
+    fs.renameSync(tmpPath, outputPath);
+    this.finishProgress_(tracker);
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  fileData_(file, tracker=undefined) {
+    if (typeof file === 'string') {
+      file = fs.createReadStream(file);
+    }
+    if (!tracker) {
+      return file;
+    }
+    if (file && typeof file.pipe === 'function') {
+      let isFile = (typeof file.path === 'string');
+      let size = isFile ? fs.statSync(file.path).size : undefined;
+      tracker.start(size);
+      let counter = tracker.createStream();
+      file.on('error', (err) => counter.destroy(err));
+      file.pipe(counter);
+      if (!isFile) {
+        return counter;
+      }
+      return {
+        value: counter,
+        options: {filename: path.basename(file.path), knownLength: size},
+      };
+    }
+    // Blobs and Files are consumed directly by the transport, so their
+    // progress is reported when the upload completes
+    tracker.start(file ? file.size : undefined);
+    tracker.addPendingBytes(file ? file.size : 0);
+    return file;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  progressTracker_(options) {
+    if (!options.onProgress) {
+      return undefined;
+    }
+    return new progress.ProgressTracker(options.onProgress);
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  finishProgress_(tracker) {
+    if (tracker) {
+      tracker.finish();
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  requestOptions_(options, requestOptions={}) {
+    return Object.assign(requestOptions, {
+      timeout: options.timeout,
+      signal: options.signal,
     });
   }
 }
@@ -1094,6 +2336,108 @@ function renderPrettyAnalyticName_(name, version=undefined) {
   return version ? `${name} v${version}` : name;
 }
 
+// eslint-disable-next-line require-jsdoc
+function removePartialFile_(outputPath) {
+  if (fs.existsSync(outputPath)) {
+    fs.unlinkSync(outputPath);
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseContentRange_(headers) {
+  // Content-Range headers have the form `bytes <start>-<end>/<total>` or
+  // `bytes */<total>`
+  let value = (headers && headers['content-range']) || '';
+  let match = /\/(\d+)\s*$/.exec(value);
+  return {total: match ? Number(match[1]) : undefined};
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseResponseSize_(res) {
+  if (res.statusCode === 206) {
+    return parseContentRange_(res.headers).total;
+  }
+  let length = res.headers && res.headers['content-length'];
+  return utils.isNullOrUndefined(length) ? undefined : Number(length);
+}
+
+// eslint-disable-next-line require-jsdoc
+async function verifyFile_(filePath, expected) {
+  let size = fs.statSync(filePath).size;
+  if (!utils.isNullOrUndefined(expected.size) && size !== expected.size) {
+    throw new DownloadVerificationError(
+      `Expected ${expected.size} bytes but downloaded ${size} bytes`);
+  }
+  for (let algorithm of ['md5', 'sha256']) {
+    if (!expected[algorithm]) {
+      continue;
+    }
+    let digest = await hashFile_(filePath, algorithm);
+    if (digest !== expected[algorithm].toLowerCase()) {
+      throw new DownloadVerificationError(
+        `Expected ${algorithm} hash ${expected[algorithm]} but downloaded ` +
+        `file has hash ${digest}`);
+    }
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function hashFile_(filePath, algorithm) {
+  return new Promise(function(resolve, reject) {
+    let hash = crypto.createHash(algorithm);
+    let stream = fs.createReadStream(filePath);
+    stream.on('data', (chunk) => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+  });
+}
+
+// eslint-disable-next-line require-jsdoc
+function toModels_(result, key, Model, api) {
+  let records = result[key] || [];
+  return Object.assign({}, result, {
+    [key]: records.map((record) => new Model(record, api)),
+  });
+}
+
+// eslint-disable-next-line require-jsdoc
+function toBatchModels_(responses, Model, api) {
+  let results = {};
+  for (let id in responses) {
+    if (responses.hasOwnProperty(id)) {
+      let response = responses[id];
+      if (response.success && response.response) {
+        response = Object.assign({}, response, {
+          response: new Model(response.response, api),
+        });
+      }
+      results[id] = response;
+    }
+  }
+  return results;
+}
+
+// eslint-disable-next-line require-jsdoc
+function* iterateDataPaths_(jobRequest) {
+  for (let field of ['inputs', 'parameters']) {
+    for (let [name, val] of Object.entries(jobRequest[field])) {
+      if (val instanceof jobs.RemoteDataPath) {
+        yield [field, name, val];
+      }
+    }
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function statFile_(filePath) {
+  try {
+    return fs.statSync(filePath);
+  } catch (err) {
+    throw new jobs.RemoteDataPathError(
+      `Local file '${filePath}' does not exist`);
+  }
+}
+
 // eslint-disable-next-line require-jsdoc
 function parseDate_(dateOrStr) {
   if (dateOrStr instanceof Date) {
@@ -1102,6 +2446,36 @@ function parseDate_(dateOrStr) {
   return dateOrStr.toString();
 }
 
+/**
+ * Error raised when a downloaded file fails integrity verification.
+ *
+ * @extends module:users/utils~ExtendableError
+ */
+class DownloadVerificationError extends utils.ExtendableError {}
+
+/**
+ * Error raised when a job cannot be retried.
+ *
+ * @extends module:users/utils~ExtendableError
+ *
+ * @property {string} jobId - the ID of the job
+ */
+class JobRetryError extends utils.ExtendableError {
+  /**
+   * Creates a new JobRetryError instance.
+   *
+   * @constructor
+   * @param {string} message - the error message
+   * @param {string} jobId - the ID of the job
+   */
+  constructor(message, jobId) {
+    super(message);
+    this.jobId = jobId;
+  }
+}
+
 exports.API = API;
 exports.AnalyticType = AnalyticType;
 exports.AnalyticImageType = AnalyticImageType;
+exports.DownloadVerificationError = DownloadVerificationError;
+exports.JobRetryError = JobRetryError;
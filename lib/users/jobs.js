@@ -14,6 +14,9 @@ const autoBind = require('auto-bind');
 const utils = require('./utils.js');
 
 const DATA_ID_FIELD = 'data-id';
+const SIGNED_URL_FIELD = 'signed-url';
+const LOCAL_PATH_FIELD = 'local-path';
+const METADATA_FIELD = 'metadata';
 
 /**
  * Enum describing the possible compute modes of a job.
@@ -52,6 +55,53 @@ const JobFailureType = {
   NONE: 'NONE',
 };
 
+/**
+ * Enum describing the possible outcomes of waiting for a job to complete.
+ *
+ * @enum {string}
+ */
+const JobWaitStatus = {
+  COMPLETE: 'COMPLETE',
+  FAILED: 'FAILED',
+  TIMED_OUT: 'TIMED_OUT',
+  ERROR: 'ERROR',
+};
+
+/**
+ * Enum describing the types of problems that can be found when validating a
+ * job request against the documentation of its analytic.
+ *
+ * @enum {string}
+ */
+const JobRequestProblemType = {
+  UNKNOWN_INPUT: 'UNKNOWN_INPUT',
+  MISSING_INPUT: 'MISSING_INPUT',
+  INVALID_INPUT: 'INVALID_INPUT',
+  UNKNOWN_PARAMETER: 'UNKNOWN_PARAMETER',
+  MISSING_PARAMETER: 'MISSING_PARAMETER',
+  EXPECTED_DATA: 'EXPECTED_DATA',
+  EXPECTED_VALUE: 'EXPECTED_VALUE',
+  INVALID_TYPE: 'INVALID_TYPE',
+  UNSUPPORTED_COMPUTE_MODE: 'UNSUPPORTED_COMPUTE_MODE',
+};
+
+/**
+ * Functions that check whether values are valid instances of the builtin
+ * (non-data) types that can appear in analytic documentation. Parameters of
+ * all other types are data parameters.
+ */
+const BUILTIN_TYPE_CHECKS = {
+  'eta.core.types.Null': (val) => val === null,
+  'eta.core.types.Boolean': (val) => typeof val === 'boolean',
+  'eta.core.types.String': (val) => typeof val === 'string',
+  'eta.core.types.Number': (val) => typeof val === 'number' && isFinite(val),
+  'eta.core.types.Array': (val) => Array.isArray(val),
+  'eta.core.types.StringArray': (val) => (
+    Array.isArray(val) && val.every((v) => typeof v === 'string')),
+  'eta.core.types.Object': isPlainObject_,
+  'eta.core.types.Config': isPlainObject_,
+};
+
 /**
  * Error raised when there is a problem with the execution of a job.
  *
@@ -82,9 +132,102 @@ class JobRequest extends utils.Serializable {
     this.computeMode = computeMode;
     this.inputs = {};
     this.parameters = {};
+    this.doc_ = null;
     autoBind(this);
   }
 
+  /**
+   * Creates a JobRequest instance for the analytic with the given
+   * documentation.
+   *
+   * The version of the job request is set to the version of the analytic,
+   * and all parameters with default values are pre-populated with them. Use
+   * `getMissingValues()` to determine which inputs and parameters still need
+   * values, and `describe()` to view the inputs and parameters of the
+   * analytic.
+   *
+   * @param {object} doc - the analytic documentation, as returned by
+   *   `API.getAnalyticDoc()`
+   * @param {JobComputeMode} [computeMode=null] - the JobComputeMode to use for
+   *   the job
+   * @return {JobRequest} a JobRequest instance
+   */
+  static fromAnalyticDoc(doc, computeMode=null) {
+    let info = doc.info || {};
+    let jobRequest = new JobRequest(info.name, info.version, computeMode);
+    jobRequest.doc_ = doc;
+    (doc.parameters || []).forEach(function(spec) {
+      let isData = !(spec.type in BUILTIN_TYPE_CHECKS);
+      if (!isData && ('default' in spec)) {
+        jobRequest.setParameter(spec.name, spec.default);
+      }
+    });
+    return jobRequest;
+  }
+
+  /**
+   * Determines which required inputs and parameters of the analytic do not
+   * yet have values.
+   *
+   * @param {object} [doc=undefined] - the analytic documentation. By default,
+   *   the documentation from which the job request was created is used
+   * @return {object} an object with `inputs` and `parameters` fields
+   *   containing arrays of the names of the missing inputs and parameters
+   * @throws {Error} if no analytic documentation is available
+   */
+  getMissingValues(doc=undefined) {
+    doc = this.getDoc_(doc);
+    let getMissing = (specs, values) => (specs || [])
+      .filter((spec) => isRequired_(spec) && !(spec.name in values))
+      .map((spec) => spec.name);
+    return {
+      inputs: getMissing(doc.inputs, this.inputs),
+      parameters: getMissing(doc.parameters, this.parameters),
+    };
+  }
+
+  /**
+   * Renders a human-readable description of the inputs and parameters of the
+   * analytic, including their types, descriptions, whether they are
+   * required, and their current values in the job request.
+   *
+   * @param {object} [doc=undefined] - the analytic documentation. By default,
+   *   the documentation from which the job request was created is used
+   * @return {string} the description
+   * @throws {Error} if no analytic documentation is available
+   */
+  describe(doc=undefined) {
+    doc = this.getDoc_(doc);
+    let info = doc.info || {};
+    let lines = [`Analytic: ${info.name || this.analytic}` +
+      (info.version ? ` (version ${info.version})` : '')];
+    if (info.description) {
+      lines.push(info.description);
+    }
+
+    let describeSpecs = (title, specs, values) => {
+      lines.push('', `${title}:`);
+      if (!specs || !specs.length) {
+        lines.push('  (none)');
+      }
+      (specs || []).forEach(function(spec) {
+        let attrs = [spec.type, isRequired_(spec) ? 'required' : 'optional'];
+        if ('default' in spec) {
+          attrs.push(`default: ${JSON.stringify(spec.default)}`);
+        }
+        let value = (spec.name in values) ?
+          `= ${formatValue_(values[spec.name])}` : '(not set)';
+        lines.push(`  ${spec.name} [${attrs.join(', ')}] ${value}`);
+        if (spec.description) {
+          lines.push(`      ${spec.description}`);
+        }
+      });
+    };
+    describeSpecs('Inputs', doc.inputs, this.inputs);
+    describeSpecs('Parameters', doc.parameters, this.parameters);
+    return lines.join('\n');
+  }
+
   /**
    * Sets the input of the given name.
    *
@@ -117,6 +260,86 @@ class JobRequest extends utils.Serializable {
     this.parameters[name] = val;
   }
 
+  /**
+   * Validates the job request against the documentation of its analytic.
+   *
+   * The following problems are detected:
+   *
+   * - inputs that are not defined by the analytic, are missing but required,
+   *   or are not RemoteDataPath instances
+   * - parameters that are not defined by the analytic or are missing but
+   *   required. Inputs and parameters are required if their `required` field
+   *   is true or, if it is omitted, if they have no `default` value
+   * - data parameters whose values are not RemoteDataPath instances, and
+   *   non-data parameters whose values are
+   * - non-data parameters whose values do not match their builtin types,
+   *   e.g., a string where a number is expected
+   * - compute modes that are not supported by the analytic
+   *
+   * @param {object} [doc=undefined] - the analytic documentation, as returned
+   *   by `API.getAnalyticDoc()`. By default, the documentation from which the
+   *   job request was created is used
+   * @return {Array} an array of problems, which is empty if the job request
+   *   is valid. Each problem is an object with a `type` field, which is a
+   *   value in the `JobRequestProblemType` enum, a `name` field, which is the
+   *   name of the offending input or parameter (if any), and a `message`
+   */
+  validate(doc=undefined) {
+    doc = this.getDoc_(doc);
+    let problems = [];
+    let addProblem = function(type, name, message) {
+      problems.push({type, name, message});
+    };
+
+    let inputSpecs = toSpecMap_(doc.inputs);
+    for (let name in this.inputs) {
+      if (!this.inputs.hasOwnProperty(name)) {
+        continue;
+      }
+      if (!inputSpecs[name]) {
+        addProblem(JobRequestProblemType.UNKNOWN_INPUT, name,
+          `Analytic '${this.analytic}' has no input '${name}'`);
+      } else if (!(this.inputs[name] instanceof RemoteDataPath)) {
+        addProblem(JobRequestProblemType.INVALID_INPUT, name,
+          `Input '${name}' must be a RemoteDataPath`);
+      }
+    }
+    for (let name in inputSpecs) {
+      if (isRequired_(inputSpecs[name]) && !(name in this.inputs)) {
+        addProblem(JobRequestProblemType.MISSING_INPUT, name,
+          `Required input '${name}' is missing`);
+      }
+    }
+
+    let paramSpecs = toSpecMap_(doc.parameters);
+    for (let name in this.parameters) {
+      if (this.parameters.hasOwnProperty(name)) {
+        let problem = checkParameter_(
+          name, this.parameters[name], paramSpecs[name], this.analytic);
+        if (problem) {
+          problems.push(problem);
+        }
+      }
+    }
+    for (let name in paramSpecs) {
+      if (isRequired_(paramSpecs[name]) && !(name in this.parameters)) {
+        addProblem(JobRequestProblemType.MISSING_PARAMETER, name,
+          `Required parameter '${name}' is missing`);
+      }
+    }
+
+    let info = doc.info || {};
+    let computeMode = this.computeMode;
+    if ((computeMode === JobComputeMode.GPU && info.supports_gpu === false) ||
+        (computeMode === JobComputeMode.CPU && info.supports_cpu === false)) {
+      addProblem(JobRequestProblemType.UNSUPPORTED_COMPUTE_MODE, undefined,
+        `Analytic '${this.analytic}' does not support compute mode ` +
+        `'${computeMode}'`);
+    }
+
+    return problems;
+  }
+
   /**
    * Constructs a JobRequest object from a JSON object representation of it.
    *
@@ -154,6 +377,16 @@ class JobRequest extends utils.Serializable {
     return jobRequest;
   }
 
+  // eslint-disable-next-line require-jsdoc
+  getDoc_(doc) {
+    doc = doc || this.doc_;
+    if (!doc) {
+      throw new Error(
+        `No documentation is available for analytic '${this.analytic}'`);
+    }
+    return doc;
+  }
+
   // eslint-disable-next-line require-jsdoc
   attributes_() {
     let attrs = {};
@@ -173,10 +406,22 @@ class JobRequest extends utils.Serializable {
 /**
  * Class encapsulating a remote data path.
  *
+ * A RemoteDataPath refers to data in one of the following ways:
+ *
+ * - by the ID of data in cloud storage
+ * - by a signed URL and metadata describing the data, which is registered via
+ *   `API.postDataAsURL()` when the job request is uploaded
+ * - by the path to a local file, which is uploaded via `API.uploadData()`
+ *   when the job request is uploaded
+ *
  * @extends module:users/utils~Serializable
  *
  * @property {boolean} hasDataId true if this instance has a data ID, and false
  *   otherwise
+ * @property {boolean} hasSignedURL true if this instance has a signed URL,
+ *   and false otherwise
+ * @property {boolean} hasLocalPath true if this instance has a local path,
+ *   and false otherwise
  * @property {boolean} isValid true if this instance is valid, and false
  *   otherwise
  */
@@ -184,13 +429,22 @@ class RemoteDataPath extends utils.Serializable {
   /**
    * Creates a new RemoteDataPath instance.
    *
+   * Exactly one of `dataId`, `signedURL`, and `localPath` must be provided.
+   *
    * @constructor
    * @param {string} [dataId=null] - the ID of the data in cloud storage
+   * @param {string} [signedURL=null] - a signed URL to the data
+   * @param {string} [localPath=null] - the path to a local file
+   * @param {object} [metadata={}] - metadata describing the data at the
+   *   signed URL. See `fromSignedURL()` for details
    * @throws {RemoteDataPathError} if the instance creation failed
    */
-  constructor(dataId=null) {
+  constructor(dataId=null, signedURL=null, localPath=null, metadata={}) {
     super();
     this.dataId = dataId;
+    this.signedURL = signedURL;
+    this.localPath = localPath;
+    this.metadata = metadata;
     if (!this.isValid) {
       throw new RemoteDataPathError('Invalid RemoteDataPath');
     }
@@ -206,13 +460,32 @@ class RemoteDataPath extends utils.Serializable {
     return this.dataId !== null;
   }
 
+  /**
+   * Checks whether this RemoteDataPath has a signed URL.
+   *
+   * @return {boolean}
+   */
+  get hasSignedURL() {
+    return this.signedURL !== null;
+  }
+
+  /**
+   * Checks whether this RemoteDataPath has a local path.
+   *
+   * @return {boolean}
+   */
+  get hasLocalPath() {
+    return this.localPath !== null;
+  }
+
   /**
    * Checks whether this RemoteDataPath is valid.
    *
    * @return {boolean}
    */
   get isValid() {
-    return this.hasDataId;
+    let sources = [this.hasDataId, this.hasSignedURL, this.hasLocalPath];
+    return sources.filter(Boolean).length === 1;
   }
 
   /**
@@ -225,6 +498,57 @@ class RemoteDataPath extends utils.Serializable {
     return new RemoteDataPath(dataId);
   }
 
+  /**
+   * Creates a RemoteDataPath instance defined by the given signed URL.
+   *
+   * @param {string} url - a URL (typically a signed URL) that can be accessed
+   *   publicly via an HTTP GET request until its expiration date
+   * @param {object} metadata - metadata describing the data
+   * @param {string} [metadata.filename=undefined] - the filename of the data.
+   *   By default, the last component of the path of the URL is used
+   * @param {string} metadata.mimeType - the MIME type of the data
+   * @param {number} metadata.size - the size of the data, in bytes
+   * @param {Date|string} metadata.expirationDate - the expiration date of the
+   *   URL
+   * @param {string} [metadata.encoding=undefined] - the encoding of the data
+   * @return {RemoteDataPath} a RemoteDataPath instance with the given signed
+   *   URL
+   * @throws {RemoteDataPathError} if the URL is invalid or required metadata
+   *   is missing
+   */
+  static fromSignedURL(url, metadata) {
+    metadata = Object.assign({}, metadata);
+    try {
+      let urlPath = new URL(url).pathname;
+      if (!metadata.filename) {
+        metadata.filename = decodeURIComponent(
+          urlPath.slice(urlPath.lastIndexOf('/') + 1));
+      }
+    } catch (err) {
+      throw new RemoteDataPathError(
+        `Invalid signed URL '${url}': ${err.message}`);
+    }
+    let missing = ['filename', 'mimeType', 'size', 'expirationDate'].filter(
+      (field) => utils.isNullOrUndefined(metadata[field]) ||
+        metadata[field] === '');
+    if (missing.length) {
+      throw new RemoteDataPathError(
+        `Signed URL RemoteDataPath is missing ${missing.join(', ')}`);
+    }
+    return new RemoteDataPath(null, url, null, metadata);
+  }
+
+  /**
+   * Creates a RemoteDataPath instance defined by the given local path.
+   *
+   * @param {string} localPath - the path to a local file
+   * @return {RemoteDataPath} a RemoteDataPath instance with the given local
+   *   path
+   */
+  static fromLocalPath(localPath) {
+    return new RemoteDataPath(null, null, localPath);
+  }
+
   /**
    * Determines whether the given value defines a valid RemoteDataPath
    * dictionary.
@@ -251,8 +575,17 @@ class RemoteDataPath extends utils.Serializable {
    * @throws {RemoteDataPathError} if the instance creation failed
    */
   static fromObject(obj) {
-    if (DATA_ID_FIELD in obj) {
-      return RemoteDataPath.fromDataId(obj[DATA_ID_FIELD]);
+    if (obj instanceof Object) {
+      if (DATA_ID_FIELD in obj) {
+        return RemoteDataPath.fromDataId(obj[DATA_ID_FIELD]);
+      }
+      if (SIGNED_URL_FIELD in obj) {
+        return RemoteDataPath.fromSignedURL(
+          obj[SIGNED_URL_FIELD], obj[METADATA_FIELD]);
+      }
+      if (LOCAL_PATH_FIELD in obj) {
+        return RemoteDataPath.fromLocalPath(obj[LOCAL_PATH_FIELD]);
+      }
     }
     throw new RemoteDataPathError(
       'Invalid RemoteDataPath object: ' + JSON.stringify(obj, null, 4));
@@ -263,10 +596,110 @@ class RemoteDataPath extends utils.Serializable {
     if (this.hasDataId) {
       return {dataId: DATA_ID_FIELD};
     }
+    if (this.hasSignedURL) {
+      return {signedURL: SIGNED_URL_FIELD, metadata: METADATA_FIELD};
+    }
+    if (this.hasLocalPath) {
+      return {localPath: LOCAL_PATH_FIELD};
+    }
     throw new RemoteDataPathError('Invalid RemoteDataPath');
   }
 }
 
+// eslint-disable-next-line require-jsdoc
+function checkParameter_(name, val, spec, analytic) {
+  if (!spec) {
+    return {
+      type: JobRequestProblemType.UNKNOWN_PARAMETER,
+      name: name,
+      message: `Analytic '${analytic}' has no parameter '${name}'`,
+    };
+  }
+  let isData = !(spec.type in BUILTIN_TYPE_CHECKS);
+  let isPath = (val instanceof RemoteDataPath);
+  if (isData && !isPath) {
+    return {
+      type: JobRequestProblemType.EXPECTED_DATA,
+      name: name,
+      message: `Parameter '${name}' is a data parameter of type ` +
+        `'${spec.type}', so its value must be a RemoteDataPath`,
+    };
+  }
+  if (!isData && isPath) {
+    return {
+      type: JobRequestProblemType.EXPECTED_VALUE,
+      name: name,
+      message: `Parameter '${name}' is not a data parameter, so its value ` +
+        `must be a '${spec.type}' rather than a RemoteDataPath`,
+    };
+  }
+  let optionalNull = (val === null && !isRequired_(spec));
+  if (!isData && !optionalNull && !BUILTIN_TYPE_CHECKS[spec.type](val)) {
+    return {
+      type: JobRequestProblemType.INVALID_TYPE,
+      name: name,
+      message: `Parameter '${name}' must be a '${spec.type}', but found ` +
+        `${formatValue_(val)}`,
+    };
+  }
+  return null;
+}
+
+// eslint-disable-next-line require-jsdoc
+function formatValue_(val) {
+  // Note that `Serializable.toJSON()` writes to disk, so it must not be
+  // invoked by `JSON.stringify()`
+  if (val instanceof utils.Serializable) {
+    val = val.toObject();
+  }
+  return JSON.stringify(val);
+}
+
+// eslint-disable-next-line require-jsdoc
+function toSpecMap_(specs) {
+  let specMap = {};
+  (specs || []).forEach(function(spec) {
+    specMap[spec.name] = spec;
+  });
+  return specMap;
+}
+
+// eslint-disable-next-line require-jsdoc
+function isRequired_(spec) {
+  if (!utils.isNullOrUndefined(spec.required)) {
+    return Boolean(spec.required);
+  }
+  return !('default' in spec);
+}
+
+// eslint-disable-next-line require-jsdoc
+function isPlainObject_(val) {
+  return (val instanceof Object) && !Array.isArray(val) &&
+    !(val instanceof RemoteDataPath);
+}
+
+/**
+ * Error raised when a job request is invalid.
+ *
+ * @extends module:users/utils~ExtendableError
+ *
+ * @property {Array} problems - the problems with the job request, as returned
+ *   by `JobRequest.validate()`
+ */
+class JobRequestValidationError extends utils.ExtendableError {
+  /**
+   * Creates a new JobRequestValidationError instance.
+   *
+   * @constructor
+   * @param {string} message - the error message
+   * @param {Array} problems - the problems with the job request
+   */
+  constructor(message, problems) {
+    super(message);
+    this.problems = problems;
+  }
+}
+
 /**
  * Error raised when an invalid RemoteDataPath instance is found.
  *
@@ -277,6 +710,10 @@ class RemoteDataPathError extends utils.ExtendableError {}
 exports.JobComputeMode = JobComputeMode;
 exports.JobState = JobState;
 exports.JobFailureType = JobFailureType;
+exports.JobWaitStatus = JobWaitStatus;
+exports.JobRequestProblemType = JobRequestProblemType;
 exports.JobExecutionError = JobExecutionError;
+exports.JobRequestValidationError = JobRequestValidationError;
 exports.JobRequest = JobRequest;
 exports.RemoteDataPath = RemoteDataPath;
+exports.RemoteDataPathError = RemoteDataPathError;
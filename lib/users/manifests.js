@@ -0,0 +1,361 @@
+/**
+ * Declarative manifests of jobs to submit to the Voxel51 Platform API.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ *
+ * @module users/manifests
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const autoBind = require('auto-bind');
+const glob = require('glob');
+const yaml = require('js-yaml');
+
+const jobs = require('./jobs.js');
+const utils = require('./utils.js');
+
+/**
+ * The fields that may appear in each job entry of a manifest.
+ */
+const ENTRY_FIELDS = [
+  'name', 'analytic', 'version', 'compute_mode', 'inputs', 'parameters',
+  'ttl', 'auto_start',
+];
+
+/**
+ * The field of an input that defines a glob pattern over local files.
+ */
+const GLOB_FIELD = 'glob';
+
+/**
+ * Pattern matching variable references of the form `${name}`.
+ */
+const VARIABLE_PATTERN = /\$\{([^}]+)\}/g;
+
+/**
+ * Class describing a job to submit, as defined by an entry of a manifest.
+ *
+ * @property {string} name - the name of the job, which is unique within the
+ *   manifest
+ * @property {number} entry - the index of the entry of the manifest that
+ *   defines the job
+ * @property {string} file - the local file matched by the glob pattern of the
+ *   entry, if any
+ * @property {JobRequest} jobRequest - the job request of the job
+ * @property {Date|string} ttl - the TTL of the job output, if any
+ * @property {boolean} autoStart - whether to start the job upon creation
+ */
+class ManifestJob {
+  /**
+   * Creates a new ManifestJob instance.
+   *
+   * @constructor
+   * @param {string} name - the name of the job
+   * @param {number} entry - the index of the entry of the manifest
+   * @param {string} file - the matched local file, or null
+   * @param {JobRequest} jobRequest - the job request of the job
+   * @param {Date|string} ttl - the TTL of the job output, or undefined
+   * @param {boolean} autoStart - whether to start the job upon creation
+   */
+  constructor(name, entry, file, jobRequest, ttl, autoStart) {
+    this.name = name;
+    this.entry = entry;
+    this.file = file;
+    this.jobRequest = jobRequest;
+    this.ttl = ttl;
+    this.autoStart = autoStart;
+  }
+}
+
+/**
+ * Class describing a manifest of jobs to submit.
+ *
+ * Manifests are JSON or YAML files of the following form:
+ *
+ * ```yaml
+ * variables:
+ *   videos: /path/to/videos
+ * defaults:
+ *   compute_mode: GPU
+ *   auto_start: true
+ * jobs:
+ *   - name: detect-${file.stem}
+ *     analytic: <analytic>
+ *     version: '<version>'
+ *     inputs:
+ *       video:
+ *         glob: ${videos}/*.mp4
+ *     parameters:
+ *       fps: 5
+ *     ttl: 2030-01-01T00:00:00Z
+ *   - analytic: <analytic>
+ *     inputs:
+ *       video:
+ *         data-id: <data-id>
+ * ```
+ *
+ * Each entry of `jobs` may define the `name`, `analytic`, `version`,
+ * `compute_mode`, `inputs`, `parameters`, `ttl`, and `auto_start` of a job,
+ * and any fields that are omitted are taken from `defaults`. Inputs and data
+ * parameters are specified in the same format as in job request JSON files,
+ * i.e., `{data-id: <id>}` or `{local-path: <path>}`, where relative local
+ * paths are interpreted relative to the directory containing the manifest.
+ * Note that versions such as `1.0` must be quoted in YAML manifests, since
+ * they would otherwise be parsed as numbers.
+ *
+ * At most one input of each entry may instead be of the form
+ * `{glob: <pattern>}`, in which case the entry defines one job per local file
+ * matching the pattern, in sorted order. The matched file is available to the
+ * other fields of the entry via the `file.path`, `file.name` (the basename),
+ * `file.stem` (the basename without extension), and `file.index` variables.
+ *
+ * All strings may reference variables of the form `${name}`, which are
+ * replaced by the values defined in `variables`. A string that consists of a
+ * single variable reference is replaced by the value itself, so that
+ * variables may define non-string parameter values.
+ *
+ * Jobs whose names are not specified are named `<analytic>-<index>`, where
+ * `index` is the index of the job in the manifest.
+ *
+ * @property {string} path - the path to the manifest file, if any
+ * @property {Array} jobs - an array of ManifestJob instances describing the
+ *   jobs defined by the manifest
+ */
+class Manifest {
+  /**
+   * Creates a new Manifest instance from the given manifest object.
+   *
+   * @constructor
+   * @param {object} obj - the manifest object
+   * @param {object} [options={}] - options for the manifest
+   * @param {string} [options.baseDir=undefined] - the directory relative to
+   *   which local paths and glob patterns are interpreted. By default, the
+   *   current working directory is used
+   * @param {object} [options.variables={}] - variables that override those
+   *   defined by the manifest
+   * @param {string} [options.path=undefined] - the path to the manifest file
+   * @throws {ManifestError} if the manifest is invalid
+   */
+  constructor(obj, options={}) {
+    this.path = options.path;
+    this.baseDir_ = path.resolve(options.baseDir || '.');
+    this.jobs = [];
+    autoBind(this);
+    this.parse_(obj, options.variables || {});
+  }
+
+  /**
+   * Loads the manifest from the given JSON or YAML file.
+   *
+   * Files with `.yml` or `.yaml` extensions are parsed as YAML, and all
+   * other files are parsed as JSON.
+   *
+   * @param {string} manifestPath - the path to the manifest file
+   * @param {object} [options={}] - options for the manifest. See the
+   *   constructor for details. By default, `baseDir` is the directory
+   *   containing the manifest
+   * @return {Manifest} a Manifest instance
+   * @throws {ManifestError} if the manifest could not be parsed or is invalid
+   */
+  static fromFile(manifestPath, options={}) {
+    let obj;
+    try {
+      let contents = fs.readFileSync(manifestPath, 'utf8');
+      if (['.yml', '.yaml'].includes(path.extname(manifestPath))) {
+        obj = yaml.safeLoad(contents);
+      } else {
+        obj = JSON.parse(contents);
+      }
+    } catch (err) {
+      throw new ManifestError(
+        `Failed to parse manifest '${manifestPath}': ${err.message}`);
+    }
+    return new Manifest(obj, Object.assign({
+      baseDir: path.dirname(manifestPath),
+      path: manifestPath,
+    }, options));
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  parse_(obj, overrides) {
+    if (!isPlainObject_(obj) || !Array.isArray(obj.jobs)) {
+      throw new ManifestError('Manifest must define a `jobs` array');
+    }
+    let variables = Object.assign({}, obj.variables, overrides);
+    let defaults = obj.defaults || {};
+    let names = new Set();
+    obj.jobs.forEach((entry, index) => {
+      if (!isPlainObject_(entry)) {
+        throw new ManifestError(`Entry ${index} of manifest is not an object`);
+      }
+      entry = Object.assign({}, defaults, entry);
+      for (let job of this.expandEntry_(entry, index, variables)) {
+        if (job.name === null) {
+          job.name = `${job.jobRequest.analytic}-${this.jobs.length}`;
+        }
+        if (names.has(job.name)) {
+          throw new ManifestError(
+            `Entry ${index} of manifest defines duplicate job '${job.name}'`);
+        }
+        names.add(job.name);
+        this.jobs.push(job);
+      }
+    });
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  expandEntry_(entry, index, variables) {
+    let unknown = Object.keys(entry).filter((f) => !ENTRY_FIELDS.includes(f));
+    if (unknown.length) {
+      throw new ManifestError(
+        `Entry ${index} of manifest has unknown fields: ${unknown.join(', ')}`);
+    }
+
+    let globInputs = Object.keys(entry.inputs || {}).filter((name) => (
+      isPlainObject_(entry.inputs[name]) &&
+      GLOB_FIELD in entry.inputs[name]));
+    if (globInputs.length > 1) {
+      throw new ManifestError(
+        `Entry ${index} of manifest has more than one glob input`);
+    }
+    if (!globInputs.length) {
+      return [this.parseEntry_(entry, index, variables, null)];
+    }
+
+    let globInput = globInputs[0];
+    let pattern = substitute_(
+      entry.inputs[globInput][GLOB_FIELD], variables, index);
+    let files = glob.sync(pattern, {
+      cwd: this.baseDir_,
+      absolute: true,
+      nodir: true,
+    }).sort();
+    if (!files.length) {
+      throw new ManifestError(
+        `Glob '${pattern}' of entry ${index} of manifest matched no files`);
+    }
+    return files.map((file, fileIndex) => {
+      let inputs = Object.assign({}, entry.inputs);
+      inputs[globInput] = jobs.RemoteDataPath.fromLocalPath(file).toObject();
+      let fileVariables = Object.assign({}, variables, {
+        'file.path': file,
+        'file.name': path.basename(file),
+        'file.stem': path.basename(file, path.extname(file)),
+        'file.index': fileIndex,
+      });
+      return this.parseEntry_(
+        Object.assign({}, entry, {inputs}), index, fileVariables, file);
+    });
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  parseEntry_(entry, index, variables, file) {
+    entry = substitute_(entry, variables, index);
+    if (!entry.analytic) {
+      throw new ManifestError(`Entry ${index} of manifest has no analytic`);
+    }
+    let computeMode = entry.compute_mode;
+    if (!utils.isNullOrUndefined(computeMode) &&
+        !Object.values(jobs.JobComputeMode).includes(computeMode)) {
+      throw new ManifestError(
+        `Entry ${index} of manifest has invalid compute mode ` +
+        `'${computeMode}'`);
+    }
+
+    let jobRequest;
+    try {
+      jobRequest = jobs.JobRequest.fromObject({
+        analytic: entry.analytic,
+        version: utils.isNullOrUndefined(entry.version) ?
+          null : String(entry.version),
+        compute_mode: computeMode,
+        inputs: entry.inputs || {},
+        parameters: entry.parameters || {},
+      });
+    } catch (err) {
+      throw new ManifestError(
+        `Entry ${index} of manifest is invalid: ${err.message}`);
+    }
+    let dataPaths = Object.values(jobRequest.inputs).concat(
+      Object.values(jobRequest.parameters));
+    dataPaths.forEach((dataPath) => {
+      if (dataPath instanceof jobs.RemoteDataPath && dataPath.hasLocalPath) {
+        dataPath.localPath = path.resolve(this.baseDir_, dataPath.localPath);
+      }
+    });
+
+    let name = utils.isNullOrUndefined(entry.name) ? null : String(entry.name);
+    return new ManifestJob(
+      name, index, file, jobRequest, entry.ttl,
+      Boolean(entry.auto_start));
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function substitute_(val, variables, index) {
+  if (typeof val === 'string') {
+    let lookup = function(name) {
+      if (!(name in variables)) {
+        throw new ManifestError(
+          `Entry ${index} of manifest references undefined variable ` +
+          `'${name}'`);
+      }
+      return variables[name];
+    };
+    let match = /^\$\{([^}]+)\}$/.exec(val);
+    if (match) {
+      return lookup(match[1]);
+    }
+    return val.replace(VARIABLE_PATTERN, (ref, name) => String(lookup(name)));
+  }
+  if (Array.isArray(val)) {
+    return val.map((item) => substitute_(item, variables, index));
+  }
+  if (isPlainObject_(val)) {
+    let result = {};
+    for (let [key, item] of Object.entries(val)) {
+      result[key] = substitute_(item, variables, index);
+    }
+    return result;
+  }
+  return val;
+}
+
+// eslint-disable-next-line require-jsdoc
+function isPlainObject_(val) {
+  // YAML timestamps are parsed as Dates, which must not be treated as objects
+  return val !== null && typeof val === 'object' &&
+    Object.getPrototypeOf(val) === Object.prototype;
+}
+
+/**
+ * Error raised when a manifest is invalid.
+ *
+ * @extends module:users/utils~ExtendableError
+ *
+ * @property {Array} problems - the problems with the jobs of the manifest, if
+ *   any. Each problem is an object with the `name` of the job and the
+ *   `problems` of its job request, as returned by `API.validateJobRequest()`
+ */
+class ManifestError extends utils.ExtendableError {
+  /**
+   * Creates a new ManifestError instance.
+   *
+   * @constructor
+   * @param {string} message - the error message
+   * @param {Array} [problems=[]] - the problems with the jobs of the manifest
+   */
+  constructor(message, problems=[]) {
+    super(message);
+    this.problems = problems;
+  }
+}
+
+exports.ManifestJob = ManifestJob;
+exports.Manifest = Manifest;
+exports.ManifestError = ManifestError;
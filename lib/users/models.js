@@ -0,0 +1,533 @@
+/**
+ * Resource models for the Voxel51 Platform API.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ *
+ * @module users/models
+ */
+
+'use strict';
+
+const autoBind = require('auto-bind');
+
+const jobs = require('./jobs.js');
+const utils = require('./utils.js');
+
+/**
+ * Base class for resources returned by the API, such as jobs and data.
+ *
+ * The fields of the JSON representation of the resource are exposed as
+ * camel-cased attributes of the instance, e.g., the `upload_date` field is
+ * available as `uploadDate`. Fields whose names end in `_date` are parsed into
+ * Date objects. Fields whose attribute names would collide with members of the
+ * resource, e.g., a `refresh` field, are not exposed as attributes, but all
+ * fields are available via `getField()`. Serializing the instance via
+ * `toObject()` or `toString()` reproduces the JSON representation of the
+ * resource. As with all Serializable objects, `toJSON(path)` writes the
+ * resource to disk, so pass `toObject()` to `JSON.stringify()` instead of the
+ * resource itself.
+ *
+ * Resources are bound to the API instance that fetched them, which is used by
+ * methods that make requests, such as `refresh()`. The methods of resources are
+ * bound to their instances, so they can be passed as callbacks.
+ *
+ * @extends module:users/utils~Serializable
+ */
+class Resource extends utils.Serializable {
+  /**
+   * Creates a new Resource instance.
+   *
+   * @constructor
+   * @param {object} [fields={}] - the JSON representation of the resource, as
+   *   returned by the API
+   * @param {API} [api=null] - the API instance to which to bind the resource
+   */
+  constructor(fields={}, api=null) {
+    super();
+    this.api_ = api;
+    this.fieldNames_ = {};
+    this.reservedFields_ = {};
+    this.update_(fields);
+    autoBind(this);
+  }
+
+  /**
+   * Constructs a Resource instance from a JSON object representation of it.
+   *
+   * @param {object} obj - a JSON object representation of the resource
+   * @param {API} [api=null] - the API instance to which to bind the resource
+   * @return {Resource} an instance of the Resource subclass
+   */
+  static fromObject(obj, api=null) {
+    return new this(obj, api);
+  }
+
+  /**
+   * Refreshes the fields of the resource from the API.
+   *
+   * Subclasses must implement this method.
+   *
+   * @abstract
+   * @param {object} [options={}] - optional request options
+   * @return {Promise<Resource>} a Promise that resolves to this instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  refresh(options={}) {
+    throw new utils.NotImplementedError('subclass must implement refresh()');
+  }
+
+  /**
+   * Gets the value of the given field of the resource.
+   *
+   * @param {string} field - the name of the field in the JSON representation
+   *   of the resource, e.g., `upload_date`
+   * @return {*} the value of the field, or undefined if the resource has no
+   *   such field
+   */
+  getField(field) {
+    if (this.reservedFields_.hasOwnProperty(field)) {
+      return parseField_(field, this.reservedFields_[field]);
+    }
+    let name = toCamelCase_(field);
+    return (this.fieldNames_[name] === field) ? this[name] : undefined;
+  }
+
+  /**
+   * Generates a JSON representation of the resource.
+   *
+   * @return {object} a JSON representation of the resource
+   */
+  toObject() {
+    return Object.assign(super.toObject(), this.reservedFields_);
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  getAPI_() {
+    if (!this.api_) {
+      throw new UnboundResourceError(
+        `${this.constructor.name} ${this.id} is not bound to an API instance`);
+    }
+    return this.api_;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  update_(fields) {
+    for (let field in fields) {
+      if (fields.hasOwnProperty(field)) {
+        let name = toCamelCase_(field);
+        if (this.isReserved_(name)) {
+          this.reservedFields_[field] = fields[field];
+          continue;
+        }
+        this[name] = parseField_(field, fields[field]);
+        this.fieldNames_[name] = field;
+      }
+    }
+    return this;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  isReserved_(name) {
+    // Methods are bound to instances, so they are looked up on the prototype
+    // chain rather than on the instance itself
+    return name.endsWith('_') || (name in Object.getPrototypeOf(this));
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  attributes_() {
+    return Object.assign({}, this.fieldNames_);
+  }
+}
+
+/**
+ * Class representing a job.
+ *
+ * @extends module:users/models~Resource
+ *
+ * @property {string} id - the ID of the job
+ * @property {string} name - the name of the job
+ * @property {JobState} state - the state of the job
+ * @property {Date} uploadDate - the date that the job was created
+ * @property {Date} expirationDate - the date that the job will expire
+ */
+class Job extends Resource {
+  /**
+   * Refreshes the details of the job from the API.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @return {Job} this instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async refresh(options={}) {
+    let job = await this.getAPI_().getJobDetails(this.id, options);
+    return this.update_(job);
+  }
+
+  /**
+   * Determines whether the job is complete, according to its current state.
+   *
+   * @return {boolean} true if the job is complete, and false otherwise
+   * @throws {JobExecutionError} if the job failed
+   */
+  isComplete() {
+    if (this.state === jobs.JobState.FAILED) {
+      throw new jobs.JobExecutionError('Job ' + this.id + ' failed');
+    }
+    return this.state === jobs.JobState.COMPLETE;
+  }
+
+  /**
+   * Determines whether the job is expired, according to its expiration date.
+   *
+   * @return {boolean} true if the job is expired, and false otherwise
+   */
+  isExpired() {
+    return isExpired_(this);
+  }
+
+  /**
+   * Starts the job.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async start(options={}) {
+    await this.getAPI_().startJob(this.id, options);
+  }
+
+  /**
+   * Force kills the job.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async kill(options={}) {
+    await this.getAPI_().killJob(this.id, options);
+  }
+
+  /**
+   * Archives the job.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async archive(options={}) {
+    await this.getAPI_().archiveJob(this.id, options);
+  }
+
+  /**
+   * Unarchives the job.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async unarchive(options={}) {
+    await this.getAPI_().unarchiveJob(this.id, options);
+  }
+
+  /**
+   * Deletes the job.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async delete(options={}) {
+    await this.getAPI_().deleteJob(this.id, options);
+  }
+
+  /**
+   * Retries the job, if it failed. See `API.retryJob()` for details.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options, including the
+   *   `onlyFailureTypes` and `autoStart` options
+   * @return {Job} a Job instance describing the new job
+   * @throws {JobRetryError} if the job cannot be retried
+   * @throws {APIError} if an underlying API request was unsuccessful
+   */
+  async retry(options={}) {
+    let api = this.getAPI_();
+    let jobId = await api.retryJob(this.id, options);
+    return await api.getJob(jobId, options);
+  }
+
+  /**
+   * Updates the expiration date of the job. See `API.updateJobTTL()` for
+   * details.
+   *
+   * @async
+   * @param {number} [days=undefined] - the number of days by which to extend
+   *   the lifespan of the job
+   * @param {Date|string} [expirationDate=undefined] - a new TTL for the job
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async extendTTL(days=undefined, expirationDate=undefined, options={}) {
+    await this.getAPI_().updateJobTTL(this.id, days, expirationDate, options);
+  }
+
+  /**
+   * Waits until the job is complete and then refreshes its details.
+   *
+   * @async
+   * @param {number} [sleepTime=5] - the number of seconds to wait between job
+   *   state checks
+   * @param {number} [maxWaitTime=600] - the maximum number of seconds to wait
+   *   for the job to complete
+   * @param {object} [options={}] - optional request options
+   * @return {Job} this instance
+   * @throws {JobExecutionError} if the job failed
+   * @throws {APITimeoutError} if the maximum wait time was exceeded
+   * @throws {APIError} if an underlying API request was unsuccessful
+   */
+  async wait(sleepTime=5, maxWaitTime=600, options={}) {
+    let api = this.getAPI_();
+    await api.waitUntilJobCompletes(this.id, sleepTime, maxWaitTime, options);
+    return await this.refresh(options);
+  }
+
+  /**
+   * Gets the job request for the job.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @return {JobRequest} the JobRequest instance describing the job
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async getRequest(options={}) {
+    return await this.getAPI_().getJobRequest(this.id, options);
+  }
+
+  /**
+   * Gets the status of the job.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @return {object} an object describing the status of the job
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async getStatus(options={}) {
+    return await this.getAPI_().getJobStatus(this.id, options);
+  }
+
+  /**
+   * Downloads the output of the job. See `API.downloadJobOutput()` for
+   * details.
+   *
+   * @async
+   * @param {string} [outputPath=undefined] - the output path to write to
+   * @param {object} [options={}] - optional request options
+   * @return {string} the path to the downloaded job output
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async downloadOutput(outputPath=undefined, options={}) {
+    return await this.getAPI_().downloadJobOutput(
+      this.id, outputPath, options);
+  }
+
+  /**
+   * Downloads the logfile of the job. See `API.downloadJobLogfile()` for
+   * details.
+   *
+   * @async
+   * @param {string} [outputPath=undefined] - the path to write the logfile
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async downloadLogfile(outputPath=undefined, options={}) {
+    await this.getAPI_().downloadJobLogfile(this.id, outputPath, options);
+  }
+}
+
+/**
+ * Class representing uploaded data.
+ *
+ * @extends module:users/models~Resource
+ *
+ * @property {string} id - the ID of the data
+ * @property {string} name - the filename of the data
+ * @property {number} size - the size of the data, in bytes
+ * @property {Date} uploadDate - the date that the data was uploaded
+ * @property {Date} expirationDate - the date that the data will expire
+ */
+class Data extends Resource {
+  /**
+   * Refreshes the details of the data from the API.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @return {Data} this instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async refresh(options={}) {
+    let data = await this.getAPI_().getDataDetails(this.id, options);
+    return this.update_(data);
+  }
+
+  /**
+   * Determines whether the data is expired, according to its expiration date.
+   *
+   * @return {boolean} true if the data is expired, and false otherwise
+   */
+  isExpired() {
+    return isExpired_(this);
+  }
+
+  /**
+   * Downloads the data. See `API.downloadData()` for details.
+   *
+   * @async
+   * @param {string} [outputPath=undefined] - the output path to write to
+   * @param {object} [options={}] - optional request options
+   * @return {string} the path to the downloaded data
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async download(outputPath=undefined, options={}) {
+    return await this.getAPI_().downloadData(this.id, outputPath, options);
+  }
+
+  /**
+   * Gets a signed download URL for the data.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @return {string} a signed URL with read access to download the data
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async getDownloadURL(options={}) {
+    return await this.getAPI_().getDataDownloadURL(this.id, options);
+  }
+
+  /**
+   * Updates the expiration date of the data. See `API.updateDataTTL()` for
+   * details.
+   *
+   * @async
+   * @param {number} [days=undefined] - the number of days by which to extend
+   *   the lifespan of the data
+   * @param {Date|string} [expirationDate=undefined] - a new TTL for the data
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async extendTTL(days=undefined, expirationDate=undefined, options={}) {
+    await this.getAPI_().updateDataTTL(this.id, days, expirationDate, options);
+  }
+
+  /**
+   * Deletes the data.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async delete(options={}) {
+    await this.getAPI_().deleteData(this.id, options);
+  }
+}
+
+/**
+ * Class representing an analytic.
+ *
+ * @extends module:users/models~Resource
+ *
+ * @property {string} id - the ID of the analytic
+ * @property {string} name - the name of the analytic
+ * @property {string} version - the version of the analytic
+ * @property {Date} uploadDate - the date that the analytic was uploaded
+ */
+class Analytic extends Resource {
+  /**
+   * Refreshes the details of the analytic from the API.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @return {Analytic} this instance
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async refresh(options={}) {
+    let analytic = await this.getAPI_().getAnalyticDetails(this.id, options);
+    return this.update_(analytic);
+  }
+
+  /**
+   * Gets documentation about the analytic.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @return {object} an object containing the analytic documentation
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async getDoc(options={}) {
+    return await this.getAPI_().getAnalyticDoc(this.id, options);
+  }
+
+  /**
+   * Uploads a Docker image for the analytic. See `API.uploadAnalyticImage()`
+   * for details.
+   *
+   * @async
+   * @param {string|Blob} imageTarPath - the path to the image tarfile
+   * @param {AnalyticImageType} imageType - the type of image to upload
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async uploadImage(imageTarPath, imageType, options={}) {
+    await this.getAPI_().uploadAnalyticImage(
+      this.id, imageTarPath, imageType, options);
+  }
+
+  /**
+   * Deletes the analytic.
+   *
+   * @async
+   * @param {object} [options={}] - optional request options
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async delete(options={}) {
+    await this.getAPI_().deleteAnalytic(this.id, options);
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function toCamelCase_(field) {
+  return field.replace(/[_-]([a-z0-9])/g, (m, c) => c.toUpperCase());
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseField_(field, value) {
+  if (field.endsWith('_date') && typeof value === 'string') {
+    return new Date(value);
+  }
+  return value;
+}
+
+// eslint-disable-next-line require-jsdoc
+function isExpired_(resource) {
+  // Computed from the expiration date, which is more up-to-date than the
+  // `expired` field when the metadata was fetched awhile ago
+  if (!(resource.expirationDate instanceof Date)) {
+    return Boolean(resource.expired);
+  }
+  return Date.now() >= resource.expirationDate.getTime();
+}
+
+/**
+ * Error raised when a method that makes requests is called on a resource
+ * that is not bound to an API instance.
+ *
+ * @extends module:users/utils~ExtendableError
+ */
+class UnboundResourceError extends utils.ExtendableError {}
+
+exports.Resource = Resource;
+exports.Job = Job;
+exports.Data = Data;
+exports.Analytic = Analytic;
+exports.UnboundResourceError = UnboundResourceError;
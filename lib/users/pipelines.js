@@ -0,0 +1,587 @@
+/**
+ * Multi-step pipelines of jobs on the Voxel51 Platform API.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ *
+ * @module users/pipelines
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+const autoBind = require('auto-bind');
+
+const jobs = require('./jobs.js');
+const query = require('./query.js');
+const utils = require('./utils.js');
+
+/**
+ * The default MIME type of the outputs of pipeline steps.
+ */
+const DEFAULT_OUTPUT_MIME_TYPE = 'application/octet-stream';
+
+/**
+ * The maximum clock skew between the client and the platform, in
+ * milliseconds, that is tolerated when looking up the jobs of steps whose
+ * submission was interrupted.
+ */
+const MAX_CLOCK_SKEW = 60000;
+
+/**
+ * Enum describing the possible statuses of a pipeline step.
+ *
+ * @enum {string}
+ */
+const PipelineStepStatus = {
+  /** The step is waiting for its dependencies to complete */
+  WAITING: 'WAITING',
+  /** The job of the step is being submitted */
+  SUBMITTING: 'SUBMITTING',
+  /** The job of the step has been submitted but has not yet finished */
+  ACTIVE: 'ACTIVE',
+  /** The job of the step completed */
+  COMPLETE: 'COMPLETE',
+  /** The job of the step failed */
+  FAILED: 'FAILED',
+  /** The step was skipped because one of its dependencies failed */
+  SKIPPED: 'SKIPPED',
+};
+
+/**
+ * Class describing a reference to the output of a step of a pipeline.
+ *
+ * Instances of this class may be provided as inputs or data parameters of the
+ * job request templates of a pipeline, and they are replaced with the output
+ * of the referenced step when the job of the dependent step is submitted.
+ *
+ * @property {string} step - the name of the referenced step
+ * @property {string} mimeType - the MIME type of the output
+ */
+class PipelineOutput {
+  /**
+   * Creates a new PipelineOutput instance.
+   *
+   * @constructor
+   * @param {string} step - the name of the referenced step
+   * @param {object} [options={}] - options for the reference
+   * @param {string} [options.mimeType='application/octet-stream'] - the MIME
+   *   type of the output
+   */
+  constructor(step, options={}) {
+    this.step = step;
+    this.mimeType = options.mimeType || DEFAULT_OUTPUT_MIME_TYPE;
+  }
+}
+
+/**
+ * Class describing a step of a pipeline.
+ *
+ * @property {string} name - the name of the step
+ * @property {JobRequest} jobRequest - the job request template of the step
+ * @property {Array} dependsOn - the names of the steps on which this step
+ *   depends
+ * @property {string} jobName - the name of the job of the step
+ * @property {Date|string} ttl - the TTL of the job output, if any
+ * @property {PipelineStepStatus} status - the status of the step
+ * @property {string} jobId - the ID of the job of the step, or null if the
+ *   job has not been submitted
+ * @property {JobState} jobState - the last known state of the job of the
+ *   step, or null if the job has not been submitted
+ * @property {Date} submittedAt - the date when the submission of the job of
+ *   the step last began, or null if the job has not been submitted
+ */
+class PipelineStep {
+  /**
+   * Creates a new PipelineStep instance.
+   *
+   * @constructor
+   * @param {string} name - the name of the step
+   * @param {JobRequest} jobRequest - the job request template of the step
+   * @param {Array} dependsOn - the names of the steps on which this step
+   *   depends
+   * @param {string} jobName - the name of the job of the step
+   * @param {Date|string} [ttl=undefined] - the TTL of the job output
+   */
+  constructor(name, jobRequest, dependsOn, jobName, ttl=undefined) {
+    this.name = name;
+    this.jobRequest = jobRequest;
+    this.dependsOn = dependsOn;
+    this.jobName = jobName;
+    this.ttl = ttl;
+    this.status = PipelineStepStatus.WAITING;
+    this.jobId = null;
+    this.jobState = null;
+    this.submittedAt = null;
+  }
+
+  /**
+   * Whether the step has finished, i.e., whether it completed, failed, or was
+   * skipped.
+   *
+   * @return {boolean}
+   */
+  get isFinished() {
+    return [
+      PipelineStepStatus.COMPLETE,
+      PipelineStepStatus.FAILED,
+      PipelineStepStatus.SKIPPED,
+    ].includes(this.status);
+  }
+}
+
+/**
+ * Class that runs a directed acyclic graph of jobs, where the inputs of each
+ * job may reference the outputs of upstream jobs.
+ *
+ * Each step of a pipeline is defined by a `JobRequest` template whose inputs
+ * and data parameters may be `PipelineOutput` instances referencing the
+ * outputs of previously added steps. When a pipeline is run, the job of each
+ * step is submitted once all of its dependencies have completed, with each
+ * `PipelineOutput` replaced by a signed URL to the output of the referenced
+ * job. The URLs are signed when the dependent job is submitted, and their
+ * expiration dates are read from the URLs themselves when possible, or else
+ * the expiration date of the referenced job output is used. If a step fails,
+ * all steps that depend on it (directly or indirectly) are skipped, while
+ * independent steps continue to run.
+ *
+ * When a state file is provided, the status and job ID of each step are
+ * written to it whenever they change, so that an interrupted run can be
+ * resumed by constructing the same pipeline and running it again with the
+ * same state file. The state file also records when each job submission
+ * begins, so that a run that was interrupted while submitting a job looks up
+ * the job by name rather than submitting it again.
+ */
+class Pipeline {
+  /**
+   * Creates a new Pipeline instance.
+   *
+   * @constructor
+   * @param {API} api - the API instance with which to submit the jobs
+   * @param {string} [name='pipeline'] - a name for the pipeline, which is
+   *   used to generate the default names of its jobs
+   */
+  constructor(api, name='pipeline') {
+    this.api = api;
+    this.name = name;
+    this.steps_ = new Map();
+    this.pollErrors_ = new Map();
+    autoBind(this);
+  }
+
+  /**
+   * Creates a reference to the output of the step with the given name.
+   *
+   * @param {string} step - the name of the step
+   * @param {object} [options={}] - options for the reference. See
+   *   `PipelineOutput` for details
+   * @return {PipelineOutput} a PipelineOutput instance
+   */
+  static outputOf(step, options={}) {
+    return new PipelineOutput(step, options);
+  }
+
+  /**
+   * The steps of the pipeline, in the order in which they were added.
+   *
+   * @return {Array} an array of PipelineStep instances
+   */
+  get steps() {
+    return Array.from(this.steps_.values());
+  }
+
+  /**
+   * Whether all steps of the pipeline have finished.
+   *
+   * @return {boolean}
+   */
+  get isFinished() {
+    return this.steps.every((step) => step.isFinished);
+  }
+
+  /**
+   * Adds a step to the pipeline.
+   *
+   * The step depends on all steps whose outputs are referenced by its job
+   * request, together with any steps listed in `dependsOn`. All dependencies
+   * must have already been added to the pipeline, which guarantees that the
+   * pipeline is acyclic.
+   *
+   * @param {string} name - a unique name for the step
+   * @param {JobRequest} jobRequest - the job request template of the step
+   * @param {object} [options={}] - options for the step
+   * @param {Array} [options.dependsOn=[]] - the names of additional steps
+   *   that must complete before this step is submitted
+   * @param {string} [options.jobName=undefined] - a name for the job. By
+   *   default, `${pipelineName}-${stepName}` is used
+   * @param {Date|string} [options.ttl=undefined] - a TTL for the job output.
+   *   See `API.uploadJobRequest()` for details
+   * @return {Pipeline} this instance
+   * @throws {PipelineError} if a step with the given name already exists or
+   *   if a dependency is not a step of the pipeline
+   */
+  addStep(name, jobRequest, options={}) {
+    if (this.steps_.has(name)) {
+      throw new PipelineError(`Pipeline already has a step '${name}'`);
+    }
+    let dependsOn = new Set(options.dependsOn || []);
+    getOutputRefs_(jobRequest).forEach((ref) => dependsOn.add(ref.step));
+    dependsOn.forEach((dep) => {
+      if (!this.steps_.has(dep)) {
+        throw new PipelineError(
+          `Step '${name}' depends on unknown step '${dep}'`);
+      }
+    });
+    let jobName = options.jobName || `${this.name}-${name}`;
+    this.steps_.set(name, new PipelineStep(
+      name, jobRequest, Array.from(dependsOn), jobName, options.ttl));
+    return this;
+  }
+
+  /**
+   * Gets the step with the given name.
+   *
+   * @param {string} name - the name of the step
+   * @return {PipelineStep} the PipelineStep instance
+   * @throws {PipelineError} if the pipeline has no such step
+   */
+  getStep(name) {
+    if (!this.steps_.has(name)) {
+      throw new PipelineError(`Pipeline has no step '${name}'`);
+    }
+    return this.steps_.get(name);
+  }
+
+  /**
+   * Gets the current states of the steps of the pipeline.
+   *
+   * @return {object} an object mapping step names to objects with `status`,
+   *   `jobId`, and `jobState` fields
+   */
+  getStates() {
+    let states = {};
+    this.steps_.forEach((step, name) => {
+      states[name] = {
+        status: step.status,
+        jobId: step.jobId,
+        jobState: step.jobState,
+      };
+    });
+    return states;
+  }
+
+  /**
+   * Runs the pipeline until all of its steps have finished.
+   *
+   * Jobs are submitted with `autoStart` set, and their states are polled via
+   * a single `batchGetJobDetails()` request per poll.
+   *
+   * @async
+   * @param {object} [options={}] - options for the run, which are also used
+   *   as the request options of each request
+   * @param {string} [options.stateFile=undefined] - an optional path to a
+   *   JSON file in which to persist the state of the pipeline. If the file
+   *   exists, the run resumes from the state that it records
+   * @param {boolean} [options.retryFailed=false] - whether to resubmit steps
+   *   that failed, or were skipped, in the run recorded by the state file
+   * @param {number} [options.sleepTime=5] - the number of seconds to wait
+   *   between polls
+   * @param {number} [options.maxPollErrors=3] - the maximum number of
+   *   consecutive polls that may fail to get the details of the job of a step,
+   *   either because the poll request failed or because its response did not
+   *   include the job, before the run is stopped with the error of the last
+   *   poll. The run can then be resumed from the state file
+   * @param {function} [options.onUpdate=undefined] - an optional function
+   *   that is called with the PipelineStep instance and its previous status
+   *   whenever the status of a step changes
+   * @param {AbortSignal} [options.signal=undefined] - an optional
+   *   `AbortSignal` that cancels the run when aborted. Submitted jobs are not
+   *   killed, and the run can be resumed from the state file
+   * @return {object} the final states of the steps, in the format returned by
+   *   `getStates()`
+   * @throws {PipelineError} if the state file does not match the pipeline,
+   *   or if the details of a job could not be fetched in too many
+   *   consecutive polls
+   * @throws {APIAbortError} if the run was aborted
+   * @throws {APIError} if a request was unsuccessful
+   */
+  async run(options={}) {
+    let sleepTime = utils.isNullOrUndefined(options.sleepTime) ?
+      5 : options.sleepTime;
+    if (options.stateFile) {
+      this.loadState_(options.stateFile, options.retryFailed);
+    }
+    this.pollErrors_.clear();
+
+    for (;;) {
+      await this.poll_(options);
+      this.skipBlockedSteps_(options);
+      await this.submitReadySteps_(options);
+      if (!this.steps.some(isActive_)) {
+        break;
+      }
+      await utils.sleep(sleepTime * 1000, options.signal);
+    }
+    return this.getStates();
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async poll_(options) {
+    let active = this.steps.filter(isActive_);
+    if (!active.length) {
+      return;
+    }
+    let jobIds = active.map((step) => step.jobId);
+    let responses;
+    try {
+      responses = await this.api.batchGetJobDetails(jobIds, options);
+    } catch (err) {
+      if (err instanceof utils.APIAbortError) {
+        throw err;
+      }
+      active.forEach((step) => this.recordPollError_(step, err, options));
+      return;
+    }
+    for (let step of active) {
+      let response = responses[step.jobId];
+      if (!response || !response.success) {
+        let message = (response && response.message) || 'no response';
+        this.recordPollError_(step, new PipelineError(
+          `Failed to get details of job ${step.jobId} of step ` +
+          `'${step.name}': ${message}`), options);
+        continue;
+      }
+      this.pollErrors_.delete(step.name);
+      let jobState = response.response.state;
+      if (jobState === step.jobState) {
+        continue;
+      }
+      step.jobState = jobState;
+      if (jobState === jobs.JobState.COMPLETE) {
+        this.setStatus_(step, PipelineStepStatus.COMPLETE, options);
+      } else if (jobState === jobs.JobState.FAILED) {
+        this.setStatus_(step, PipelineStepStatus.FAILED, options);
+      } else {
+        this.saveState_(options);
+      }
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  recordPollError_(step, err, options) {
+    // Keep polling until too many polls of the job have failed in a row
+    let maxPollErrors = utils.isNullOrUndefined(options.maxPollErrors) ?
+      3 : options.maxPollErrors;
+    let pollErrors = (this.pollErrors_.get(step.name) || 0) + 1;
+    this.pollErrors_.set(step.name, pollErrors);
+    if (pollErrors >= maxPollErrors) {
+      throw err;
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  skipBlockedSteps_(options) {
+    // Steps are stored in dependency order, so a single pass suffices
+    for (let step of this.steps) {
+      if (step.status !== PipelineStepStatus.WAITING) {
+        continue;
+      }
+      let blocked = step.dependsOn.some((dep) => [
+        PipelineStepStatus.FAILED,
+        PipelineStepStatus.SKIPPED,
+      ].includes(this.steps_.get(dep).status));
+      if (blocked) {
+        this.setStatus_(step, PipelineStepStatus.SKIPPED, options);
+      }
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async submitReadySteps_(options) {
+    let ready = this.steps.filter((step) => (
+      step.status === PipelineStepStatus.SUBMITTING || (
+        step.status === PipelineStepStatus.WAITING &&
+        step.dependsOn.every((dep) => (
+          this.steps_.get(dep).status === PipelineStepStatus.COMPLETE)))));
+    for (let step of ready) {
+      let job = null;
+      if (step.status === PipelineStepStatus.SUBMITTING) {
+        // A previous run was interrupted while submitting the job, so it may
+        // have been created
+        job = await this.findSubmittedJob_(step, options);
+      }
+      if (!job) {
+        let jobRequest = await this.resolveJobRequest_(step, options);
+        step.submittedAt = new Date();
+        this.setStatus_(step, PipelineStepStatus.SUBMITTING, options);
+        job = await this.api.uploadJobRequest(
+          jobRequest, step.jobName, true, step.ttl, options);
+      }
+      step.jobId = job.id;
+      step.jobState = job.state || jobs.JobState.READY;
+      this.setStatus_(step, PipelineStepStatus.ACTIVE, options);
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async findSubmittedJob_(step, options) {
+    if (!step.submittedAt) {
+      return null;
+    }
+    let since = new Date(step.submittedAt.getTime() - MAX_CLOCK_SKEW);
+    let jobsQuery = new query.JobsQuery()
+      .addFields(['id', 'name', 'state', 'upload_date'])
+      .whereEquals('name', step.jobName)
+      .whereAfter('upload_date', since, true)
+      .sortBy('upload_date', false);
+    let result = await this.api.queryJobs(jobsQuery, options);
+    let matches = (result.jobs || []).filter(
+      (job) => job.name === step.jobName);
+    return matches.length ? matches[0] : null;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async resolveJobRequest_(step, options) {
+    let template = step.jobRequest;
+    let jobRequest = new jobs.JobRequest(
+      template.analytic, template.version, template.computeMode);
+    let resolve = async (val) => {
+      if (!(val instanceof PipelineOutput)) {
+        return val;
+      }
+      let jobId = this.steps_.get(val.step).jobId;
+      let job = await this.api.getJobDetails(jobId, options);
+      let url = await this.api.getJobOutputDownloadURL(jobId, options);
+      return jobs.RemoteDataPath.fromSignedURL(url, {
+        filename: job.output_filename,
+        mimeType: val.mimeType,
+        size: job.output_size,
+        expirationDate: parseURLExpiration_(url) || job.expiration_date,
+      });
+    };
+    for (let [name, val] of Object.entries(template.inputs)) {
+      jobRequest.setInput(name, await resolve(val));
+    }
+    for (let [name, val] of Object.entries(template.parameters)) {
+      jobRequest.parameters[name] = await resolve(val);
+    }
+    return jobRequest;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  setStatus_(step, status, options) {
+    let previousStatus = step.status;
+    step.status = status;
+    this.saveState_(options);
+    if (options.onUpdate) {
+      options.onUpdate(step, previousStatus);
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  loadState_(stateFile, retryFailed) {
+    if (!fs.existsSync(stateFile)) {
+      return;
+    }
+    let state = utils.readJSON(stateFile);
+    for (let [name, record] of Object.entries(state.steps || {})) {
+      if (!this.steps_.has(name)) {
+        throw new PipelineError(
+          `State file '${stateFile}' contains unknown step '${name}'`);
+      }
+      let step = this.steps_.get(name);
+      step.status = record.status;
+      step.jobId = record.job_id;
+      step.jobState = record.job_state;
+      step.submittedAt = record.submitted_at ?
+        new Date(record.submitted_at) : null;
+      let failed = [
+        PipelineStepStatus.FAILED,
+        PipelineStepStatus.SKIPPED,
+      ].includes(step.status);
+      if (retryFailed && failed) {
+        step.status = PipelineStepStatus.WAITING;
+        step.jobId = null;
+        step.jobState = null;
+        step.submittedAt = null;
+      }
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  saveState_(options) {
+    if (!options.stateFile) {
+      return;
+    }
+    let steps = {};
+    this.steps_.forEach((step, name) => {
+      steps[name] = {
+        status: step.status,
+        job_id: step.jobId,
+        job_state: step.jobState,
+        submitted_at: step.submittedAt ? step.submittedAt.toISOString() : null,
+      };
+    });
+    utils.writeJSON({name: this.name, steps}, options.stateFile);
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function getOutputRefs_(jobRequest) {
+  return Object.values(jobRequest.inputs)
+    .concat(Object.values(jobRequest.parameters))
+    .filter((val) => val instanceof PipelineOutput);
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseURLExpiration_(url) {
+  // Signed URLs record when they expire, either as an absolute date or as
+  // the date that they were signed and their lifetime in seconds
+  let params = {};
+  try {
+    new URL(url).searchParams.forEach((value, name) => {
+      params[name.toLowerCase()] = value;
+    });
+  } catch (err) {
+    return null;
+  }
+  if (params['expires'] && /^\d+$/.test(params['expires'])) {
+    // Google Cloud Storage (V2) and Amazon S3 (V2) signatures
+    return new Date(1000 * Number(params['expires']));
+  }
+  for (let prefix of ['x-goog-', 'x-amz-']) {
+    // Google Cloud Storage (V4) and Amazon S3 (V4) signatures
+    let match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(
+      params[prefix + 'date'] || '');
+    let lifetime = params[prefix + 'expires'];
+    if (match && /^\d+$/.test(lifetime || '')) {
+      let signedAt = Date.UTC(
+        match[1], match[2] - 1, match[3], match[4], match[5], match[6]);
+      return new Date(signedAt + 1000 * Number(lifetime));
+    }
+  }
+  if (params['se'] && !isNaN(Date.parse(params['se']))) {
+    // Azure shared access signatures
+    return new Date(params['se']);
+  }
+  return null;
+}
+
+// eslint-disable-next-line require-jsdoc
+function isActive_(step) {
+  return step.status === PipelineStepStatus.ACTIVE;
+}
+
+/**
+ * Error raised when a pipeline is invalid or cannot be run.
+ *
+ * @extends module:users/utils~ExtendableError
+ */
+class PipelineError extends utils.ExtendableError {}
+
+exports.PipelineStepStatus = PipelineStepStatus;
+exports.PipelineOutput = PipelineOutput;
+exports.PipelineStep = PipelineStep;
+exports.Pipeline = Pipeline;
+exports.PipelineError = PipelineError;
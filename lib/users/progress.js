@@ -0,0 +1,166 @@
+/**
+ * Progress reporting for uploads and downloads.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ *
+ * @module users/progress
+ */
+
+'use strict';
+
+const stream = require('stream');
+
+const autoBind = require('auto-bind');
+
+const utils = require('./utils.js');
+
+/**
+ * The default minimum number of milliseconds between progress reports.
+ */
+const DEFAULT_REPORT_INTERVAL = 250;
+
+/**
+ * Class that tracks the progress of a transfer and reports it to a callback.
+ *
+ * The callback is invoked with objects with the following fields:
+ *
+ * - `transferred`: the number of bytes transferred so far
+ * - `total`: the total number of bytes to transfer, or undefined if unknown
+ * - `rate`: the average transfer rate, in bytes per second
+ * - `eta`: the estimated number of seconds until the transfer completes, or
+ *   undefined if unknown
+ *
+ * Reports are throttled so that the callback is invoked at most once per
+ * `interval` milliseconds, except that the final report of a transfer is
+ * always delivered.
+ */
+class ProgressTracker {
+  /**
+   * Creates a new ProgressTracker instance.
+   *
+   * @constructor
+   * @param {function} onProgress - the callback to invoke with progress
+   *   reports
+   * @param {number} [interval=250] - the minimum number of milliseconds
+   *   between progress reports
+   */
+  constructor(onProgress, interval=DEFAULT_REPORT_INTERVAL) {
+    this.onProgress = onProgress;
+    this.interval = interval;
+    this.start();
+    autoBind(this);
+  }
+
+  /**
+   * Starts (or restarts) tracking a transfer.
+   *
+   * @param {number} [total=undefined] - the total number of bytes to
+   *   transfer, if known
+   * @param {number} [transferred=0] - the number of bytes that have already
+   *   been transferred, e.g., when resuming a download. These bytes do not
+   *   count towards the transfer rate
+   */
+  start(total=undefined, transferred=0) {
+    this.total = total;
+    this.transferred = transferred;
+    this.startBytes_ = transferred;
+    this.startTime_ = Date.now();
+    this.lastReportTime_ = 0;
+    this.pendingBytes_ = 0;
+    this.finished_ = false;
+  }
+
+  /**
+   * Records that the given number of bytes were transferred.
+   *
+   * @param {number} bytes - the number of bytes
+   */
+  update(bytes) {
+    this.transferred += bytes;
+    let now = Date.now();
+    if (now - this.lastReportTime_ >= this.interval) {
+      this.report_(now);
+    }
+  }
+
+  /**
+   * Records bytes that are transferred without being observed, such as Blobs
+   * that are consumed directly by a transport. These bytes are counted when
+   * the transfer finishes.
+   *
+   * @param {number} bytes - the number of bytes
+   */
+  addPendingBytes(bytes) {
+    this.pendingBytes_ += bytes;
+  }
+
+  /**
+   * Records that the transfer completed and delivers a final report.
+   *
+   * If the total number of bytes was unknown, it is set to the number of
+   * bytes that were transferred.
+   */
+  finish() {
+    if (this.finished_) {
+      return;
+    }
+    this.transferred += this.pendingBytes_;
+    this.pendingBytes_ = 0;
+    if (utils.isNullOrUndefined(this.total)) {
+      this.total = this.transferred;
+    }
+    this.finished_ = true;
+    this.report_(Date.now());
+  }
+
+  /**
+   * Gets the current progress of the transfer.
+   *
+   * @return {object} an object with `transferred`, `total`, `rate`, and `eta`
+   *   fields
+   */
+  getProgress() {
+    let elapsed = (Date.now() - this.startTime_) / 1000;
+    let bytes = this.transferred - this.startBytes_;
+    let rate = (elapsed > 0) ? bytes / elapsed : 0;
+    let eta;
+    if (!utils.isNullOrUndefined(this.total)) {
+      let remaining = Math.max(this.total - this.transferred, 0);
+      if (remaining === 0) {
+        eta = 0;
+      } else if (rate > 0) {
+        eta = remaining / rate;
+      }
+    }
+    return {
+      transferred: this.transferred,
+      total: this.total,
+      rate: rate,
+      eta: eta,
+    };
+  }
+
+  /**
+   * Creates a pass-through stream that records the bytes that flow through it.
+   *
+   * @return {stream.Transform} a transform stream
+   */
+  createStream() {
+    let update = this.update;
+    return new stream.Transform({
+      transform(chunk, encoding, callback) {
+        update(chunk.length);
+        callback(null, chunk);
+      },
+    });
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  report_(now) {
+    this.lastReportTime_ = now;
+    this.onProgress(this.getProgress());
+  }
+}
+
+exports.ProgressTracker = ProgressTracker;
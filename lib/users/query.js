@@ -12,21 +12,116 @@
 const autoBind = require('auto-bind');
 const qs = require('qs');
 
+const jobs = require('./jobs.js');
+const utils = require('./utils.js');
+
+/**
+ * Enum describing the types of query fields.
+ *
+ * @enum {string}
+ */
+const FieldType = {
+  STRING: 'string',
+  NUMBER: 'number',
+  BOOLEAN: 'boolean',
+  DATE: 'date',
+};
+
+/**
+ * The field schema of analytics queries.
+ */
+const ANALYTICS_QUERY_SCHEMA = {
+  'id': {type: FieldType.STRING},
+  'name': {type: FieldType.STRING},
+  'version': {type: FieldType.STRING},
+  'scope': {type: FieldType.STRING},
+  'supports_cpu': {type: FieldType.BOOLEAN},
+  'supports_gpu': {type: FieldType.BOOLEAN},
+  'pending': {type: FieldType.BOOLEAN},
+  'upload_date': {type: FieldType.DATE},
+  'description': {type: FieldType.STRING},
+};
+
+/**
+ * The field schema of data queries.
+ */
+const DATA_QUERY_SCHEMA = {
+  'id': {type: FieldType.STRING},
+  'name': {type: FieldType.STRING},
+  'size': {type: FieldType.NUMBER},
+  'type': {type: FieldType.STRING},
+  'upload_date': {type: FieldType.DATE},
+  'expiration_date': {type: FieldType.DATE},
+  'encoding': {type: FieldType.STRING},
+};
+
+/**
+ * The field schema of jobs queries.
+ */
+const JOBS_QUERY_SCHEMA = {
+  'id': {type: FieldType.STRING},
+  'name': {type: FieldType.STRING},
+  'state': {type: FieldType.STRING, values: Object.values(jobs.JobState)},
+  'archived': {type: FieldType.BOOLEAN},
+  'upload_date': {type: FieldType.DATE},
+  'expiration_date': {type: FieldType.DATE},
+  'expired': {type: FieldType.BOOLEAN},
+  'analytic_id': {type: FieldType.STRING},
+  'compute_mode': {
+    type: FieldType.STRING,
+    values: Object.values(jobs.JobComputeMode),
+  },
+  'auto_start': {type: FieldType.BOOLEAN},
+  'start_date': {type: FieldType.DATE},
+  'completion_date': {type: FieldType.DATE},
+  'fail_date': {type: FieldType.DATE},
+  'failure_type': {
+    type: FieldType.STRING,
+    values: Object.values(jobs.JobFailureType),
+  },
+};
+
+/**
+ * The parameters of all queries.
+ */
+const BASE_PARAMETERS = ['fields', 'search', 'sort', 'offset', 'limit'];
+
 /**
  * Base class for API queries.
  *
  * Provides support for queries with fully-customizable return fields, sorting,
- * substring searching, and record offset/limits.
+ * substring searching, typed filters, and record offset/limits.
+ *
+ * Searches are serialized as `<field>:<value>` strings, which match records
+ * whose field contains the value, and multiple searches must all match. Typed
+ * filters are serialized as `<field>:<op><value>` strings, where `<op>` is
+ * `=` for exact matches or one of `<`, `<=`, `>`, and `>=` for comparisons.
+ * Dates are serialized in ISO 8601 format.
+ *
+ * By default, queries are strict, i.e., they throw a `QueryError` when an
+ * unsupported field, an invalid search value or offset/limit, or a search that
+ * contradicts a previous search is provided. Non-strict queries silently
+ * ignore unsupported fields and invalid offsets/limits.
  */
 class BaseQuery {
   /**
    * Creates a new BaseQuery instance.
    *
    * @constructor
-   * @param {string} supportedFields - an array of supported query fields
+   * @param {Array|object} supportedFields - an array of supported query
+   *   fields, or a field schema object mapping field names to objects with a
+   *   `type` (a `FieldType`) and, for fields that take one of a fixed set of
+   *   values, the array of possible `values`
+   * @param {object} [options={}] - optional settings for the query
+   * @param {boolean} [options.strict=true] - whether to throw a `QueryError`
+   *   when invalid fields or values are provided
    */
-  constructor(supportedFields) {
-    this.supportedFields_ = supportedFields;
+  constructor(supportedFields, options={}) {
+    this.schema_ = parseSchema_(supportedFields);
+    this.supportedFields_ = Object.keys(this.schema_);
+    this.strict_ = (options.strict !== false);
+    this.searchValues_ = {};
+    this.bounds_ = {};
     this.fields = [];
     this.search = [];
     this.sort = null;
@@ -40,9 +135,10 @@ class BaseQuery {
    *
    * @param {string} field - a query field to add
    * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported
    */
   addField(field) {
-    if (this.isSupportedField_(field)) {
+    if (this.checkField_(field)) {
       this.fields.push(field);
     }
     return this;
@@ -53,6 +149,7 @@ class BaseQuery {
    *
    * @param {array} fields - an array of query fields to add
    * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and a field is unsupported
    */
   addFields(fields) {
     let self = this;
@@ -81,8 +178,15 @@ class BaseQuery {
    * @param {string} field - the query field on which to search
    * @param {string} searchStr - the search string
    * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported,
+   *   the search string is not a valid value of the field, or the search
+   *   contradicts a previous search on the field
    */
   addSearch(field, searchStr) {
+    if (this.strict_) {
+      this.checkField_(field);
+      this.checkSearch_(field, searchStr);
+    }
     this.search.push(`${field}:${searchStr}`);
     return this;
   }
@@ -96,6 +200,7 @@ class BaseQuery {
    * @param {string} field - the query field on which to search
    * @param {string} searchStrs - the search strings to form an "or" query
    * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the search is invalid
    */
   addSearchOr(field, searchStrs) {
     return this.addSearch(field, searchStrs.join('|'));
@@ -129,29 +234,211 @@ class BaseQuery {
     return this;
   }
 
+  /**
+   * Adds a filter that matches records whose field exactly equals the given
+   * value.
+   *
+   * @param {string} field - the query field on which to filter
+   * @param {string|number|boolean|Date} value - the value to match
+   * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported,
+   *   the value is invalid for the type of the field, or the filter
+   *   contradicts a previous search or filter on the field
+   */
+  whereEquals(field, value) {
+    if (!this.checkField_(field)) {
+      return this;
+    }
+    let str = this.formatValue_(field, value);
+    if (str === undefined) {
+      return this;
+    }
+    let type = this.schema_[field].type;
+    if (type === FieldType.BOOLEAN) {
+      return this.addSearch(field, str);
+    }
+    if (type === FieldType.NUMBER || type === FieldType.DATE) {
+      this.addBounds_(field, {min: str, minInclusive: true});
+      this.addBounds_(field, {max: str, maxInclusive: true});
+    } else if (this.strict_ && this.schema_[field].values) {
+      let values = this.schema_[field].values;
+      if (!values.includes(str)) {
+        throw new QueryError(
+          `Invalid value '${str}' for field '${field}'; valid values are ` +
+          `${values.join(', ')}`, field);
+      }
+      this.checkSearch_(field, str);
+    }
+    this.search.push(`${field}:=${str}`);
+    return this;
+  }
+
+  /**
+   * Adds a filter that matches records whose numeric or date field is greater
+   * than the given value.
+   *
+   * @param {string} field - the numeric or date query field on which to filter
+   * @param {number|Date|string} value - the value to compare against
+   * @param {boolean} [inclusive=false] - whether to also match records whose
+   *   field equals the value
+   * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported
+   *   or not numeric or a date, the value is invalid, or the filter
+   *   contradicts a previous filter on the field
+   */
+  whereGreaterThan(field, value, inclusive=false) {
+    return this.addComparison_(
+      field, inclusive ? '>=' : '>', value, [FieldType.NUMBER, FieldType.DATE]);
+  }
+
+  /**
+   * Adds a filter that matches records whose numeric or date field is less
+   * than the given value.
+   *
+   * @param {string} field - the numeric or date query field on which to filter
+   * @param {number|Date|string} value - the value to compare against
+   * @param {boolean} [inclusive=false] - whether to also match records whose
+   *   field equals the value
+   * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported
+   *   or not numeric or a date, the value is invalid, or the filter
+   *   contradicts a previous filter on the field
+   */
+  whereLessThan(field, value, inclusive=false) {
+    return this.addComparison_(
+      field, inclusive ? '<=' : '<', value, [FieldType.NUMBER, FieldType.DATE]);
+  }
+
+  /**
+   * Adds a filter that matches records whose date field is after the given
+   * date.
+   *
+   * @param {string} field - the date query field on which to filter
+   * @param {Date|string} date - a Date or ISO 8601 date string
+   * @param {boolean} [inclusive=false] - whether to also match records whose
+   *   field equals the date
+   * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported
+   *   or not a date, the date is invalid, or the filter contradicts a
+   *   previous filter on the field
+   */
+  whereAfter(field, date, inclusive=false) {
+    return this.addComparison_(
+      field, inclusive ? '>=' : '>', date, [FieldType.DATE]);
+  }
+
+  /**
+   * Adds a filter that matches records whose date field is before the given
+   * date.
+   *
+   * @param {string} field - the date query field on which to filter
+   * @param {Date|string} date - a Date or ISO 8601 date string
+   * @param {boolean} [inclusive=false] - whether to also match records whose
+   *   field equals the date
+   * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported
+   *   or not a date, the date is invalid, or the filter contradicts a
+   *   previous filter on the field
+   */
+  whereBefore(field, date, inclusive=false) {
+    return this.addComparison_(
+      field, inclusive ? '<=' : '<', date, [FieldType.DATE]);
+  }
+
+  /**
+   * Adds a filter that matches records whose numeric or date field is between
+   * the given values, inclusive.
+   *
+   * @param {string} field - the numeric or date query field on which to filter
+   * @param {number|Date|string} min - the minimum value
+   * @param {number|Date|string} max - the maximum value
+   * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported
+   *   or not numeric or a date, a value is invalid, or the range is empty or
+   *   contradicts a previous filter on the field
+   */
+  whereBetween(field, min, max) {
+    return this.whereGreaterThan(field, min, true)
+      .whereLessThan(field, max, true);
+  }
+
   /**
    * Sets the sorting behavior of the query.
    *
+   * This method replaces any existing sort keys of the query. Use `thenBy()`
+   * to add additional sort keys.
+   *
    * @param {string} field - the field on which to sort
    * @param {boolean} [descending=true] - whether to sort in descending order
    * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported
    */
   sortBy(field, descending=true) {
-    if (this.isSupportedField_(field)) {
-      this.sort = `${field}:${descending ? 'desc' : 'asc'}`;
+    if (this.checkField_(field)) {
+      this.sort = formatSortKey_(field, descending);
+    }
+    return this;
+  }
+
+  /**
+   * Adds a sort key to the query that is used to order records whose
+   * previous sort keys are equal.
+   *
+   * If the query has no sort keys, this method is equivalent to `sortBy()`.
+   *
+   * @param {string} field - the field on which to sort
+   * @param {boolean} [descending=true] - whether to sort in descending order
+   * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the field is unsupported
+   *   or the query is already sorted by the field
+   */
+  thenBy(field, descending=true) {
+    if (!this.sort) {
+      return this.sortBy(field, descending);
     }
+    if (!this.checkField_(field)) {
+      return this;
+    }
+    if (this.getSortKeys().some((key) => key.field === field)) {
+      if (this.strict_) {
+        throw new QueryError(
+          `Query is already sorted by field '${field}'`, field);
+      }
+      return this;
+    }
+    this.sort += ',' + formatSortKey_(field, descending);
     return this;
   }
 
+  /**
+   * Gets the sort keys of the query, in order of precedence.
+   *
+   * @return {Array} an array of objects with `field` and `descending` fields
+   */
+  getSortKeys() {
+    if (!this.sort) {
+      return [];
+    }
+    return this.sort.split(',').map(function(key) {
+      let index = key.lastIndexOf(':');
+      return {
+        field: key.slice(0, index),
+        descending: key.slice(index + 1) !== 'asc',
+      };
+    });
+  }
+
   /**
    * Sets the record offset of the query.
    *
    * @param {number} offset - the desired record offset
    * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the offset is not a
+   *   non-negative integer
    */
   setOffset(offset) {
-    offset = Number.parseInt(offset);
-    if (!isNaN(offset) && offset >= 0) {
+    offset = this.parseInteger_(offset, 'offset', 0);
+    if (!isNaN(offset)) {
       this.offset = offset;
     }
     return this;
@@ -162,15 +449,125 @@ class BaseQuery {
    *
    * @param {number} limit - the desired record limit
    * @return {BaseQuery} the updated query instance
+   * @throws {QueryError} if the query is strict and the limit is not a
+   *   positive integer
    */
   setLimit(limit) {
-    limit = Number.parseInt(limit);
-    if (!isNaN(limit) && limit > 0) {
+    limit = this.parseInteger_(limit, 'limit', 1);
+    if (!isNaN(limit)) {
       this.limit = limit;
     }
     return this;
   }
 
+  /**
+   * Gets the field schema of the query.
+   *
+   * @return {object} an object mapping the names of the supported fields of
+   *   the query to objects describing their `type` and, if applicable, their
+   *   possible `values`
+   */
+  getSchema() {
+    return copySchema_(this.schema_);
+  }
+
+  /**
+   * Whether the query is strict.
+   *
+   * @return {boolean} true if the query is strict
+   */
+  isStrict() {
+    return this.strict_;
+  }
+
+  /**
+   * Creates a copy of the query.
+   *
+   * @return {BaseQuery} a new query instance of the same type
+   */
+  copy() {
+    let query = Object.create(Object.getPrototypeOf(this));
+    let self = this;
+    Object.keys(this).forEach(function(key) {
+      let val = self[key];
+      if (typeof val !== 'function') {
+        query[key] = Array.isArray(val) ? val.slice() : val;
+      }
+    });
+    autoBind(query);
+    return query;
+  }
+
+  /**
+   * Evaluates the query locally against the given records.
+   *
+   * The searches, sort keys, offset, limit, and fields of the query are
+   * applied as the platform would apply them:
+   *
+   * - searches on a field match records whose field contains any of the
+   *   `|`-separated search strings, ignoring case
+   * - searches over all fields match records with any supported field that
+   *   contains any of the search strings
+   * - typed filters compare numeric and date fields by value, and exact
+   *   matches (`=`) compare fields by their exact string value
+   * - records must match all searches
+   * - records that are missing a sort field are sorted last
+   *
+   * @param {Array} records - an array of plain objects, such as the results
+   *   of a previous query
+   * @return {Array} the matching records, sorted and paginated according to
+   *   the query. If the query has fields, new objects containing only those
+   *   fields are returned; otherwise, the original objects are returned
+   */
+  evaluate(records) {
+    let matchers = this.search.map(this.parseSearch_);
+    let results = records.filter(
+      (record) => matchers.every((matches) => matches(record)));
+
+    let sortKeys = this.getSortKeys();
+    if (sortKeys.length) {
+      let schema = this.schema_;
+      results = results.map((record, index) => ({record, index}));
+      results.sort(function(a, b) {
+        for (let key of sortKeys) {
+          let spec = schema[key.field] || {type: FieldType.STRING};
+          let aValue = a.record[key.field];
+          let bValue = b.record[key.field];
+          let result = compareMissing_(aValue, bValue);
+          if (result === 0) {
+            result = compareValues_(aValue, bValue, spec.type);
+            result = key.descending ? -result : result;
+          }
+          if (result !== 0) {
+            return result;
+          }
+        }
+        // Preserve the original order of records with equal sort keys
+        return a.index - b.index;
+      });
+      results = results.map((item) => item.record);
+    }
+
+    let offset = this.offset || 0;
+    let end = this.limit ? offset + this.limit : undefined;
+    results = results.slice(offset, end);
+
+    if (this.fields.length) {
+      let fields = this.fields;
+      results = results.map(function(record) {
+        let projected = {};
+        fields.forEach(function(field) {
+          if (record.hasOwnProperty(field)) {
+            projected[field] = record[field];
+          }
+        });
+        return projected;
+      });
+    }
+
+    return results;
+  }
+
   /**
    * Converts the query instance into an object suitable for passing to the
    * `request` library.
@@ -183,7 +580,7 @@ class BaseQuery {
     let self = this;
     Object.keys(this).forEach(function(key) {
       let val = self[key];
-      if (!key.endsWith('_') && val) {
+      if (!key.endsWith('_') && val && typeof val !== 'function') {
         obj[key] = val;
       }
     });
@@ -199,10 +596,344 @@ class BaseQuery {
     return qs.stringify(this.toObject());
   }
 
+  /**
+   * Creates a query from its object representation, as returned by
+   * `toObject()`.
+   *
+   * This method must be called on a concrete query class, e.g.,
+   * `JobsQuery.fromObject(obj)`. Fields, sort keys, and offsets/limits are
+   * validated if the query is strict. Search strings are preserved exactly,
+   * so round-trips through `toObject()` and `fromObject()` are lossless.
+   *
+   * @param {object} obj - an object representation of a query
+   * @param {object} [options={}] - optional settings for the query. See the
+   *   constructor for details
+   * @return {BaseQuery} a query instance
+   * @throws {QueryError} if the query is strict and the object contains
+   *   unsupported fields or parameters
+   */
+  static fromObject(obj, options={}) {
+    if (this === BaseQuery) {
+      throw new QueryError(
+        'Queries must be parsed by a concrete query class, e.g., ' +
+        'JobsQuery.fromObject()');
+    }
+
+    let query = new this(options);
+    query.addFields(toArray_(obj.fields));
+
+    // Replay the searches so that typed filters are tracked for detecting
+    // contradictions, but keep the original search strings
+    let search = toArray_(obj.search).map(String);
+    search.forEach(query.replaySearch_);
+    query.search = search;
+
+    if (obj.sort) {
+      String(obj.sort).split(',').forEach(function(key, index) {
+        let sep = key.lastIndexOf(':');
+        let direction = (sep >= 0) ? key.slice(sep + 1) : '';
+        if (!['asc', 'desc'].includes(direction) && query.isStrict()) {
+          throw new QueryError(`Invalid sort key '${key}'`);
+        }
+        let field = (sep >= 0) ? key.slice(0, sep) : key;
+        let descending = (direction !== 'asc');
+        if (index === 0) {
+          query.sortBy(field, descending);
+        } else {
+          query.thenBy(field, descending);
+        }
+      });
+    }
+    if (!utils.isNullOrUndefined(obj.offset)) {
+      query.setOffset(obj.offset);
+    }
+    if (!utils.isNullOrUndefined(obj.limit)) {
+      query.setLimit(obj.limit);
+    }
+
+    // Parameters specific to the query class, e.g., `all_versions`
+    Object.keys(obj).forEach(function(key) {
+      if (BASE_PARAMETERS.includes(key)) {
+        return;
+      }
+      let current = query[key];
+      if (!query.hasOwnProperty(key) || key.endsWith('_') ||
+          typeof current === 'function') {
+        if (query.isStrict()) {
+          throw new QueryError(`Unsupported query parameter '${key}'`);
+        }
+        return;
+      }
+      let val = obj[key];
+      query[key] = (typeof current === 'boolean') ?
+        (val === true || val === 'true') : val;
+    });
+
+    return query;
+  }
+
+  /**
+   * Creates a query from its string representation, as returned by
+   * `toString()`.
+   *
+   * This method must be called on a concrete query class, e.g.,
+   * `JobsQuery.fromString(str)`. See `fromObject()` for details.
+   *
+   * @param {string} str - a string representation of a query
+   * @param {object} [options={}] - optional settings for the query. See the
+   *   constructor for details
+   * @return {BaseQuery} a query instance
+   * @throws {QueryError} if the query is strict and the string contains
+   *   unsupported fields or parameters
+   */
+  static fromString(str, options={}) {
+    let obj = qs.parse(str.replace(/^\?/, ''), {arrayLimit: Infinity});
+    return this.fromObject(obj, options);
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  parseSearch_(searchStr) {
+    let index = searchStr.indexOf(':');
+    let field = searchStr.slice(0, index);
+    if (index < 0 || !this.isSupportedField_(field)) {
+      // Search over all fields
+      let fields = this.supportedFields_;
+      let terms = searchStr.split('|');
+      return (record) => fields.some(
+        (f) => containsAny_(record[f], terms));
+    }
+
+    let value = searchStr.slice(index + 1);
+    let type = this.schema_[field].type;
+    let match = /^(<=|>=|<|>|=)(.*)$/.exec(value);
+    if (!match) {
+      let terms = value.split('|');
+      return (record) => containsAny_(record[field], terms);
+    }
+
+    let operator = match[1];
+    let operand = match[2];
+    if (operator === '=' &&
+        type !== FieldType.NUMBER && type !== FieldType.DATE) {
+      return (record) => (
+        !utils.isNullOrUndefined(record[field]) &&
+        String(record[field]) === operand);
+    }
+    return function(record) {
+      if (utils.isNullOrUndefined(record[field])) {
+        return false;
+      }
+      let result = compareValues_(record[field], operand, type);
+      switch (operator) {
+        case '=':
+          return result === 0;
+        case '<':
+          return result < 0;
+        case '<=':
+          return result <= 0;
+        case '>':
+          return result > 0;
+        default:
+          return result >= 0;
+      }
+    };
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  replaySearch_(searchStr) {
+    let index = searchStr.indexOf(':');
+    let field = searchStr.slice(0, index);
+    if (index < 0 || !this.isSupportedField_(field)) {
+      return;
+    }
+    let value = searchStr.slice(index + 1);
+    let match = /^(<=|>=|<|>|=)(.*)$/.exec(value);
+    try {
+      if (!match) {
+        this.addSearch(field, value);
+      } else if (match[1] === '=') {
+        this.whereEquals(field, match[2]);
+      } else if (match[1].startsWith('>')) {
+        this.whereGreaterThan(field, match[2], match[1] === '>=');
+      } else {
+        this.whereLessThan(field, match[2], match[1] === '<=');
+      }
+    } catch (e) {
+      // Searches that were added directly need not be valid, so they are not
+      // tracked
+      if (!(e instanceof QueryError)) {
+        throw e;
+      }
+    }
+  }
+
   // eslint-disable-next-line require-jsdoc
   isSupportedField_(field) {
     return this.supportedFields_.includes(field);
   }
+
+  // eslint-disable-next-line require-jsdoc
+  checkField_(field) {
+    if (this.isSupportedField_(field)) {
+      return true;
+    }
+    if (this.strict_) {
+      throw new QueryError(
+        `Unsupported field '${field}'; supported fields are ` +
+        `${this.supportedFields_.join(', ')}`, field);
+    }
+    return false;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  checkSearch_(field, searchStr) {
+    // Searches on fields with a fixed set of values can be checked for
+    // contradictions by tracking the values that each search can match
+    let spec = this.schema_[field];
+    let terms = String(searchStr).split('|');
+    let matches;
+    if (spec.type === FieldType.BOOLEAN) {
+      matches = terms.map((term) => term.toLowerCase());
+      if (!matches.every((term) => term === 'true' || term === 'false')) {
+        throw new QueryError(
+          `Invalid search '${searchStr}' for boolean field '${field}'`, field);
+      }
+    } else if (spec.type === FieldType.NUMBER) {
+      if (!terms.every((term) => /^-?\d+(\.\d+)?$/.test(term))) {
+        throw new QueryError(
+          `Invalid search '${searchStr}' for numeric field '${field}'`, field);
+      }
+      return;
+    } else if (spec.values) {
+      matches = spec.values.filter((value) => terms.some(
+        (term) => value.toLowerCase().includes(term.toLowerCase())));
+      if (!matches.length) {
+        throw new QueryError(
+          `Search '${searchStr}' matches no values of field '${field}'; ` +
+          `valid values are ${spec.values.join(', ')}`, field);
+      }
+    } else {
+      return;
+    }
+
+    let previous = this.searchValues_[field];
+    if (previous) {
+      matches = matches.filter((value) => previous.includes(value));
+      if (!matches.length) {
+        throw new QueryError(
+          `Search '${field}:${searchStr}' contradicts a previous search on ` +
+          `field '${field}'`, field);
+      }
+    }
+    this.searchValues_ = Object.assign({}, this.searchValues_, {
+      [field]: matches,
+    });
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  addComparison_(field, operator, value, types) {
+    if (!this.checkField_(field) || !this.checkFieldType_(field, types)) {
+      return this;
+    }
+    let str = this.formatValue_(field, value);
+    if (str === undefined) {
+      return this;
+    }
+    let inclusive = operator.endsWith('=');
+    if (operator.startsWith('>')) {
+      this.addBounds_(field, {min: str, minInclusive: inclusive});
+    } else {
+      this.addBounds_(field, {max: str, maxInclusive: inclusive});
+    }
+    this.search.push(`${field}:${operator}${str}`);
+    return this;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  checkFieldType_(field, types) {
+    let type = this.schema_[field].type;
+    if (types.includes(type)) {
+      return true;
+    }
+    if (this.strict_) {
+      throw new QueryError(
+        `Field '${field}' has type '${type}', but this filter requires a ` +
+        `field of type ${types.map((t) => `'${t}'`).join(' or ')}`, field);
+    }
+    return false;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  formatValue_(field, value) {
+    let type = this.schema_[field].type;
+    let str;
+    if (type === FieldType.DATE) {
+      let date = (value instanceof Date) ? value : new Date(value);
+      if (!utils.isNullOrUndefined(value) && !isNaN(date.getTime())) {
+        str = date.toISOString();
+      }
+    } else if (type === FieldType.NUMBER) {
+      if (value !== '' && Number.isFinite(Number(value))) {
+        str = Number(value).toString();
+      }
+    } else if (type === FieldType.BOOLEAN) {
+      if (['true', 'false'].includes(String(value).toLowerCase())) {
+        str = String(value).toLowerCase();
+      }
+    } else if (!utils.isNullOrUndefined(value)) {
+      str = String(value);
+    }
+    if (str === undefined && this.strict_) {
+      throw new QueryError(
+        `Invalid value '${value}' for ${type} field '${field}'`, field);
+    }
+    return str;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  addBounds_(field, bounds) {
+    // Track the range of values that the filters on each field allow, so
+    // that contradictory filters can be detected
+    let range = Object.assign({}, this.bounds_[field]);
+    let isDate = (this.schema_[field].type === FieldType.DATE);
+    let toNumber = (str) => (isDate ? Date.parse(str) : Number(str));
+    if (bounds.min !== undefined) {
+      let min = toNumber(bounds.min);
+      if (range.min === undefined || min > range.min ||
+          (min === range.min && !bounds.minInclusive)) {
+        range.min = min;
+        range.minInclusive = bounds.minInclusive;
+      }
+    }
+    if (bounds.max !== undefined) {
+      let max = toNumber(bounds.max);
+      if (range.max === undefined || max < range.max ||
+          (max === range.max && !bounds.maxInclusive)) {
+        range.max = max;
+        range.maxInclusive = bounds.maxInclusive;
+      }
+    }
+    let isEmpty = (range.min !== undefined && range.max !== undefined) && (
+      range.min > range.max || (range.min === range.max &&
+        !(range.minInclusive && range.maxInclusive)));
+    if (isEmpty && this.strict_) {
+      throw new QueryError(
+        `Filters on field '${field}' contradict each other; no value can ` +
+        `satisfy them`, field);
+    }
+    this.bounds_ = Object.assign({}, this.bounds_, {[field]: range});
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  parseInteger_(value, name, minValue) {
+    let parsed = Number.parseInt(value);
+    let isValid = !isNaN(parsed) && parsed >= minValue;
+    if (this.strict_ && !(isValid && Number(value) === parsed)) {
+      throw new QueryError(
+        `Invalid ${name} '${value}'; expected an integer >= ${minValue}`);
+    }
+    return isValid ? parsed : NaN;
+  }
 }
 
 /**
@@ -218,15 +949,26 @@ class AnalyticsQuery extends BaseQuery {
    * Creates a new AnalyticsQuery instance.
    *
    * @constructor
+   * @param {object} [options={}] - optional settings for the query. See
+   *   {@link module:users/query~BaseQuery BaseQuery} for details
    */
-  constructor() {
-    super([
-      'id', 'name', 'version', 'scope', 'supports_cpu', 'supports_gpu',
-      'pending', 'upload_date', 'description']);
+  constructor(options={}) {
+    super(ANALYTICS_QUERY_SCHEMA, options);
     this.all_versions = false;
     autoBind(this);
   }
 
+  /**
+   * The field schema of AnalyticsQuery instances.
+   *
+   * @return {object} an object mapping the names of the supported fields to
+   *   objects describing their `type` and, if applicable, their possible
+   *   `values`
+   */
+  static get schema() {
+    return copySchema_(ANALYTICS_QUERY_SCHEMA);
+  }
+
   /**
    * Sets the `all_versions` parameter of the query
    *
@@ -253,13 +995,24 @@ class DataQuery extends BaseQuery {
    * Creates a DataQuery instance.
    *
    * @constructor
+   * @param {object} [options={}] - optional settings for the query. See
+   *   {@link module:users/query~BaseQuery BaseQuery} for details
    */
-  constructor() {
-    super([
-      'id', 'name', 'size', 'type', 'upload_date', 'expiration_date',
-      'encoding']);
+  constructor(options={}) {
+    super(DATA_QUERY_SCHEMA, options);
     autoBind(this);
   }
+
+  /**
+   * The field schema of DataQuery instances.
+   *
+   * @return {object} an object mapping the names of the supported fields to
+   *   objects describing their `type` and, if applicable, their possible
+   *   `values`
+   */
+  static get schema() {
+    return copySchema_(DATA_QUERY_SCHEMA);
+  }
 }
 
 /**
@@ -275,16 +1028,133 @@ class JobsQuery extends BaseQuery {
    * Creates a JobsQuery instance.
    *
    * @constructor
+   * @param {object} [options={}] - optional settings for the query. See
+   *   {@link module:users/query~BaseQuery BaseQuery} for details
    */
-  constructor() {
-    super([
-      'id', 'name', 'state', 'archived', 'upload_date', 'expiration_date',
-      'expired', 'analytic_id', 'compute_mode', 'auto_start', 'start_date',
-      'completion_date', 'fail_date', 'failure_type']);
+  constructor(options={}) {
+    super(JOBS_QUERY_SCHEMA, options);
     autoBind(this);
   }
+
+  /**
+   * The field schema of JobsQuery instances.
+   *
+   * @return {object} an object mapping the names of the supported fields to
+   *   objects describing their `type` and, if applicable, their possible
+   *   `values`
+   */
+  static get schema() {
+    return copySchema_(JOBS_QUERY_SCHEMA);
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function containsAny_(value, terms) {
+  if (utils.isNullOrUndefined(value)) {
+    return false;
+  }
+  let str = String(value).toLowerCase();
+  return terms.some((term) => str.includes(term.toLowerCase()));
+}
+
+// eslint-disable-next-line require-jsdoc
+function compareMissing_(a, b) {
+  // Missing values are sorted after all other values, in either direction
+  let aMissing = utils.isNullOrUndefined(a) ? 1 : 0;
+  let bMissing = utils.isNullOrUndefined(b) ? 1 : 0;
+  return aMissing - bMissing;
+}
+
+// eslint-disable-next-line require-jsdoc
+function compareValues_(a, b, type) {
+  if (type === FieldType.NUMBER) {
+    a = Number(a);
+    b = Number(b);
+  } else if (type === FieldType.DATE) {
+    a = (a instanceof Date) ? a.getTime() : Date.parse(a);
+    b = (b instanceof Date) ? b.getTime() : Date.parse(b);
+  } else if (type === FieldType.BOOLEAN) {
+    a = String(a) === 'true';
+    b = String(b) === 'true';
+  } else {
+    a = String(a);
+    b = String(b);
+  }
+  if (a < b) {
+    return -1;
+  }
+  return (a > b) ? 1 : 0;
+}
+
+// eslint-disable-next-line require-jsdoc
+function formatSortKey_(field, descending) {
+  return `${field}:${descending ? 'desc' : 'asc'}`;
+}
+
+// eslint-disable-next-line require-jsdoc
+function toArray_(value) {
+  if (utils.isNullOrUndefined(value)) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  if (typeof value === 'object') {
+    // Parsed query strings may represent sparse arrays as objects
+    return Object.keys(value)
+      .sort((a, b) => Number(a) - Number(b))
+      .map((key) => value[key]);
+  }
+  return [value];
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseSchema_(supportedFields) {
+  if (!Array.isArray(supportedFields)) {
+    return supportedFields;
+  }
+  let schema = {};
+  supportedFields.forEach(function(field) {
+    schema[field] = {type: FieldType.STRING};
+  });
+  return schema;
+}
+
+// eslint-disable-next-line require-jsdoc
+function copySchema_(schema) {
+  let copy = {};
+  Object.keys(schema).forEach(function(field) {
+    copy[field] = Object.assign({}, schema[field]);
+    if (schema[field].values) {
+      copy[field].values = schema[field].values.slice();
+    }
+  });
+  return copy;
+}
+
+/**
+ * Error raised when an invalid query is constructed.
+ *
+ * @extends module:users/utils~ExtendableError
+ */
+class QueryError extends utils.ExtendableError {
+  /**
+   * Creates a new QueryError instance.
+   *
+   * @constructor
+   * @param {string} message - the error message
+   * @param {string} [field=undefined] - the name of the offending field, if
+   *   any
+   */
+  constructor(message, field=undefined) {
+    super(message);
+    this.field = field;
+  }
 }
 
+exports.FieldType = FieldType;
+exports.BaseQuery = BaseQuery;
 exports.AnalyticsQuery = AnalyticsQuery;
 exports.DataQuery = DataQuery;
 exports.JobsQuery = JobsQuery;
+exports.QueryError = QueryError;
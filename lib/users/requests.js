@@ -1,119 +1,672 @@
 /**
- * Thin wrapper over the Node request module for the Voxel51 Platform API.
+ * Request sessions for the Voxel51 Platform API.
  *
  * Copyright 2017-2019, Voxel51, Inc.<br>
  * {@link https://voxel51.com voxel51.com}
+ *
+ * @module users/requests
  */
 
 'use strict';
 
-let request = require('request');
+const autoBind = require('auto-bind');
 
-let utils = require('./utils.js');
+const transports = require('./transports.js');
+const utils = require('./utils.js');
 
-exports.get = function(uri, headers={}, options={}) {
-  options = wrapOptions_(uri, headers, options);
-  return new Promise(function(resolve, reject) {
-    request.get(options, function(err, res, body) {
-      if (err) {
-        return reject(err);
-      }
-      return validate_(res, body)
-        .then((body) => {
-          return resolve(body);
-        }).catch((err) => {
-          return reject(err);
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+/**
+ * Class describing when and how failed requests are retried.
+ *
+ * Retries are attempted for network errors whose `code` is in
+ * `retryErrorCodes` and for responses whose status code is in
+ * `retryStatusCodes`. The delay before the n-th retry is
+ * `baseDelay * 2^(n - 1)`, capped at `maxDelay` and randomized by `jitter`,
+ * unless the server provides a `Retry-After` header on a 429 or 503 response,
+ * in which case that delay is honored instead.
+ *
+ * Non-idempotent requests (i.e., POST requests such as data uploads and job
+ * request uploads) are only retried if `retryNonIdempotent` is true.
+ */
+class RetryPolicy {
+  /**
+   * Creates a new RetryPolicy instance.
+   *
+   * @constructor
+   * @param {object} [options={}] - the retry options
+   * @param {number} [options.maxAttempts=3] - the maximum number of attempts
+   *   to make for each request, including the first one. Use `1` to disable
+   *   retries
+   * @param {number} [options.baseDelay=1000] - the delay, in milliseconds,
+   *   before the first retry
+   * @param {number} [options.maxDelay=30000] - the maximum delay, in
+   *   milliseconds, between attempts
+   * @param {number} [options.jitter=0.5] - the fraction in `[0, 1]` of each
+   *   delay that is randomized
+   * @param {Array} [options.retryStatusCodes] - the HTTP status codes that are
+   *   retryable. By default, `[408, 429, 500, 502, 503, 504]`
+   * @param {Array} [options.retryErrorCodes] - the network error codes that
+   *   are retryable. By default, common transient socket errors such as
+   *   `ECONNRESET` and `ETIMEDOUT`
+   * @param {boolean} [options.retryNonIdempotent=false] - whether to retry
+   *   non-idempotent requests
+   */
+  constructor(options={}) {
+    this.maxAttempts = withDefault_(options.maxAttempts, 3);
+    this.baseDelay = withDefault_(options.baseDelay, 1000);
+    this.maxDelay = withDefault_(options.maxDelay, 30000);
+    this.jitter = withDefault_(options.jitter, 0.5);
+    this.retryStatusCodes = withDefault_(
+      options.retryStatusCodes, [408, 429, 500, 502, 503, 504]);
+    this.retryErrorCodes = withDefault_(options.retryErrorCodes, [
+      'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE',
+      'EAI_AGAIN']);
+    this.retryNonIdempotent = withDefault_(options.retryNonIdempotent, false);
+    autoBind(this);
+  }
+
+  /**
+   * Determines whether the given network error is retryable.
+   *
+   * @param {Error} err - an error raised while sending a request
+   * @return {boolean} true if the error is retryable, and false otherwise
+   */
+  isRetryableError(err) {
+    return Boolean(err) && this.retryErrorCodes.includes(err.code);
+  }
+
+  /**
+   * Determines whether the given response is retryable.
+   *
+   * @param {object} res - an HTTP response
+   * @return {boolean} true if the response is retryable, and false otherwise
+   */
+  isRetryableResponse(res) {
+    return Boolean(res) && this.retryStatusCodes.includes(res.statusCode);
+  }
+
+  /**
+   * Computes the number of milliseconds to wait before the next attempt.
+   *
+   * @param {number} attempt - the number of attempts made so far
+   * @param {object} [res=undefined] - the response to the last attempt, if
+   *   any
+   * @return {number} the delay, in milliseconds
+   */
+  getDelay(attempt, res=undefined) {
+    let retryAfter = parseRetryAfter_(res);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+    let delay = Math.min(
+      this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+    return delay * (1 - this.jitter * Math.random());
+  }
+
+  /**
+   * Constructs a RetryPolicy from the given value.
+   *
+   * @param {RetryPolicy|object} [policy=undefined] - a RetryPolicy instance or
+   *   an object of options to pass to the RetryPolicy constructor
+   * @return {RetryPolicy} a RetryPolicy instance
+   */
+  static from(policy=undefined) {
+    if (policy instanceof RetryPolicy) {
+      return policy;
+    }
+    return new RetryPolicy(policy || {});
+  }
+}
+
+/**
+ * Class that sends requests to the Voxel51 Platform API on behalf of an API
+ * session.
+ *
+ * Requests are sent via a Transport, which is a RequestTransport by default.
+ * Each request method accepts the request fields described in
+ * {@link module:users/transports~Transport Transport}, plus the following
+ * options:
+ *
+ * - `idempotent`: whether the request is safe to retry. By default, GET, PUT
+ *   and DELETE requests are idempotent and POST requests are not
+ * - `formData`: may be a function that returns the form data, which is called
+ *   once per attempt so that file streams can be recreated when retrying
+ * - `timeout`: the maximum number of milliseconds to wait for each attempt to
+ *   complete. For `pipe()`, the timeout only applies until the response is
+ *   received, so it does not limit how long the body takes to download.
+ *   Attempts that time out are rejected with an `APITimeoutError` whose
+ *   `code` is `ETIMEDOUT`, which is retried according to the retry policy
+ * - `signal`: an `AbortSignal`-compatible object that cancels the request,
+ *   including any pending retries, when aborted. Cancelled requests are
+ *   rejected with an `APIAbortError`
+ *
+ * Middleware registered via `use()` is invoked for every attempt of every
+ * request, including streaming downloads.
+ */
+class Session {
+  /**
+   * Creates a new Session instance.
+   *
+   * @constructor
+   * @param {object} [options={}] - the session options
+   * @param {RetryPolicy|object} [options.retry=undefined] - the retry policy
+   *   to use. By default, a RetryPolicy with default options is used
+   * @param {Transport} [options.transport=undefined] - the transport to use
+   *   to send requests. By default, a RequestTransport is used
+   */
+  constructor(options={}) {
+    this.retryPolicy = RetryPolicy.from(options.retry);
+    this.transport = options.transport || new transports.RequestTransport();
+    this.middleware = [];
+    autoBind(this);
+  }
+
+  /**
+   * Registers a middleware function that intercepts requests.
+   *
+   * Middleware functions are called in the order in which they were
+   * registered with the signature `middleware(request, next)`, where `request`
+   * is an object describing the outgoing request with `method`, `uri`, and
+   * `headers` fields plus the request fields described in
+   * {@link module:users/transports~Transport Transport}, and `next` is an
+   * async function that passes the request to the next middleware (or to the
+   * transport) and returns the response.
+   *
+   * Middleware may modify the request before calling `next()`, or pass a new
+   * request object to `next()`. The response is an object with `statusCode`,
+   * `headers`, and `body` fields, which middleware may inspect or replace
+   * before returning it. Unsuccessful HTTP responses are returned as
+   * responses; network errors are thrown by `next()`. For streaming
+   * downloads, the response `body` is a stream that must not be consumed.
+   *
+   * @param {function} middleware - an async middleware function
+   * @return {Session} this session
+   */
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function');
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Performs a GET request.
+   *
+   * @async
+   * @param {string} uri - the request URI
+   * @param {object} [headers={}] - the request headers
+   * @param {object} [options={}] - additional request options
+   * @return {string|object} the response body
+   * @throws {APIError} if the request was unsuccessful
+   */
+  get(uri, headers={}, options={}) {
+    return this.send_('GET', uri, headers, options);
+  }
+
+  /**
+   * Performs a POST request.
+   *
+   * @async
+   * @param {string} uri - the request URI
+   * @param {object} [headers={}] - the request headers
+   * @param {object} [options={}] - additional request options
+   * @return {string|object} the response body
+   * @throws {APIError} if the request was unsuccessful
+   */
+  post(uri, headers={}, options={}) {
+    return this.send_('POST', uri, headers, options);
+  }
+
+  /**
+   * Performs a PUT request.
+   *
+   * @async
+   * @param {string} uri - the request URI
+   * @param {object} [headers={}] - the request headers
+   * @param {object} [options={}] - additional request options
+   * @return {string|object} the response body
+   * @throws {APIError} if the request was unsuccessful
+   */
+  put(uri, headers={}, options={}) {
+    return this.send_('PUT', uri, headers, options);
+  }
+
+  /**
+   * Performs a DELETE request.
+   *
+   * @async
+   * @param {string} uri - the request URI
+   * @param {object} [headers={}] - the request headers
+   * @param {object} [options={}] - additional request options
+   * @return {string|object} the response body
+   * @throws {APIError} if the request was unsuccessful
+   */
+  delete(uri, headers={}, options={}) {
+    return this.send_('DELETE', uri, headers, options);
+  }
+
+  /**
+   * Performs a GET request and pipes the response body into the given stream.
+   *
+   * Retries are only attempted before any data has been written to the
+   * stream, unless the `resumable` option is set. The `timeout` option limits
+   * how long to wait for the response, not how long the body takes to
+   * transfer. If the request is unsuccessful, the error response is consumed
+   * and nothing is written to the stream.
+   *
+   * @async
+   * @param {string} uri - the request URI
+   * @param {stream.Writable|function} stream - the stream to write the
+   *   response to, or a function that accepts the successful response and
+   *   returns the stream to write to. The latter is useful to avoid creating
+   *   the stream when the request fails or to choose how to write the response
+   *   based on its status or headers. Streams returned by the function are
+   *   destroyed if the response could not be fully written to them
+   * @param {object|function} [headers={}] - the request headers, or an
+   *   async function that returns the headers to use for each attempt
+   * @param {object} [options={}] - additional request options
+   * @param {function} [options.onData=undefined] - an optional function that
+   *   is called with each chunk of the response body as it is written
+   * @param {boolean} [options.resumable=false] - whether failures may be
+   *   retried after data has been written, e.g., because `headers` requests
+   *   the remaining `Range` of a file on each attempt. This requires `stream`
+   *   to be a function, so that a new stream is used for each attempt
+   * @return {object} an object with the `statusCode` and `headers` of the
+   *   response
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async pipe(uri, stream, headers={}, options={}) {
+    let transport = this.transport;
+    let dispatch = this.dispatch_;
+    let idempotent = isIdempotent_('GET', options);
+    let canResume = Boolean(options.resumable) && typeof stream === 'function';
+    let written = false;
+    let res = await withRetries_(this.retryPolicy, idempotent, options.signal,
+      (policy, isLast) => {
+        return runCancellable_(options, async function(signal, responded) {
+          let attemptHeaders = (typeof headers === 'function') ?
+            await headers() : headers;
+          let res = await dispatch(
+            wrapOptions_('GET', uri, attemptHeaders, options),
+            (req) => transport.stream(req, signal));
+          responded();
+          if (!isLast && policy.isRetryableResponse(res)) {
+            discardBody_(res.body);
+            return res;
+          }
+          if (res.statusCode >= 300) {
+            let body = await readBody_(res.body);
+            await validate_(res, body, 'GET', uri);
+          }
+          let isOwned = (typeof stream === 'function');
+          let dest = isOwned ? stream(res) : stream;
+          let onData = function(chunk) {
+            written = true;
+            if (options.onData) {
+              options.onData(chunk);
+            }
+          };
+          try {
+            await pipeBody_(res.body, dest, onData);
+          } catch (err) {
+            if (isOwned && typeof dest.destroy === 'function') {
+              dest.destroy();
+            }
+            throw err;
+          }
+          return res;
         });
-    });
-  });
+      }, () => !written || canResume);
+    return {statusCode: res.statusCode, headers: res.headers};
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async send_(method, uri, headers, options) {
+    let transport = this.transport;
+    let dispatch = this.dispatch_;
+    let idempotent = isIdempotent_(method, options);
+    let res = await withRetries_(
+      this.retryPolicy, idempotent, options.signal, () => {
+        return runCancellable_(options, function(signal) {
+          return dispatch(
+            wrapOptions_(method, uri, headers, options),
+            (req) => transport.send(req, signal));
+        });
+      });
+    return await validate_(res, res.body, method, uri);
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  dispatch_(req, send) {
+    let middleware = this.middleware.slice();
+    let next = function(index, req) {
+      if (index >= middleware.length) {
+        return Promise.resolve(send(req));
+      }
+      return Promise.resolve(middleware[index](
+        req, (nextReq) => next(index + 1, nextReq || req)));
+    };
+    return next(0, req);
+  }
+}
+
+const defaultSession_ = new Session({retry: {maxAttempts: 1}});
+
+exports.get = function(uri, headers={}, options={}) {
+  return defaultSession_.get(uri, headers, options);
 };
 
 exports.post = function(uri, headers={}, options={}) {
-  options = wrapOptions_(uri, headers, options);
-  return new Promise(function(resolve, reject) {
-    request.post(options, function(err, res, body) {
-      if (err) {
-        return reject(err);
-      }
-      return validate_(res, body)
-        .then((body) => {
-          return resolve(body);
-        }).catch((err) => {
-          return reject(err);
-        });
-    });
-  });
+  return defaultSession_.post(uri, headers, options);
 };
 
 exports.delete = function(uri, headers={}, options={}) {
-  options = wrapOptions_(uri, headers, options);
-  return new Promise(function(resolve, reject) {
-    request.delete(options, function(err, res, body) {
-      if (err) {
-        return reject(err);
-      }
-      return validate_(res, body)
-        .then((body) => {
-          return resolve(body);
-        }).catch((err) => {
-          return reject(err);
-        });
-    });
-  });
+  return defaultSession_.delete(uri, headers, options);
 };
 
 exports.put = function(uri, headers={}, options={}) {
-  options = wrapOptions_(uri, headers, options);
+  return defaultSession_.put(uri, headers, options);
+};
+
+exports.pipe = function(uri, stream, headers={}, options={}) {
+  return defaultSession_.pipe(uri, stream, headers, options);
+};
+
+// eslint-disable-next-line require-jsdoc
+async function withRetries_(
+  policy, idempotent, signal, sendAttempt, canRetry=() => true) {
+  let maxAttempts = (idempotent || policy.retryNonIdempotent) ?
+    Math.max(policy.maxAttempts, 1) : 1;
+  for (let attempt = 1; ; attempt++) {
+    let isLast = attempt >= maxAttempts;
+    let res;
+    try {
+      res = await sendAttempt(policy, isLast);
+    } catch (err) {
+      if (isLast || !policy.isRetryableError(err) || !canRetry()) {
+        throw err;
+      }
+      await sleep_(policy.getDelay(attempt), signal);
+      continue;
+    }
+    if (isLast || !policy.isRetryableResponse(res)) {
+      return res;
+    }
+    await sleep_(policy.getDelay(attempt, res), signal);
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function runCancellable_(options, attempt) {
   return new Promise(function(resolve, reject) {
-    request.put(options, function(err, res, body) {
-      if (err) {
-        return reject(err);
+    if (options.signal && options.signal.aborted) {
+      return reject(new utils.APIAbortError('Request aborted'));
+    }
+
+    let canceller = createCanceller_();
+    let timer;
+    let done = false;
+    let removeAbortListener = function() {};
+
+    let finish = function(settle, value) {
+      if (!done) {
+        done = true;
+        clearTimeout(timer);
+        removeAbortListener();
+        settle(value);
       }
-      return validate_(res, body)
-        .then((body) => {
-          return resolve(body);
-        }).catch((err) => {
-          return reject(err);
-        });
+    };
+    let cancel = function(err) {
+      if (!done) {
+        canceller.abort();
+        finish(reject, err);
+      }
+    };
+
+    removeAbortListener = utils.onAbort(options.signal, function() {
+      cancel(new utils.APIAbortError('Request aborted'));
     });
+    if (options.timeout) {
+      timer = setTimeout(function() {
+        let err = new utils.APITimeoutError(
+          `Request timed out after ${options.timeout}ms`);
+        err.code = 'ETIMEDOUT';
+        cancel(err);
+      }, options.timeout);
+    }
+    // Streaming attempts call `responded()` once the response has arrived, so
+    // that the timeout does not limit how long the body takes to transfer
+    let responded = () => clearTimeout(timer);
+    attempt(canceller.signal, responded).then(
+      (res) => finish(resolve, res), (err) => finish(reject, err));
   });
-};
+}
 
-exports.pipe = function(uri, stream, headers={}, options={}) {
-  options = wrapOptions_(uri, headers, options);
+// Creates a minimal AbortController, since older Node versions lack one
+// eslint-disable-next-line require-jsdoc
+function createCanceller_() {
+  let listeners = [];
+  let signal = {
+    aborted: false,
+    addEventListener: (type, listener) => listeners.push(listener),
+    removeEventListener: function(type, listener) {
+      listeners = listeners.filter((l) => l !== listener);
+    },
+  };
+  let abort = function() {
+    if (!signal.aborted) {
+      signal.aborted = true;
+      listeners.forEach((listener) => listener());
+    }
+  };
+  return {signal, abort};
+}
+
+// Response bodies are Node readable streams or, for transports such as the
+// FetchTransport, WHATWG ReadableStreams
+// eslint-disable-next-line require-jsdoc
+function isWebStream_(body) {
+  return Boolean(body) && typeof body.getReader === 'function';
+}
+
+// eslint-disable-next-line require-jsdoc
+function pipeBody_(body, stream, onData) {
+  if (isWebStream_(body)) {
+    return pumpWebBody_(body, stream, onData);
+  }
   return new Promise(function(resolve, reject) {
-    request(options)
-      .pipe(stream)
-      .on('finish', function() {
-        return resolve(Promise.resolve());
-      })
-      .on('error', function(err) {
-        return reject(err);
-      });
+    body.on('data', onData);
+    body.on('error', reject);
+    stream.on('error', reject);
+    stream.on('finish', resolve);
+    body.pipe(stream);
   });
-};
+}
 
 // eslint-disable-next-line require-jsdoc
-function wrapOptions_(uri, headers={}, options={}) {
+async function pumpWebBody_(body, stream, onData) {
+  let reader = body.getReader();
+  let failed = new Promise((resolve, reject) => stream.on('error', reject));
+  failed.catch(() => {});
+  try {
+    for (;;) {
+      let {done, value} = await Promise.race([reader.read(), failed]);
+      if (done) {
+        break;
+      }
+      onData(value);
+      if (!stream.write(value)) {
+        await Promise.race([once_(stream, 'drain'), failed]);
+      }
+    }
+    stream.end();
+    await Promise.race([once_(stream, 'finish'), failed]);
+  } catch (err) {
+    reader.cancel().catch(() => {});
+    throw err;
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function once_(emitter, event) {
+  return new Promise((resolve) => emitter.once(event, resolve));
+}
+
+// eslint-disable-next-line require-jsdoc
+function readBody_(body) {
+  if (isWebStream_(body)) {
+    return new Response(body).text();
+  }
+  return new Promise(function(resolve, reject) {
+    let chunks = [];
+    body.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    body.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    body.on('error', reject);
+  });
+}
+
+// eslint-disable-next-line require-jsdoc
+function discardBody_(body) {
+  if (isWebStream_(body)) {
+    body.cancel().catch(() => {});
+  } else if (body && typeof body.resume === 'function') {
+    body.resume();
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function isIdempotent_(method, options) {
+  if (!utils.isNullOrUndefined(options.idempotent)) {
+    return options.idempotent;
+  }
+  return IDEMPOTENT_METHODS.includes(method);
+}
+
+// eslint-disable-next-line require-jsdoc
+function wrapOptions_(method, uri, headers={}, options={}) {
+  options = Object.assign({}, options);
+  delete options.idempotent;
+  delete options.onData;
+  delete options.resumable;
+  delete options.signal;
+  delete options.timeout;
+  if (typeof options.formData === 'function') {
+    options.formData = options.formData();
+  }
+  options.method = method;
   options.uri = uri;
-  options.headers = headers;
+  if (typeof headers === 'function') {
+    headers = headers();
+  }
+  options.headers = normalizeHeaders_(headers);
   return options;
 }
 
 // eslint-disable-next-line require-jsdoc
-function validate_(res, body) {
+function normalizeHeaders_(headers) {
+  // Header names are case-insensitive, so headers whose names differ only in
+  // case are merged, and the last one wins
+  let normalized = {};
+  Object.keys(headers || {}).forEach(function(name) {
+    Object.keys(normalized).forEach(function(key) {
+      if (key.toLowerCase() === name.toLowerCase()) {
+        delete normalized[key];
+      }
+    });
+    normalized[name] = headers[name];
+  });
+  return normalized;
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseRetryAfter_(res) {
+  if (!res || ![429, 503].includes(res.statusCode) || !res.headers) {
+    return null;
+  }
+  let value = res.headers['retry-after'];
+  if (utils.isNullOrUndefined(value)) {
+    return null;
+  }
+  let seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(seconds, 0) * 1000;
+  }
+  let date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(date - Date.now(), 0);
+  }
+  return null;
+}
+
+// eslint-disable-next-line require-jsdoc
+function withDefault_(value, defaultValue) {
+  return utils.isNullOrUndefined(value) ? defaultValue : value;
+}
+
+// eslint-disable-next-line require-jsdoc
+function sleep_(ms, signal=undefined) {
+  return new Promise(function(resolve, reject) {
+    let removeAbortListener = function() {};
+    let timer = setTimeout(function() {
+      removeAbortListener();
+      resolve();
+    }, ms);
+    removeAbortListener = utils.onAbort(signal, function() {
+      clearTimeout(timer);
+      reject(new utils.APIAbortError('Request aborted'));
+    });
+  });
+}
+
+// eslint-disable-next-line require-jsdoc
+function validate_(res, body, method, uri) {
   return new Promise(function(resolve, reject) {
     if (res.statusCode < 300) {
       return resolve(body);
     }
-    return reject(APIError.fromResponseBody(body));
+    return reject(APIError.fromResponseBody(body, {
+      statusCode: res.statusCode,
+      method: method,
+      uri: uri,
+      headers: res.headers,
+      retryAfter: parseRetryAfter_(res),
+    }));
   });
 };
 
+// eslint-disable-next-line require-jsdoc
+function parseErrorBody_(body) {
+  let obj = body;
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    try {
+      obj = JSON.parse(body);
+    } catch (e) {
+      return {};
+    }
+  }
+  if (obj && typeof obj.error === 'object' && obj.error !== null) {
+    return obj.error;
+  }
+  return {};
+}
+
 /**
  * Error raised when an API request fails.
  *
  * @extends module:users/utils~ExtendableError
+ *
+ * @property {string} message - the error message reported by the platform
+ * @property {number|string} code - the error code reported by the platform.
+ *   If the response did not contain an error code, this is the HTTP status
+ *   code
+ * @property {number} statusCode - the HTTP status code of the response, or
+ *   null if no response was received
+ * @property {string} method - the HTTP method of the failed request
+ * @property {string} uri - the URI of the failed request
+ * @property {object} headers - the headers of the response
+ * @property {string|object} body - the raw body of the response
  */
 class APIError extends utils.ExtendableError {
   /**
@@ -121,27 +674,151 @@ class APIError extends utils.ExtendableError {
    *
    * @constructor
    * @param {string} message - the error message
-   * @param {string} code - the error code
+   * @param {number|string} code - the error code
+   * @param {object} [details={}] - details about the failed request
+   * @param {number} [details.statusCode] - the HTTP status code of the
+   *   response. By default, `code` is used if it is numeric
+   * @param {string} [details.method] - the HTTP method of the request
+   * @param {string} [details.uri] - the URI of the request
+   * @param {object} [details.headers] - the headers of the response
+   * @param {string|object} [details.body] - the raw body of the response
+   */
+  constructor(message, code, details={}) {
+    super(message);
+    this.code = code;
+    this.statusCode = withDefault_(
+      details.statusCode, Number.isInteger(code) ? code : null);
+    this.method = withDefault_(details.method, null);
+    this.uri = withDefault_(details.uri, null);
+    this.headers = withDefault_(details.headers, {});
+    this.body = withDefault_(details.body, null);
+  }
+
+  /**
+   * Generates a string representation of the error.
+   *
+   * @return {string} a string representation of the error
    */
-  constructor(message, code) {
-    super(code + ': ' + message);
+  toString() {
+    return `${this.name}: ${this.code}: ${this.message}`;
   }
 
   /**
    * Constructs an APIError from a request response.
    *
-   * @param {object} body - the body of a request response
+   * The most specific APIError subclass for the status code of the response
+   * is returned. Bodies that do not contain a JSON error object, such as
+   * empty bodies or HTML error pages from a gateway, are supported.
+   *
+   * @param {string|object} body - the body of a request response
+   * @param {object} [details={}] - details about the failed request, as
+   *   described in the constructor. If `details.statusCode` is provided, it is
+   *   used to select the APIError subclass
    * @return {APIError} an APIError instance
    */
-  static fromResponseBody(body) {
-    let err;
-    if (typeof body === 'object') {
-      err = body.error;
-    } else {
-      err = JSON.parse(body).error;
+  static fromResponseBody(body, details={}) {
+    let err = parseErrorBody_(body);
+    let statusCode = withDefault_(
+      details.statusCode, Number.isInteger(err.code) ? err.code : null);
+    let code = withDefault_(err.code, statusCode);
+    let message = err.message;
+    if (!message) {
+      message = statusCode ?
+        `Request failed with status code ${statusCode}` : 'Request failed';
     }
-    return new APIError(err.message, err.code);
+    details = Object.assign({}, details, {statusCode, body});
+    let ErrorClass = getErrorClass_(statusCode);
+    return new ErrorClass(message, code, details);
+  }
+}
+
+/**
+ * Error raised when a request fails due to invalid arguments (HTTP 400 or
+ * 422).
+ *
+ * @extends module:users/requests~APIError
+ */
+class ValidationError extends APIError {}
+
+/**
+ * Error raised when a request is not authenticated (HTTP 401).
+ *
+ * @extends module:users/requests~APIError
+ */
+class AuthenticationError extends APIError {}
+
+/**
+ * Error raised when the authenticated user does not have permission to
+ * perform a request (HTTP 403).
+ *
+ * @extends module:users/requests~APIError
+ */
+class PermissionError extends APIError {}
+
+/**
+ * Error raised when a requested resource does not exist (HTTP 404).
+ *
+ * @extends module:users/requests~APIError
+ */
+class NotFoundError extends APIError {}
+
+/**
+ * Error raised when too many requests have been made (HTTP 429).
+ *
+ * @extends module:users/requests~APIError
+ *
+ * @property {number} retryAfter - the number of milliseconds that the
+ *   platform asked to wait before retrying, or null if not specified
+ */
+class RateLimitError extends APIError {
+  /**
+   * Creates a new RateLimitError instance.
+   *
+   * @constructor
+   * @param {string} message - the error message
+   * @param {number|string} code - the error code
+   * @param {object} [details={}] - details about the failed request. In
+   *   addition to the fields supported by APIError, a `retryAfter` value in
+   *   milliseconds may be provided
+   */
+  constructor(message, code, details={}) {
+    super(message, code, details);
+    this.retryAfter = withDefault_(details.retryAfter, null);
+  }
+}
+
+/**
+ * Error raised when the platform fails to process a request (HTTP 5XX).
+ *
+ * @extends module:users/requests~APIError
+ */
+class ServerError extends APIError {}
+
+// eslint-disable-next-line require-jsdoc
+function getErrorClass_(statusCode) {
+  switch (statusCode) {
+    case 400:
+    case 422:
+      return ValidationError;
+    case 401:
+      return AuthenticationError;
+    case 403:
+      return PermissionError;
+    case 404:
+      return NotFoundError;
+    case 429:
+      return RateLimitError;
+    default:
+      return (statusCode >= 500) ? ServerError : APIError;
   }
 }
 
+exports.RetryPolicy = RetryPolicy;
+exports.Session = Session;
 exports.APIError = APIError;
+exports.ValidationError = ValidationError;
+exports.AuthenticationError = AuthenticationError;
+exports.PermissionError = PermissionError;
+exports.NotFoundError = NotFoundError;
+exports.RateLimitError = RateLimitError;
+exports.ServerError = ServerError;
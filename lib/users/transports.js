@@ -0,0 +1,526 @@
+/**
+ * HTTP transports used to send requests to the Voxel51 Platform API.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ *
+ * @module users/transports
+ */
+
+'use strict';
+
+const autoBind = require('auto-bind');
+
+const utils = require('./utils.js');
+
+/**
+ * Base class for HTTP transports.
+ *
+ * A transport sends a single HTTP request and reports the response. Retries,
+ * timeouts, cancellation and error handling are implemented by the session
+ * that uses the transport.
+ *
+ * Requests are described by objects with the following fields, which follow
+ * the conventions of the `request` module:
+ *
+ * - `method`: the HTTP method
+ * - `uri`: the request URI
+ * - `headers`: an object of request headers
+ * - `qs`: an optional object of query string parameters
+ * - `body`: an optional request body. If `json` is true, the body may be an
+ *   object, which is serialized as JSON
+ * - `json`: whether to send the body as JSON and parse the response as JSON
+ * - `form`: an optional object to send as a URL-encoded form
+ * - `formData`: an optional object to send as a multipart form. Values may be
+ *   strings, file streams, Blobs, Files, ReadableStreams, or objects of the
+ *   form `{value, options: {filename, contentType}}`. The types of file
+ *   values that are supported depend on the transport
+ *
+ * Subclasses must implement `send()` and `stream()`.
+ */
+class Transport {
+  /**
+   * Sends the given request and buffers the response body.
+   *
+   * @abstract
+   * @async
+   * @param {object} options - the request to send
+   * @param {AbortSignal} signal - an `AbortSignal`-compatible object that is
+   *   aborted when the request should be cancelled
+   * @return {object} an object with `statusCode`, `headers`, and `body`
+   *   fields describing the response
+   */
+  send(options, signal) {
+    throw new utils.NotImplementedError('subclass must implement send()');
+  }
+
+  /**
+   * Sends the given request and streams the response body.
+   *
+   * @abstract
+   * @async
+   * @param {object} options - the request to send
+   * @param {AbortSignal} signal - an `AbortSignal`-compatible object that is
+   *   aborted when the request should be cancelled
+   * @return {object} an object with `statusCode`, `headers`, and `body`
+   *   fields describing the response, where `body` is a Node readable stream
+   *   or a WHATWG ReadableStream
+   */
+  stream(options, signal) {
+    throw new utils.NotImplementedError('subclass must implement stream()');
+  }
+}
+
+/**
+ * Transport implemented with the Node `request` module.
+ *
+ * This is the default transport. It supports file streams created by
+ * `fs.createReadStream()`, Buffers and strings in multipart forms.
+ *
+ * @extends module:users/transports~Transport
+ */
+class RequestTransport extends Transport {
+  /**
+   * Creates a new RequestTransport instance.
+   *
+   * @constructor
+   */
+  constructor() {
+    super();
+    // Required lazily so that other transports can be used when the
+    // deprecated `request` module is not installed, and in runtimes other
+    // than Node.js
+    this.request_ = require('request');
+    this.stream_ = require('stream');
+    autoBind(this);
+  }
+
+  /**
+   * Sends the given request with the `request` module and buffers the
+   * response body.
+   *
+   * @async
+   * @param {object} options - the request to send, which is passed directly
+   *   to the `request` module
+   * @param {AbortSignal} signal - an `AbortSignal`-compatible object that is
+   *   aborted when the request should be cancelled
+   * @return {object} an object with `statusCode`, `headers`, and `body`
+   *   fields describing the response
+   * @throws {Error} if a network error occurred
+   */
+  send(options, signal) {
+    let request = this.request_;
+    return new Promise(function(resolve, reject) {
+      let req = request(options, function(err, res, body) {
+        if (err) {
+          return reject(err);
+        }
+        return resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: body,
+        });
+      });
+      utils.onAbort(signal, () => req.abort());
+    });
+  }
+
+  /**
+   * Sends the given request with the `request` module and streams the
+   * response body.
+   *
+   * @async
+   * @param {object} options - the request to send, which is passed directly
+   *   to the `request` module
+   * @param {AbortSignal} signal - an `AbortSignal`-compatible object that is
+   *   aborted when the request should be cancelled
+   * @return {object} an object with `statusCode`, `headers`, and `body`
+   *   fields describing the response, where `body` is a readable stream
+   * @throws {Error} if a network error occurred before the response was
+   *   received
+   */
+  stream(options, signal) {
+    let request = this.request_;
+    let PassThrough = this.stream_.PassThrough;
+    return new Promise(function(resolve, reject) {
+      let req = request(options);
+      req.on('error', reject);
+      req.on('response', function(res) {
+        // The request emits data as soon as it arrives, so we must attach a
+        // buffer synchronously to avoid losing data before it is consumed
+        let body = new PassThrough();
+        req.on('error', (err) => body.destroy(err));
+        req.pipe(body);
+        resolve({
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: body,
+        });
+      });
+      utils.onAbort(signal, () => req.abort());
+    });
+  }
+}
+
+/**
+ * Transport implemented with the WHATWG `fetch()` API.
+ *
+ * This transport only relies on web-standard APIs, so it can be used in
+ * browsers, Deno, edge runtimes, and Node.js 18+, or with an alternative
+ * `fetch()` implementation such as the one provided by `undici`.
+ *
+ * Multipart form values may be strings, Uint8Arrays, Blobs, Files, WHATWG
+ * ReadableStreams, or, on Node.js, Buffers and readable streams. Forms that
+ * contain streams are encoded and sent incrementally, so files are never read
+ * into memory in full. Response bodies of streaming requests are WHATWG
+ * ReadableStreams.
+ *
+ * The `fetch()` API does not allow bodies on GET requests, which the
+ * platform uses to specify queries, so the fields of JSON bodies of GET
+ * requests are sent as query string parameters instead.
+ *
+ * @extends module:users/transports~Transport
+ */
+class FetchTransport extends Transport {
+  /**
+   * Creates a new FetchTransport instance.
+   *
+   * @constructor
+   * @param {function} [fetchImpl=undefined] - the `fetch()` implementation to
+   *   use. By default, the global `fetch()` is used
+   * @throws {Error} if no `fetch()` implementation is available
+   */
+  constructor(fetchImpl=undefined) {
+    super();
+    this.fetchImpl_ = fetchImpl || (
+      typeof fetch === 'function' ? fetch : null);
+    if (!this.fetchImpl_) {
+      throw new Error('No fetch() implementation is available');
+    }
+    autoBind(this);
+  }
+
+  /**
+   * Sends the given request with `fetch()` and buffers the response body.
+   *
+   * @async
+   * @param {object} options - the request to send
+   * @param {AbortSignal} signal - an `AbortSignal`-compatible object that is
+   *   aborted when the request should be cancelled
+   * @return {object} an object with `statusCode`, `headers`, and `body`
+   *   fields describing the response. If `options.json` is true, JSON bodies
+   *   are parsed
+   * @throws {Error} if a network error occurred
+   */
+  async send(options, signal) {
+    let res = await this.fetch_(options, signal);
+    let body = await res.text();
+    if (options.json && body) {
+      try {
+        body = JSON.parse(body);
+      } catch (e) {
+        // Leave non-JSON bodies (e.g. gateway error pages) as strings
+      }
+    }
+    return {
+      statusCode: res.status,
+      headers: parseHeaders_(res.headers),
+      body: body,
+    };
+  }
+
+  /**
+   * Sends the given request with `fetch()` and streams the response body.
+   *
+   * @async
+   * @param {object} options - the request to send
+   * @param {AbortSignal} signal - an `AbortSignal`-compatible object that is
+   *   aborted when the request should be cancelled
+   * @return {object} an object with `statusCode`, `headers`, and `body`
+   *   fields describing the response, where `body` is a WHATWG
+   *   ReadableStream
+   * @throws {Error} if a network error occurred before the response was
+   *   received
+   */
+  async stream(options, signal) {
+    let res = await this.fetch_(options, signal);
+    return {
+      statusCode: res.status,
+      headers: parseHeaders_(res.headers),
+      body: res.body,
+    };
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async fetch_(options, signal) {
+    let uri = options.uri;
+    let params = Object.assign({}, options.qs);
+    let headers = Object.assign({}, options.headers);
+    let body;
+    let duplex;
+
+    if (options.formData && hasStreams_(options.formData)) {
+      let multipart = buildMultipartStream_(options.formData);
+      body = multipart.body;
+      duplex = 'half';
+      deleteHeader_(headers, 'content-type');
+      headers['content-type'] = multipart.contentType;
+    } else if (options.formData) {
+      body = buildFormData_(options.formData);
+      deleteHeader_(headers, 'content-type');
+    } else if (options.form) {
+      body = new URLSearchParams(stringifyParams_(options.form));
+    } else if (!utils.isNullOrUndefined(options.body)) {
+      body = options.body;
+      if (options.json && typeof body !== 'string') {
+        body = JSON.stringify(body);
+      }
+      if (options.json) {
+        headers['content-type'] = 'application/json';
+      }
+    }
+
+    if (['GET', 'HEAD'].includes(options.method) && body !== undefined) {
+      Object.assign(params, parseJSONObject_(body));
+      deleteHeader_(headers, 'content-type');
+      body = undefined;
+    }
+
+    if (Object.keys(params).length) {
+      uri += (uri.includes('?') ? '&' : '?') + stringifyParams_(params);
+    }
+
+    let controller = new AbortController();
+    utils.onAbort(signal, () => controller.abort());
+    try {
+      let init = {
+        method: options.method,
+        headers: headers,
+        body: body,
+        signal: controller.signal,
+      };
+      if (duplex) {
+        // Required by fetch() to send streaming request bodies
+        init.duplex = duplex;
+      }
+      return await this.fetchImpl_(uri, init);
+    } catch (err) {
+      // Expose the underlying network error code (e.g. ECONNRESET) so that
+      // retry policies can classify the error
+      if (!err.code && err.cause && err.cause.code) {
+        err.code = err.cause.code;
+      }
+      throw err;
+    }
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function buildFormData_(formData) {
+  let form = new FormData();
+  for (let name of Object.keys(formData)) {
+    let field = parseFormValue_(formData[name]);
+    if (field.filename !== undefined || isBlob_(field.value)) {
+      let blob = isBlob_(field.value) ? field.value : new Blob(
+        [field.value], field.contentType ? {type: field.contentType} : {});
+      form.append(name, blob, field.filename);
+    } else {
+      form.append(name, String(field.value));
+    }
+  }
+  return form;
+}
+
+// Encodes a multipart form as a WHATWG ReadableStream, so that stream values
+// are sent incrementally rather than being read into memory
+// eslint-disable-next-line require-jsdoc
+function buildMultipartStream_(formData) {
+  let boundary = '----voxel51-' + randomHex_(32);
+  let encoder = new TextEncoder();
+  let generate = async function* () {
+    for (let name of Object.keys(formData)) {
+      let field = parseFormValue_(formData[name]);
+      let isFile = (
+        field.filename !== undefined || isBlob_(field.value) ||
+        isStream_(field.value));
+      let header = `--${boundary}\r\n` +
+        `Content-Disposition: form-data; name="${escapeQuotes_(name)}"`;
+      if (isFile) {
+        header += `; filename="${escapeQuotes_(field.filename || 'blob')}"` +
+          '\r\nContent-Type: ' + (
+          field.contentType || field.value.type || 'application/octet-stream');
+      }
+      yield encoder.encode(header + '\r\n\r\n');
+      if (isBlob_(field.value) || isStream_(field.value)) {
+        let value = isBlob_(field.value) ?
+          field.value.stream() : field.value;
+        for await (let chunk of readChunks_(value)) {
+          yield chunk;
+        }
+      } else if (isFile && typeof field.value !== 'string') {
+        yield field.value;
+      } else {
+        yield encoder.encode(String(field.value));
+      }
+      yield encoder.encode('\r\n');
+    }
+    yield encoder.encode(`--${boundary}--\r\n`);
+  };
+
+  let chunks = generate();
+  let body = new ReadableStream({
+    async pull(controller) {
+      let {done, value} = await chunks.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel() {
+      return chunks.return();
+    },
+  });
+  return {body, contentType: `multipart/form-data; boundary=${boundary}`};
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseFormValue_(value) {
+  if (value && value.value !== undefined && value.options) {
+    return {
+      value: value.value,
+      filename: value.options.filename,
+      contentType: value.options.contentType,
+    };
+  }
+  let filename;
+  if (isBlob_(value)) {
+    filename = value.name;
+  } else if (isStream_(value)) {
+    filename = getStreamFilename_(value);
+  }
+  return {value, filename, contentType: undefined};
+}
+
+// eslint-disable-next-line require-jsdoc
+async function* readChunks_(body) {
+  if (typeof body.getReader !== 'function') {
+    // Node readable stream
+    let encoder = new TextEncoder();
+    for await (let chunk of body) {
+      yield (typeof chunk === 'string') ? encoder.encode(chunk) : chunk;
+    }
+    return;
+  }
+  let reader = body.getReader();
+  try {
+    for (;;) {
+      let {done, value} = await reader.read();
+      if (done) {
+        return;
+      }
+      yield value;
+    }
+  } finally {
+    reader.releaseLock();
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function hasStreams_(formData) {
+  return Object.keys(formData).some(function(name) {
+    return isStream_(parseFormValue_(formData[name]).value);
+  });
+}
+
+// eslint-disable-next-line require-jsdoc
+function escapeQuotes_(str) {
+  return String(str).replace(/"/g, '%22');
+}
+
+// Serializes parameters in the same format as the `qs` module, e.g.,
+// `fields[0]=id&fields[1]=name`, with brackets percent-encoded
+// eslint-disable-next-line require-jsdoc
+function stringifyParams_(params) {
+  let pairs = [];
+  let add = function(key, value) {
+    if (value === undefined) {
+      return;
+    }
+    if (value instanceof Date) {
+      value = value.toISOString();
+    }
+    if (value !== null && typeof value === 'object') {
+      Object.keys(value).forEach((k) => add(`${key}[${k}]`, value[k]));
+      return;
+    }
+    pairs.push(encodeURIComponent(key) + '=' + encodeURIComponent(
+      (value === null) ? '' : String(value)));
+  };
+  Object.keys(params).forEach((key) => add(key, params[key]));
+  return pairs.join('&');
+}
+
+// eslint-disable-next-line require-jsdoc
+function randomHex_(length) {
+  let hex = '';
+  while (hex.length < length) {
+    hex += Math.floor(Math.random() * 16).toString(16);
+  }
+  return hex;
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseJSONObject_(body) {
+  let obj;
+  try {
+    obj = (typeof body === 'string') ? JSON.parse(body) : body;
+  } catch (e) {
+    obj = null;
+  }
+  if (!obj || typeof obj !== 'object') {
+    throw new Error('fetch() does not support non-JSON bodies on GET requests');
+  }
+  return obj;
+}
+
+// eslint-disable-next-line require-jsdoc
+function isBlob_(value) {
+  return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+// eslint-disable-next-line require-jsdoc
+function isStream_(value) {
+  return Boolean(value) && (
+    typeof value.getReader === 'function' || typeof value.pipe === 'function');
+}
+
+// eslint-disable-next-line require-jsdoc
+function getStreamFilename_(stream) {
+  if (typeof stream.path === 'string') {
+    return stream.path.split(/[\\/]/).pop();
+  }
+  return undefined;
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseHeaders_(headers) {
+  let obj = {};
+  headers.forEach(function(value, name) {
+    obj[name.toLowerCase()] = value;
+  });
+  return obj;
+}
+
+// eslint-disable-next-line require-jsdoc
+function deleteHeader_(headers, name) {
+  Object.keys(headers).forEach(function(key) {
+    if (key.toLowerCase() === name) {
+      delete headers[key];
+    }
+  });
+}
+
+exports.Transport = Transport;
+exports.RequestTransport = RequestTransport;
+exports.FetchTransport = FetchTransport;
@@ -0,0 +1,283 @@
+/**
+ * Chunked uploads of large files to the Voxel51 Platform API.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ *
+ * @module users/uploads
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const autoBind = require('auto-bind');
+const urljoin = require('url-join');
+
+const requests = require('./requests.js');
+const utils = require('./utils.js');
+
+/**
+ * The default size of each part of a chunked upload, in bytes.
+ */
+const DEFAULT_PART_SIZE = 32 * 1024 * 1024;
+
+/**
+ * The default maximum number of parts to upload in parallel.
+ */
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * The default directory in which the state of chunked uploads is recorded.
+ */
+const DEFAULT_STATE_DIR = path.join(os.homedir(), '.voxel51', 'uploads');
+
+/**
+ * HTTP status codes indicating that a server does not support chunked uploads.
+ */
+const UNSUPPORTED_STATUS_CODES = [404, 405, 501];
+
+/**
+ * Class that uploads a local file in parts.
+ *
+ * Chunked uploads are performed with the following requests, relative to the
+ * upload URI of the resource being uploaded:
+ *
+ * - `POST <uri>` with a JSON body containing the `filename`, `size`, and
+ *   `part_size` of the file, together with any additional parameters of the
+ *   upload, which responds with `{upload: {id, part_size}}`
+ * - `PUT <uri>/<id>/parts/<number>` with the raw bytes of each part, which
+ *   responds with `{part: {number, etag}}`
+ * - `POST <uri>/<id>/complete` with a JSON body of the form
+ *   `{parts: [{number, etag}, ...]}`, which responds with the same body as
+ *   an equivalent single-request upload
+ *
+ * Parts are uploaded in parallel, and each part is retried according to the
+ * retry policy of the session. The state of the upload is recorded in a file
+ * in the state directory as parts complete, so that an interrupted upload of
+ * the same file to the same URI is resumed from its last completed part. The
+ * state file is deleted when the upload completes.
+ *
+ * The Voxel51 Platform does not provide these endpoints yet, so the methods of
+ * the API upload files in a single request, and this class is not exported by
+ * the package.
+ */
+class ChunkedUpload {
+  /**
+   * Creates a new ChunkedUpload instance.
+   *
+   * @constructor
+   * @param {Session} session - the session with which to send requests
+   * @param {string} uri - the upload URI of the resource being uploaded
+   * @param {object} headers - the headers to send with each request
+   * @param {string} filePath - the path to the file to upload
+   * @param {object} [options={}] - options for the upload
+   * @param {number} [options.partSize=33554432] - the size of each part, in
+   *   bytes. The server may override this value
+   * @param {number} [options.concurrency=4] - the maximum number of parts to
+   *   upload in parallel
+   * @param {string} [options.stateDir='~/.voxel51/uploads'] - the directory
+   *   in which to record the state of the upload
+   */
+  constructor(session, uri, headers, filePath, options={}) {
+    this.session = session;
+    this.uri = uri;
+    this.headers = headers;
+    this.filePath = path.resolve(filePath);
+    this.partSize = options.partSize || DEFAULT_PART_SIZE;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.stateDir = options.stateDir || DEFAULT_STATE_DIR;
+    this.statePath = path.join(
+      this.stateDir, hashKey_(this.uri, this.filePath) + '.json');
+    autoBind(this);
+  }
+
+  /**
+   * Uploads the file.
+   *
+   * @async
+   * @param {object} [params={}] - additional parameters of the upload, which
+   *   are sent when the upload is created
+   * @param {object} [requestOptions={}] - options for each request, such as
+   *   `timeout` and `signal`
+   * @param {ProgressTracker} [tracker=undefined] - an optional tracker with
+   *   which to report the progress of the upload
+   * @return {string|object} the response body of the completed upload
+   * @throws {ChunkedUploadNotSupportedError} if the server does not support
+   *   chunked uploads
+   * @throws {APIError} if a request was unsuccessful
+   */
+  async upload(params={}, requestOptions={}, tracker=undefined) {
+    let stats = fs.statSync(this.filePath);
+    let state = this.loadState_(stats);
+    let resumed = Boolean(state);
+    if (!resumed) {
+      state = await this.create_(stats, params, requestOptions);
+    }
+
+    try {
+      await this.uploadParts_(state, requestOptions, tracker);
+    } catch (err) {
+      if (resumed && err instanceof requests.NotFoundError) {
+        // The upload has expired on the server, so start over
+        this.removeState_();
+        return await this.upload(params, requestOptions, tracker);
+      }
+      throw err;
+    }
+
+    let parts = Object.keys(state.parts).map((number) => ({
+      number: Number(number),
+      etag: state.parts[number],
+    }));
+    parts.sort((a, b) => a.number - b.number);
+    let uri = urljoin(this.uri, state.upload_id, 'complete');
+    let body = await this.session.post(uri, this.headers, Object.assign({
+      json: true,
+      body: {parts},
+    }, requestOptions));
+    this.removeState_();
+    return body;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async create_(stats, params, requestOptions) {
+    let body;
+    try {
+      body = await this.session.post(this.uri, this.headers, Object.assign({
+        json: true,
+        body: Object.assign({
+          filename: path.basename(this.filePath),
+          size: stats.size,
+          part_size: this.partSize,
+        }, params),
+      }, requestOptions));
+    } catch (err) {
+      if (UNSUPPORTED_STATUS_CODES.includes(err.statusCode)) {
+        throw new ChunkedUploadNotSupportedError(
+          `Server does not support chunked uploads to '${this.uri}'`);
+      }
+      throw err;
+    }
+
+    let state = {
+      uri: this.uri,
+      upload_id: body.upload.id,
+      file_path: this.filePath,
+      size: stats.size,
+      mtime: stats.mtime.toISOString(),
+      part_size: body.upload.part_size || this.partSize,
+      parts: {},
+    };
+    utils.writeJSON(state, this.statePath);
+    return state;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async uploadParts_(state, requestOptions, tracker) {
+    let size = state.size;
+    let partSize = state.part_size;
+    let numParts = Math.max(Math.ceil(size / partSize), 1);
+    let getRange = function(number) {
+      let start = (number - 1) * partSize;
+      return [start, Math.min(start + partSize, size)];
+    };
+
+    let pending = [];
+    let uploadedBytes = 0;
+    for (let number = 1; number <= numParts; number++) {
+      if (state.parts[number]) {
+        let [start, end] = getRange(number);
+        uploadedBytes += end - start;
+      } else {
+        pending.push(number);
+      }
+    }
+    if (tracker) {
+      tracker.start(size, uploadedBytes);
+    }
+
+    let headers = Object.assign({
+      'content-type': 'application/octet-stream',
+    }, this.headers);
+    let uploadPart = async (number) => {
+      let [start, end] = getRange(number);
+      let data = await readPart_(this.filePath, start, end);
+      let uri = urljoin(
+        this.uri, state.upload_id, 'parts', number.toString());
+      let body = await this.session.put(
+        uri, headers, Object.assign({body: data}, requestOptions));
+      state.parts[number] = parseJSON_(body).part.etag;
+      utils.writeJSON(state, this.statePath);
+      if (tracker) {
+        tracker.update(end - start);
+      }
+    };
+    await utils.mapWithConcurrency(pending, this.concurrency, uploadPart);
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  loadState_(stats) {
+    if (!fs.existsSync(this.statePath)) {
+      return null;
+    }
+    let state;
+    try {
+      state = utils.readJSON(this.statePath);
+    } catch (e) {
+      return null;
+    }
+    // Only resume uploads of the same, unmodified file
+    let matches = (
+      state.uri === this.uri &&
+      state.file_path === this.filePath &&
+      state.size === stats.size &&
+      state.mtime === stats.mtime.toISOString());
+    return matches ? state : null;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  removeState_() {
+    if (fs.existsSync(this.statePath)) {
+      fs.unlinkSync(this.statePath);
+    }
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function readPart_(filePath, start, end) {
+  if (end <= start) {
+    return Promise.resolve(Buffer.alloc(0));
+  }
+  return new Promise(function(resolve, reject) {
+    let chunks = [];
+    let stream = fs.createReadStream(filePath, {start, end: end - 1});
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+// eslint-disable-next-line require-jsdoc
+function hashKey_(uri, filePath) {
+  return crypto.createHash('sha1').update(`${uri}\n${filePath}`)
+    .digest('hex');
+}
+
+// eslint-disable-next-line require-jsdoc
+function parseJSON_(body) {
+  return (typeof body === 'string') ? JSON.parse(body) : body;
+}
+
+/**
+ * Error raised when a server does not support chunked uploads.
+ *
+ * @extends module:users/utils~ExtendableError
+ */
+class ChunkedUploadNotSupportedError extends utils.ExtendableError {}
+
+exports.ChunkedUpload = ChunkedUpload;
+exports.ChunkedUploadNotSupportedError = ChunkedUploadNotSupportedError;
@@ -13,6 +13,8 @@ const fs = require('fs');
 const mkdirp = require('mkdirp');
 const path = require('path');
 
+const autoBind = require('auto-bind');
+
 /**
  * Reads JSON from file.
  *
@@ -178,6 +180,8 @@ function _recurse(v) {
       }, []);
   } else if (v instanceof Serializable) {
     return v.toObject();
+  } else if (v instanceof Date) {
+    return v.toISOString();
   } else if (v instanceof Object) {
     return Object.keys(v).reduce(
       function(o, name) {
@@ -220,56 +224,278 @@ class NotImplementedError extends ExtendableError {}
  * Error raised when a timeout occurs when waiting for the API.
  *
  * @extends module:users/utils~ExtendableError
+ *
+ * @property {*} lastValue - the last value returned by the condition being
+ *   waited on, if applicable
+ * @property {number} elapsed - the number of milliseconds that elapsed
+ *   before the timeout, if applicable
+ */
+class APITimeoutError extends ExtendableError {
+  /**
+   * Creates a new APITimeoutError instance.
+   *
+   * @constructor
+   * @param {string} message - the error message
+   * @param {*} [lastValue=undefined] - the last value returned by the
+   *   condition being waited on
+   * @param {number} [elapsed=undefined] - the number of milliseconds that
+   *   elapsed before the timeout
+   */
+  constructor(message, lastValue=undefined, elapsed=undefined) {
+    super(message);
+    this.lastValue = lastValue;
+    this.elapsed = elapsed;
+  }
+}
+
+/**
+ * Error raised when an API request or wait is cancelled via an AbortSignal.
+ *
+ * @extends module:users/utils~ExtendableError
+ */
+class APIAbortError extends ExtendableError {}
+
+/**
+ * Registers a listener that is called when the given signal is aborted. If the
+ * signal has already been aborted, the listener is called immediately.
+ *
+ * @instance
+ * @param {AbortSignal} [signal=undefined] - an `AbortSignal`-compatible
+ *   object. If omitted, this function does nothing
+ * @param {function} listener - the function to call when the signal is
+ *   aborted
+ * @return {function} a function that unregisters the listener
+ */
+function onAbort(signal, listener) {
+  if (!signal) {
+    return function() {};
+  }
+  if (signal.aborted) {
+    listener();
+    return function() {};
+  }
+  signal.addEventListener('abort', listener);
+  return function() {
+    signal.removeEventListener('abort', listener);
+  };
+}
+
+/**
+ * Enum describing the strategies for computing the delays between polls.
+ *
+ * @enum {string}
  */
-class APITimeoutError extends ExtendableError {}
+const BackoffStrategy = {
+  FIXED: 'fixed',
+  EXPONENTIAL: 'exponential',
+};
+
+/**
+ * Class that computes the delays between successive polls of a condition.
+ */
+class Backoff {
+  /**
+   * Creates a new Backoff instance.
+   *
+   * @constructor
+   * @param {object} [options={}] - the backoff options
+   * @param {BackoffStrategy|function} [options.strategy='fixed'] - the
+   *   strategy to use, or a function with signature `(attempt, elapsed)` that
+   *   returns the number of milliseconds to wait after the given number of
+   *   polls have been made and milliseconds have elapsed
+   * @param {number} [options.delay=5000] - the delay, in milliseconds, between
+   *   polls for the fixed strategy, or after the first poll for the
+   *   exponential strategy
+   * @param {number} [options.maxDelay=Infinity] - the maximum delay, in
+   *   milliseconds, between polls
+   * @param {number} [options.factor=2] - the factor by which the delay grows
+   *   after each poll for the exponential strategy
+   * @param {number} [options.jitter=0] - the fraction in `[0, 1]` of each
+   *   delay that is randomized
+   */
+  constructor(options={}) {
+    this.strategy = withDefault_(options.strategy, BackoffStrategy.FIXED);
+    this.delay = withDefault_(options.delay, 5000);
+    this.maxDelay = withDefault_(options.maxDelay, Infinity);
+    this.factor = withDefault_(options.factor, 2);
+    this.jitter = withDefault_(options.jitter, 0);
+    if (typeof this.strategy !== 'function' &&
+        !Object.values(BackoffStrategy).includes(this.strategy)) {
+      throw new TypeError(`Unsupported backoff strategy '${this.strategy}'`);
+    }
+    autoBind(this);
+  }
+
+  /**
+   * Computes the number of milliseconds to wait before the next poll.
+   *
+   * @param {number} attempt - the number of polls made so far
+   * @param {number} [elapsed=0] - the number of milliseconds elapsed since
+   *   the first poll
+   * @return {number} the delay, in milliseconds
+   */
+  getDelay(attempt, elapsed=0) {
+    let delay;
+    if (typeof this.strategy === 'function') {
+      delay = this.strategy(attempt, elapsed);
+    } else if (this.strategy === BackoffStrategy.EXPONENTIAL) {
+      delay = this.delay * Math.pow(this.factor, attempt - 1);
+    } else {
+      delay = this.delay;
+    }
+    delay = Math.min(delay, this.maxDelay);
+    return Math.max(delay * (1 - this.jitter * Math.random()), 0);
+  }
+
+  /**
+   * Constructs a Backoff from the given value.
+   *
+   * @param {Backoff|number|function|object} backoff - a Backoff instance, a
+   *   fixed delay in milliseconds, a function that computes delays, or an
+   *   object of options to pass to the Backoff constructor
+   * @return {Backoff} a Backoff instance
+   */
+  static from(backoff) {
+    if (backoff instanceof Backoff) {
+      return backoff;
+    }
+    if (typeof backoff === 'number') {
+      return new Backoff({delay: backoff});
+    }
+    if (typeof backoff === 'function') {
+      return new Backoff({strategy: backoff});
+    }
+    return new Backoff(backoff || {});
+  }
+}
 
 /**
  * Waits for a condition to be satisfied before returning.
  *
+ * The condition is first evaluated asynchronously, after this function
+ * returns. Errors thrown by the condition are rethrown with additional
+ * `attempt` and `elapsed` properties describing the poll that failed.
+ *
  * @private
  * @instance
  * @param {function} condition - an async function to periodically evaluate
  *   until it resolves
  * @param {Array} conditionArgs - an array of arguments to pass to condition
  *   function call(s)
- * @param {number} sleepTime - the number of milliseconds to wait between
- *   condition checks
+ * @param {Backoff|number|function|object} sleepTime - the number of
+ *   milliseconds to wait between condition checks, or any other value
+ *   accepted by `Backoff.from()`
  * @param {number} maxWaitTime - the maximum number of milliseconds to wait
  *   for the condition to resolve
- * @return {Promise} a Promise that resolves when the condition is met
- * @throws {APITimeoutError} if the maximum wait time is exceeded
+ * @param {object} [options={}] - optional settings for the wait. For
+ *   backwards compatibility, an `AbortSignal` may also be provided
+ * @param {AbortSignal} [options.signal=undefined] - an optional `AbortSignal`
+ *   that cancels the wait when aborted
+ * @param {function} [options.onPoll=undefined] - an optional function that is
+ *   called after each evaluation of the condition with an object containing
+ *   the `attempt` number, the `value` returned by the condition, and the
+ *   number of milliseconds `elapsed` since the wait began
+ * @param {function} [options.isSatisfied=undefined] - an optional async
+ *   function that determines whether the value returned by the condition
+ *   satisfies it. By default, truthy values satisfy the condition
+ * @return {Promise} a Promise that resolves to the value that satisfied the
+ *   condition
+ * @throws {APITimeoutError} if the maximum wait time is exceeded. The error
+ *   carries the last value returned by the condition and the elapsed time
+ * @throws {APIAbortError} if the wait was aborted
  */
-function waitForCondition(condition, conditionArgs, sleepTime, maxWaitTime) {
-  return new Promise(function(resolve, reject) {
-    let endTime;
+async function waitForCondition(
+  condition, conditionArgs, sleepTime, maxWaitTime, options={}) {
+  if (options && typeof options.addEventListener === 'function') {
+    options = {signal: options};
+  }
+  options = options || {};
+  let backoff = Backoff.from(sleepTime);
+  let isSatisfied = options.isSatisfied || Boolean;
+  let startTime = Date.now();
+  let lastValue;
+
+  // Ensure that the first check happens after this function returns
+  await null;
+  for (let attempt = 1; ; attempt++) {
+    let satisfied;
     try {
-      endTime = (new Date()).getTime() + maxWaitTime;
-      checkCondition();
-    } catch (e) {
-      return reject(e);
+      lastValue = await abortable_(
+        condition(...conditionArgs), options.signal);
+      satisfied = await isSatisfied(lastValue);
+    } catch (err) {
+      if (err instanceof Object && !(err instanceof APIAbortError)) {
+        err.attempt = attempt;
+        err.elapsed = Date.now() - startTime;
+      }
+      throw err;
     }
 
-    /**
-     * Resolves the promise if the condition is met.
-     */
-    async function checkCondition() {
-      try {
-        let result = await condition(...conditionArgs);
-        if (result) {
-          // Condition is satisfied
-          return resolve(result);
-        } else if ((new Date()).getTime() > endTime) {
-          // Maximum wait time exceeded
-          return reject(new APITimeoutError('Maximum wait time exceeded'));
-        }
-      } catch (e) {
-        return reject(e);
-      }
-      // Wait for a while before checking condition again
-      setTimeout(checkCondition, sleepTime);
-    };
+    let elapsed = Date.now() - startTime;
+    if (options.onPoll) {
+      options.onPoll({attempt, value: lastValue, elapsed});
+    }
+    if (satisfied) {
+      return lastValue;
+    }
+    if (elapsed >= maxWaitTime) {
+      throw new APITimeoutError(
+        `Maximum wait time exceeded after ${attempt} attempts in ${elapsed}ms`,
+        lastValue, elapsed);
+    }
+
+    // Check one final time when the maximum wait time is reached
+    let delay = Math.min(
+      backoff.getDelay(attempt, elapsed), maxWaitTime - elapsed);
+    await sleep(delay, options.signal);
+  }
+}
+
+/**
+ * Waits for the given number of milliseconds.
+ *
+ * @instance
+ * @param {number} delay - the number of milliseconds to wait
+ * @param {AbortSignal} [signal=undefined] - an optional `AbortSignal` that
+ *   cancels the wait when aborted
+ * @return {Promise} a Promise that resolves after the delay
+ * @throws {APIAbortError} if the wait was aborted
+ */
+function sleep(delay, signal=undefined) {
+  return new Promise(function(resolve, reject) {
+    let timer;
+    let aborted = false;
+    let removeAbortListener = onAbort(signal, function() {
+      aborted = true;
+      clearTimeout(timer);
+      reject(new APIAbortError('Wait aborted'));
+    });
+    if (!aborted) {
+      timer = setTimeout(function() {
+        removeAbortListener();
+        resolve();
+      }, delay);
+    }
   });
-};
+}
+
+// eslint-disable-next-line require-jsdoc
+function abortable_(promise, signal) {
+  if (!signal) {
+    return Promise.resolve(promise);
+  }
+  return new Promise(function(resolve, reject) {
+    let removeAbortListener = onAbort(signal, function() {
+      reject(new APIAbortError('Wait aborted'));
+    });
+    Promise.resolve(promise).then(resolve, reject).then(removeAbortListener);
+  });
+}
+
+// eslint-disable-next-line require-jsdoc
+function withDefault_(value, defaultValue) {
+  return isNullOrUndefined(value) ? defaultValue : value;
+}
 
 /**
  * Checks if the given value is null or undefined.
@@ -282,6 +508,53 @@ function isNullOrUndefined(value) {
   return (value === null) || (typeof value === 'undefined');
 }
 
+/**
+ * Applies the given async function to each item in the array, running at most
+ * `concurrency` calls at a time.
+ *
+ * If any call fails, no further calls are started, and the returned promise is
+ * rejected with the first error once all in-progress calls have settled.
+ *
+ * @instance
+ * @async
+ * @param {Array} items - the items to process
+ * @param {number} concurrency - the maximum number of concurrent calls
+ * @param {function} fn - an async function that accepts an item and its index
+ * @return {Array} the results of the calls, in the order of the items
+ */
+function mapWithConcurrency(items, concurrency, fn) {
+  concurrency = Math.max(concurrency || 1, 1);
+  return new Promise(function(resolve, reject) {
+    let results = new Array(items.length);
+    let next = 0;
+    let active = 0;
+    let error = null;
+
+    let launch = function() {
+      if (active === 0 && (error || next >= items.length)) {
+        return error ? reject(error) : resolve(results);
+      }
+      while (!error && active < concurrency && next < items.length) {
+        let index = next++;
+        active++;
+        Promise.resolve()
+          .then(() => fn(items[index], index))
+          .then(function(result) {
+            results[index] = result;
+          }, function(err) {
+            error = error || err;
+          })
+          .then(function() {
+            active--;
+            launch();
+          });
+      }
+    };
+
+    launch();
+  });
+}
+
 exports.readJSON = readJSON;
 exports.JSONToStr = JSONToStr;
 exports.writeJSON = writeJSON;
@@ -291,5 +564,11 @@ exports.Serializable = Serializable;
 exports.ExtendableError = ExtendableError;
 exports.NotImplementedError = NotImplementedError;
 exports.APITimeoutError = APITimeoutError;
+exports.APIAbortError = APIAbortError;
+exports.BackoffStrategy = BackoffStrategy;
+exports.Backoff = Backoff;
+exports.onAbort = onAbort;
 exports.waitForCondition = waitForCondition;
+exports.sleep = sleep;
 exports.isNullOrUndefined = isNullOrUndefined;
+exports.mapWithConcurrency = mapWithConcurrency;
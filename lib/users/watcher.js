@@ -0,0 +1,331 @@
+/**
+ * Monitoring of the states of jobs on the Voxel51 Platform API.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ *
+ * @module users/watcher
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+
+const autoBind = require('auto-bind');
+
+const jobs = require('./jobs.js');
+const utils = require('./utils.js');
+
+/**
+ * The default number of milliseconds between polls.
+ */
+const DEFAULT_INTERVAL = 5000;
+
+/**
+ * Class that watches a collection of jobs and emits events as their states
+ * change.
+ *
+ * The states of all watched jobs are fetched via a single
+ * `batchGetJobDetails()` request per poll. Jobs that have completed or failed
+ * are no longer polled, unless the `watchExpiration` option is set, in which
+ * case completed jobs are polled until they expire.
+ *
+ * The following events are emitted, where `job` is a
+ * {@link module:users/models~Job Job} instance describing the current details
+ * of the job:
+ *
+ * - `stateChange(job, previousState)`: the state of a job changed. The first
+ *   time a job is polled, `previousState` is undefined
+ * - `running(job)`: a job started running
+ * - `complete(job)`: a job completed
+ * - `failed(job, failureType)`: a job failed, where `failureType` is a value
+ *   in the `JobFailureType` enum
+ * - `expired(job)`: a job expired
+ * - `progress(summary)`: a poll completed. The summary is an object with the
+ *   `total` number of watched jobs, the number of jobs that are `done` (i.e.,
+ *   complete or failed), and the `counts` of jobs in each `JobState`
+ * - `error(err)`: a poll failed, or the details of a job could not be fetched,
+ *   in which case `err` is a `JobWatcherError` whose `jobId` is the ID of the
+ *   job, and the job is no longer watched. If no listeners are registered for
+ *   `error` events, these errors are ignored
+ *
+ * Jobs can be added and removed at any time, including while the watcher is
+ * running.
+ *
+ * @extends EventEmitter
+ */
+class JobWatcher extends EventEmitter {
+  /**
+   * Creates a new JobWatcher instance.
+   *
+   * @constructor
+   * @param {API} api - the API instance with which to poll the jobs
+   * @param {Array} [jobIds=[]] - the IDs of the jobs to watch
+   * @param {object} [options={}] - options for the watcher, which are also
+   *   used as the request options of each poll
+   * @param {number} [options.interval=5000] - the number of milliseconds
+   *   between polls
+   * @param {boolean} [options.watchExpiration=false] - whether to continue
+   *   polling completed jobs until they expire
+   * @param {AbortSignal} [options.signal=undefined] - an optional
+   *   `AbortSignal` that stops the watcher when aborted
+   */
+  constructor(api, jobIds=[], options={}) {
+    super();
+    this.api = api;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.watchExpiration = Boolean(options.watchExpiration);
+    this.options_ = options;
+    this.jobs_ = new Map();
+    this.running_ = false;
+    this.timer_ = null;
+    this.removeAbortListener_ = null;
+    autoBind(this);
+    this.add(jobIds);
+  }
+
+  /**
+   * The IDs of the watched jobs.
+   *
+   * @return {Array} an array of job IDs
+   */
+  get jobIds() {
+    return Array.from(this.jobs_.keys());
+  }
+
+  /**
+   * Whether the watcher is running.
+   *
+   * @return {boolean}
+   */
+  get isRunning() {
+    return this.running_;
+  }
+
+  /**
+   * Adds the given jobs to the watcher.
+   *
+   * @param {string|Array} jobIds - a job ID or an array of job IDs
+   * @return {JobWatcher} this instance
+   */
+  add(jobIds) {
+    toArray_(jobIds).forEach((jobId) => {
+      if (!this.jobs_.has(jobId)) {
+        this.jobs_.set(jobId, {state: undefined, expired: false});
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Removes the given jobs from the watcher.
+   *
+   * @param {string|Array} jobIds - a job ID or an array of job IDs
+   * @return {JobWatcher} this instance
+   */
+  remove(jobIds) {
+    toArray_(jobIds).forEach((jobId) => this.jobs_.delete(jobId));
+    return this;
+  }
+
+  /**
+   * Determines whether the given job is being watched.
+   *
+   * @param {string} jobId - the job ID
+   * @return {boolean} true if the job is being watched, and false otherwise
+   */
+  has(jobId) {
+    return this.jobs_.has(jobId);
+  }
+
+  /**
+   * Gets the last known states of the watched jobs.
+   *
+   * @return {object} an object mapping job IDs to values in the `JobState`
+   *   enum. The states of jobs that have not yet been polled are undefined
+   */
+  getStates() {
+    let states = {};
+    this.jobs_.forEach((entry, jobId) => {
+      states[jobId] = entry.state;
+    });
+    return states;
+  }
+
+  /**
+   * Starts polling the watched jobs. The first poll is performed immediately.
+   *
+   * @return {JobWatcher} this instance
+   */
+  start() {
+    if (this.running_) {
+      return this;
+    }
+    this.running_ = true;
+    this.removeAbortListener_ = utils.onAbort(this.options_.signal, this.stop);
+    if (this.running_ && !this.timer_) {
+      this.schedule_(0);
+    }
+    return this;
+  }
+
+  /**
+   * Stops polling the watched jobs. A poll that is in progress is allowed to
+   * complete, but no further polls are performed.
+   *
+   * @return {JobWatcher} this instance
+   */
+  stop() {
+    this.running_ = false;
+    clearTimeout(this.timer_);
+    this.timer_ = null;
+    if (this.removeAbortListener_) {
+      this.removeAbortListener_();
+      this.removeAbortListener_ = null;
+    }
+    return this;
+  }
+
+  /**
+   * Polls the watched jobs once and emits the appropriate events.
+   *
+   * @async
+   * @return {Array} an array of Job instances describing the polled jobs
+   * @throws {APIError} if the request was unsuccessful
+   */
+  async poll() {
+    let jobIds = this.jobIds.filter(this.shouldPoll_);
+    if (!jobIds.length) {
+      return [];
+    }
+
+    let responses = await this.api.batchGetJobs(jobIds, this.options_);
+    let polled = [];
+    for (let jobId of jobIds) {
+      if (!this.jobs_.has(jobId)) {
+        // The job was removed during the poll
+        continue;
+      }
+      let response = responses[jobId];
+      if (!response || !response.success) {
+        this.jobs_.delete(jobId);
+        let message = (response && response.message) || 'no response';
+        this.emitError_(new JobWatcherError(
+          `Failed to get details of job ${jobId}: ${message}`, jobId));
+        continue;
+      }
+      this.update_(jobId, response.response);
+      polled.push(response.response);
+    }
+
+    this.emit('progress', this.getSummary_());
+    return polled;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  schedule_(delay) {
+    this.timer_ = setTimeout(this.tick_, delay);
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  async tick_() {
+    this.timer_ = null;
+    try {
+      await this.poll();
+    } catch (err) {
+      this.emitError_(err);
+    }
+    // The watcher may have been stopped and restarted during the poll
+    if (this.running_ && !this.timer_) {
+      this.schedule_(this.interval);
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  shouldPoll_(jobId) {
+    let entry = this.jobs_.get(jobId);
+    if (entry.state === jobs.JobState.FAILED) {
+      return false;
+    }
+    if (entry.state === jobs.JobState.COMPLETE) {
+      return this.watchExpiration && !entry.expired;
+    }
+    return true;
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  update_(jobId, job) {
+    let entry = this.jobs_.get(jobId);
+    let previousState = entry.state;
+    if (job.state !== previousState) {
+      entry.state = job.state;
+      this.emit('stateChange', job, previousState);
+      if (job.state === jobs.JobState.RUNNING) {
+        this.emit('running', job);
+      } else if (job.state === jobs.JobState.COMPLETE) {
+        this.emit('complete', job);
+      } else if (job.state === jobs.JobState.FAILED) {
+        this.emit('failed', job, job.failureType);
+      }
+    }
+    if (!entry.expired && job.isExpired()) {
+      entry.expired = true;
+      this.emit('expired', job);
+    }
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  getSummary_() {
+    let counts = {};
+    Object.values(jobs.JobState).forEach((state) => {
+      counts[state] = 0;
+    });
+    let done = 0;
+    this.jobs_.forEach((entry) => {
+      if (entry.state in counts) {
+        counts[entry.state]++;
+      }
+      if (entry.state === jobs.JobState.COMPLETE ||
+          entry.state === jobs.JobState.FAILED) {
+        done++;
+      }
+    });
+    return {total: this.jobs_.size, done, counts};
+  }
+
+  // eslint-disable-next-line require-jsdoc
+  emitError_(err) {
+    if (this.listenerCount('error')) {
+      this.emit('error', err);
+    }
+  }
+}
+
+// eslint-disable-next-line require-jsdoc
+function toArray_(values) {
+  return Array.isArray(values) ? values : [values];
+}
+
+/**
+ * Error raised when the details of a watched job cannot be fetched.
+ *
+ * @extends module:users/utils~ExtendableError
+ *
+ * @property {string} jobId - the ID of the job
+ */
+class JobWatcherError extends utils.ExtendableError {
+  /**
+   * Creates a new JobWatcherError instance.
+   *
+   * @constructor
+   * @param {string} message - the error message
+   * @param {string} jobId - the ID of the job
+   */
+  constructor(message, jobId) {
+    super(message);
+    this.jobId = jobId;
+  }
+}
+
+exports.JobWatcher = JobWatcher;
+exports.JobWatcherError = JobWatcherError;
@@ -0,0 +1,8 @@
+module.exports = {
+  "env": {
+    "mocha": true,
+  },
+  "rules": {
+    "require-jsdoc": 0,
+  },
+};
@@ -0,0 +1,88 @@
+/**
+ * Tests for the apps/api module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+const api = require('../../lib/apps/api.js');
+const auth = require('../../lib/apps/auth.js');
+const query = require('../../lib/users/query.js');
+
+describe('ApplicationAPI', function() {
+  let client;
+  let sandbox;
+  let records;
+  let pages;
+
+  beforeEach(function() {
+    let token = auth.ApplicationToken.fromPrivateKey(
+      'private-key', 'http://127.0.0.1');
+    client = new api.ApplicationAPI(token);
+    sandbox = sinon.sandbox.create();
+    records = [0, 1, 2, 3, 4].map((i) => ({id: `id-${i}`}));
+    pages = [];
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  function stubQuery(method, key, onPage=function() {}) {
+    sandbox.stub(client, method).callsFake(function(pageQuery) {
+      pages.push([pageQuery.offset, pageQuery.limit]);
+      let result = {[key]: pageQuery.evaluate(records)};
+      onPage(pages.length);
+      return Promise.resolve(result);
+    });
+  }
+
+  async function collect(iterator) {
+    let ids = [];
+    for await (let record of iterator) {
+      ids.push(record.id);
+    }
+    return ids;
+  }
+
+  describe('#iterateApplicationData()', function() {
+    it('fetches overlapping pages until the last page', async function() {
+      stubQuery('queryApplicationData', 'data');
+      let ids = await collect(client.iterateApplicationData(
+        new query.DataQuery(), {pageSize: 2}));
+      expect(ids).to.deep.equal(['id-0', 'id-1', 'id-2', 'id-3', 'id-4']);
+      expect(pages).to.deep.equal([[0, 2], [1, 2], [2, 2], [3, 2], [4, 2]]);
+    });
+
+    it('does not skip records when records are removed', async function() {
+      stubQuery('queryApplicationData', 'data', function(page) {
+        if (page === 1) {
+          records.splice(0, 2);
+        }
+      });
+      let ids = await collect(client.iterateApplicationData(
+        new query.DataQuery(), {pageSize: 3}));
+      expect(ids).to.deep.equal(['id-0', 'id-1', 'id-2', 'id-3', 'id-4']);
+    });
+  });
+
+  describe('#iterateApplicationJobs()', function() {
+    it('yields each record once when records are inserted',
+      async function() {
+        stubQuery('queryApplicationJobs', 'jobs', function(page) {
+          if (page === 1) {
+            records.unshift({id: 'id-new'});
+          }
+        });
+        let ids = await collect(client.iterateApplicationJobs(
+          new query.JobsQuery().setLimit(1)));
+        expect(ids).to.deep.equal(['id-0', 'id-1', 'id-2', 'id-3', 'id-4']);
+        expect(pages.every(([, limit]) => limit === 2)).to.be.true;
+      });
+  });
+});
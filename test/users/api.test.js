@@ -0,0 +1,1009 @@
+/**
+ * Tests for the users/api module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+const api = require('../../lib/users/api.js');
+const auth = require('../../lib/users/auth.js');
+const jobs = require('../../lib/users/jobs.js');
+const manifests = require('../../lib/users/manifests.js');
+const models = require('../../lib/users/models.js');
+const query = require('../../lib/users/query.js');
+const requests = require('../../lib/users/requests.js');
+const utils = require('../../lib/users/utils.js');
+
+const CONTENT = Buffer.from('0123456789'.repeat(10000));
+
+function digest(algorithm, data) {
+  return crypto.createHash(algorithm).update(data).digest('hex');
+}
+
+describe('API', function() {
+  let server;
+  let client;
+  let received;
+  let failures;
+  let details;
+  let stalled;
+  let onStall;
+  let log;
+  let logRanges;
+  let tmpDir;
+  let outputPath;
+
+  function serveDownload(req, res) {
+    let failure = failures.shift();
+    if (failure === 'unavailable') {
+      res.statusCode = 503;
+      res.end();
+      return;
+    }
+
+    let start = 0;
+    let match = /^bytes=(\d+)-$/.exec(req.headers['range'] || '');
+    if (match) {
+      start = Number(match[1]);
+      if (start >= CONTENT.length) {
+        res.statusCode = 416;
+        res.setHeader('content-range', `bytes */${CONTENT.length}`);
+        res.end();
+        return;
+      }
+      res.statusCode = 206;
+      res.setHeader(
+        'content-range',
+        `bytes ${start}-${CONTENT.length - 1}/${CONTENT.length}`);
+    }
+    res.setHeader('content-length', CONTENT.length - start);
+    if (failure === 'reset') {
+      // Send part of the body and then drop the connection
+      res.write(CONTENT.slice(start, start + 1000), () => res.destroy());
+      return;
+    }
+    if (failure === 'stall') {
+      // Send part of the body and then wait until the test ends
+      stalled.push(res);
+      res.write(CONTENT.slice(start, start + 1000), () => onStall());
+      return;
+    }
+    res.end(CONTENT.slice(start));
+  }
+
+  function serveUpload(req, res) {
+    let size = 0;
+    req.on('data', function(chunk) {
+      size += chunk.length;
+    });
+    req.on('end', function() {
+      res.setHeader('content-type', 'application/json');
+      res.end(JSON.stringify({data: {id: 'data-id', size}}));
+    });
+  }
+
+  function serveLog(req, res) {
+    if (log === null) {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    let match = /^bytes=(\d+)-$/.exec(req.headers['range'] || '');
+    if (match && logRanges) {
+      let start = Number(match[1]);
+      res.statusCode = (start < log.length) ? 206 : 416;
+      res.end(log.slice(start));
+      return;
+    }
+    res.end(log);
+  }
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      received.push({url: req.url, headers: req.headers});
+      if (req.url === '/v1/jobs/job-id/log') {
+        serveLog(req, res);
+        return;
+      }
+      if (req.url === '/v1/data/data-id') {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({data: details}));
+        return;
+      }
+      if (req.method === 'POST') {
+        serveUpload(req, res);
+        return;
+      }
+      serveDownload(req, res);
+    });
+    server.listen(0, '127.0.0.1', function() {
+      let baseURL = `http://127.0.0.1:${server.address().port}`;
+      let token = auth.Token.fromPrivateKey('private-key', baseURL);
+      client = new api.API(token, {retry: {baseDelay: 1, jitter: 0}});
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    received = [];
+    failures = [];
+    stalled = [];
+    onStall = function() {};
+    log = '';
+    logRanges = true;
+    details = {
+      name: 'video.mp4',
+      size: CONTENT.length,
+      md5: digest('md5', CONTENT),
+      sha256: digest('sha256', CONTENT),
+    };
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel51-'));
+    outputPath = path.join(tmpDir, 'video.mp4');
+  });
+
+  afterEach(function() {
+    stalled.forEach((res) => res.destroy());
+    fs.readdirSync(tmpDir).forEach((f) => fs.unlinkSync(path.join(tmpDir, f)));
+    fs.rmdirSync(tmpDir);
+  });
+
+  describe('#downloadData()', function() {
+    it('downloads data', async function() {
+      await client.downloadData('data-id', outputPath, {verify: true});
+      expect(fs.readFileSync(outputPath).equals(CONTENT)).to.be.true;
+      expect(fs.existsSync(outputPath + '.part')).to.be.false;
+    });
+
+    it('resumes from partial downloads', async function() {
+      fs.writeFileSync(outputPath + '.part', CONTENT.slice(0, 12345));
+      await client.downloadData(
+        'data-id', outputPath, {resume: true, verify: true});
+      expect(fs.readFileSync(outputPath).equals(CONTENT)).to.be.true;
+      let download = received.find((req) => req.url.endsWith('/download'));
+      expect(download.headers['range']).to.equal('bytes=12345-');
+    });
+
+    it('completes partial downloads that are already complete',
+      async function() {
+        fs.writeFileSync(outputPath + '.part', CONTENT);
+        await client.downloadData(
+          'data-id', outputPath, {resume: true, verify: true});
+        expect(fs.readFileSync(outputPath).equals(CONTENT)).to.be.true;
+        expect(fs.existsSync(outputPath + '.part')).to.be.false;
+      });
+
+    it('retries failures that occur before any data is written',
+      async function() {
+        failures = ['unavailable'];
+        fs.writeFileSync(outputPath + '.part', CONTENT.slice(0, 5000));
+        await client.downloadData(
+          'data-id', outputPath, {resume: true, verify: true});
+        expect(fs.readFileSync(outputPath).equals(CONTENT)).to.be.true;
+        let downloads = received.filter((req) => req.url.endsWith('/download'));
+        expect(downloads).to.have.lengthOf(2);
+        downloads.forEach(
+          (req) => expect(req.headers['range']).to.equal('bytes=5000-'));
+      });
+
+    it('resumes transfers that fail after data is written',
+      async function() {
+        failures = ['reset', 'reset'];
+        fs.writeFileSync(outputPath + '.part', CONTENT.slice(0, 5000));
+        await client.downloadData(
+          'data-id', outputPath, {resume: true, verify: true});
+        expect(fs.readFileSync(outputPath).equals(CONTENT)).to.be.true;
+        let downloads = received.filter((req) => req.url.endsWith('/download'));
+        expect(downloads).to.have.lengthOf(3);
+        let offsets = downloads.map(
+          (req) => Number(/^bytes=(\d+)-$/.exec(req.headers['range'])[1]));
+        expect(offsets[0]).to.equal(5000);
+        expect(offsets[1]).to.be.within(offsets[0], offsets[0] + 1000);
+        expect(offsets[2]).to.be.within(offsets[1], offsets[1] + 1000);
+      });
+
+    it('keeps resumable partial files when retries are exhausted',
+      async function() {
+        failures = ['reset', 'reset', 'reset'];
+        fs.writeFileSync(outputPath + '.part', CONTENT.slice(0, 5000));
+        let err = await client.downloadData(
+          'data-id', outputPath, {resume: true}).catch((e) => e);
+        expect(err).to.be.an.instanceof(Error);
+        let downloads = received.filter((req) => req.url.endsWith('/download'));
+        expect(downloads).to.have.lengthOf(3);
+
+        // The partial file contains each byte exactly once, so that the
+        // download can be resumed
+        let partial = fs.readFileSync(outputPath + '.part');
+        expect(partial.equals(CONTENT.slice(0, partial.length))).to.be.true;
+        await client.downloadData(
+          'data-id', outputPath, {resume: true, verify: true});
+        expect(fs.readFileSync(outputPath).equals(CONTENT)).to.be.true;
+      });
+
+    it('does not retry failures after data is written unless resuming',
+      async function() {
+        failures = ['reset'];
+        let err = await client.downloadData('data-id', outputPath)
+          .catch((e) => e);
+        expect(err).to.be.an.instanceof(Error);
+        let downloads = received.filter((req) => req.url.endsWith('/download'));
+        expect(downloads).to.have.lengthOf(1);
+        expect(fs.existsSync(outputPath + '.part')).to.be.false;
+      });
+
+    it('removes partial files after failures', async function() {
+      failures = ['reset'];
+      let err = await client.downloadData('data-id', outputPath)
+        .catch((e) => e);
+      expect(err).to.be.an.instanceof(Error);
+      expect(fs.existsSync(outputPath + '.part')).to.be.false;
+      expect(fs.existsSync(outputPath)).to.be.false;
+    });
+
+    it('removes partial files when aborted', async function() {
+      failures = ['stall'];
+      let controller = new AbortController();
+      onStall = () => setTimeout(() => controller.abort(), 20);
+      let err = await client.downloadData(
+        'data-id', outputPath, {signal: controller.signal}).catch((e) => e);
+      expect(err).to.be.an.instanceof(utils.APIAbortError);
+      expect(fs.existsSync(outputPath + '.part')).to.be.false;
+      expect(fs.existsSync(outputPath)).to.be.false;
+    });
+
+    it('keeps partial files when aborted while resuming', async function() {
+      failures = ['stall'];
+      let controller = new AbortController();
+      onStall = () => setTimeout(() => controller.abort(), 20);
+      let err = await client.downloadData(
+        'data-id', outputPath, {resume: true, signal: controller.signal})
+        .catch((e) => e);
+      expect(err).to.be.an.instanceof(utils.APIAbortError);
+      let partial = fs.readFileSync(outputPath + '.part');
+      expect(partial.equals(CONTENT.slice(0, partial.length))).to.be.true;
+      expect(fs.existsSync(outputPath)).to.be.false;
+    });
+
+    it('does not time out while the file is transferred', async function() {
+      failures = ['stall'];
+      onStall = () => setTimeout(() => stalled.pop().end(
+        CONTENT.slice(1000)), 50);
+      await client.downloadData(
+        'data-id', outputPath, {timeout: 20, verify: true});
+      expect(fs.readFileSync(outputPath).equals(CONTENT)).to.be.true;
+    });
+
+    it('raises an error when the size does not match', async function() {
+      details.size = CONTENT.length + 1;
+      let err = await client.downloadData(
+        'data-id', outputPath, {verify: true}).catch((e) => e);
+      expect(err).to.be.an.instanceof(api.DownloadVerificationError);
+      expect(err.message).to.match(/^Expected 100001 bytes/);
+      expect(fs.existsSync(outputPath)).to.be.false;
+      expect(fs.existsSync(outputPath + '.part')).to.be.false;
+    });
+
+    it('raises an error when the hashes do not match', async function() {
+      for (let algorithm of ['md5', 'sha256']) {
+        details = {size: CONTENT.length};
+        details[algorithm] = digest(algorithm, 'other');
+        let err = await client.downloadData(
+          'data-id', outputPath, {verify: true}).catch((e) => e);
+        expect(err).to.be.an.instanceof(api.DownloadVerificationError);
+        expect(err.message).to.include(`Expected ${algorithm} hash`);
+        expect(fs.existsSync(outputPath)).to.be.false;
+      }
+    });
+  });
+
+  describe('onProgress', function() {
+    let reports;
+
+    beforeEach(function() {
+      reports = [];
+    });
+
+    function onProgress(report) {
+      reports.push(report);
+    }
+
+    function expectIncreasing(values) {
+      values.slice(1).forEach(
+        (value, index) => expect(value).to.be.at.least(values[index]));
+    }
+
+    it('reports the progress of downloads', async function() {
+      await client.downloadData('data-id', outputPath, {onProgress});
+      expect(reports).to.not.be.empty;
+      expectIncreasing(reports.map((r) => r.transferred));
+      expect(reports[reports.length - 1]).to.include(
+        {transferred: CONTENT.length, total: CONTENT.length, eta: 0});
+    });
+
+    it('reports the progress of resumed downloads', async function() {
+      fs.writeFileSync(outputPath + '.part', CONTENT.slice(0, 12345));
+      await client.downloadData(
+        'data-id', outputPath, {resume: true, onProgress});
+      expect(reports[0].transferred).to.be.above(12345);
+      expect(reports[0].total).to.equal(CONTENT.length);
+      expectIncreasing(reports.map((r) => r.transferred));
+      expect(reports[reports.length - 1]).to.include(
+        {transferred: CONTENT.length, total: CONTENT.length});
+    });
+
+    it('reports the progress of uploads', async function() {
+      let inputPath = path.join(tmpDir, 'upload.mp4');
+      fs.writeFileSync(inputPath, CONTENT);
+      let data = await client.uploadData(inputPath, undefined, {onProgress});
+      expect(data.size).to.be.above(CONTENT.length);
+      expect(reports).to.not.be.empty;
+      expectIncreasing(reports.map((r) => r.transferred));
+      expect(reports[reports.length - 1]).to.include(
+        {transferred: CONTENT.length, total: CONTENT.length, eta: 0});
+    });
+  });
+
+  describe('#waitUntilJobsComplete()', function() {
+    let sandbox;
+
+    beforeEach(function() {
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    function jobResponse(id, state) {
+      return {success: true, response: new models.Job({id, state})};
+    }
+
+    function serverError() {
+      return new requests.ServerError('Service unavailable', 503);
+    }
+
+    it('keeps polling after failed polls', async function() {
+      let stub = sandbox.stub(client, 'batchGetJobs');
+      stub.onCall(0).rejects(serverError());
+      stub.onCall(1).resolves({
+        a: jobResponse('a', jobs.JobState.COMPLETE),
+        b: jobResponse('b', jobs.JobState.FAILED),
+      });
+      let summaries = await client.waitUntilJobsComplete(
+        ['a', 'b'], {sleepTime: 0.01, maxWaitTime: 5});
+      expect(stub.callCount).to.equal(2);
+      expect(summaries.a.status).to.equal(jobs.JobWaitStatus.COMPLETE);
+      expect(summaries.b.status).to.equal(jobs.JobWaitStatus.FAILED);
+    });
+
+    it('reports errors after too many failed polls in a row',
+      async function() {
+        let err = serverError();
+        let stub = sandbox.stub(client, 'batchGetJobs');
+        stub.onCall(0).resolves({
+          a: jobResponse('a', jobs.JobState.COMPLETE),
+          b: jobResponse('b', jobs.JobState.RUNNING),
+        });
+        stub.rejects(err);
+        let summaries = await client.waitUntilJobsComplete(
+          ['a', 'b'], {sleepTime: 0.01, maxWaitTime: 5, maxPollErrors: 2});
+        expect(stub.callCount).to.equal(3);
+        expect(summaries.a.status).to.equal(jobs.JobWaitStatus.COMPLETE);
+        expect(summaries.b.status).to.equal(jobs.JobWaitStatus.ERROR);
+        expect(summaries.b.error).to.equal(err);
+        expect(summaries.b.job.state).to.equal(jobs.JobState.RUNNING);
+      });
+
+    it('times out while polls are failing', async function() {
+      sandbox.stub(client, 'batchGetJobs').rejects(serverError());
+      let summaries = await client.waitUntilJobsComplete(
+        ['a'], {sleepTime: 0.01, maxWaitTime: 0.05, maxPollErrors: Infinity});
+      expect(summaries.a.status).to.equal(jobs.JobWaitStatus.TIMED_OUT);
+    });
+
+    it('throws failed polls when failing fast', async function() {
+      let err = serverError();
+      sandbox.stub(client, 'batchGetJobs').rejects(err);
+      let result = await client.waitUntilJobsComplete(
+        ['a'], {sleepTime: 0.01, maxWaitTime: 5, failFast: true})
+        .catch((e) => e);
+      expect(result).to.equal(err);
+    });
+  });
+
+  describe('#waitUntilJobCompletes()', function() {
+    let sandbox;
+
+    beforeEach(function() {
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('stops waiting when aborted', async function() {
+      let stub = sandbox.stub(client, 'getJobDetails').resolves(
+        {id: 'a', state: jobs.JobState.RUNNING});
+      let controller = new AbortController();
+      let err = await client.waitUntilJobCompletes('a', 0.01, 5, {
+        signal: controller.signal,
+        onPoll: () => controller.abort(),
+      }).catch((e) => e);
+      expect(err).to.be.an.instanceof(utils.APIAbortError);
+      expect(stub.callCount).to.equal(1);
+      expect(stub.firstCall.args[1].signal).to.equal(controller.signal);
+    });
+
+    function failedJob(id, failureType=jobs.JobFailureType.PLATFORM) {
+      return {id, state: jobs.JobState.FAILED, failure_type: failureType};
+    }
+
+    it('retries failed jobs', async function() {
+      let stub = sandbox.stub(client, 'getJobDetails');
+      stub.withArgs('a').resolves(failedJob('a'));
+      stub.withArgs('b').resolves({id: 'b', state: jobs.JobState.COMPLETE});
+      let retryJob = sandbox.stub(client, 'retryJob').resolves('b');
+      let onRetry = sinon.spy();
+      let job = await client.waitUntilJobCompletes('a', 0.01, 5, {
+        autoRetry: {onRetry},
+      });
+      expect(job.id).to.equal('b');
+      expect(retryJob.calledOnce).to.be.true;
+      expect(retryJob.firstCall.args[0]).to.equal('a');
+      expect(retryJob.firstCall.args[1].onlyFailureTypes).to.deep.equal(
+        [jobs.JobFailureType.PLATFORM]);
+      expect(onRetry.args).to.deep.equal([['a', 'b', 1]]);
+    });
+
+    it('stops retrying after the maximum number of retries',
+      async function() {
+        let stub = sandbox.stub(client, 'getJobDetails');
+        ['a', 'b', 'c'].forEach((id) => stub.withArgs(id).resolves(
+          failedJob(id)));
+        let retryJob = sandbox.stub(client, 'retryJob');
+        retryJob.withArgs('a').resolves('b');
+        retryJob.withArgs('b').resolves('c');
+        let onRetry = sinon.spy();
+        let err = await client.waitUntilJobCompletes('a', 0.01, 5, {
+          autoRetry: {maxRetries: 2, onRetry},
+        }).catch((e) => e);
+        expect(err).to.be.an.instanceof(jobs.JobExecutionError);
+        expect(err.message).to.equal('Job c failed');
+        expect(retryJob.callCount).to.equal(2);
+        expect(onRetry.args).to.deep.equal([['a', 'b', 1], ['b', 'c', 2]]);
+      });
+
+    it('only retries the allowed failure types', async function() {
+      sandbox.stub(client, 'getJobDetails').resolves(
+        failedJob('a', jobs.JobFailureType.USER));
+      let retryJob = sandbox.stub(client, 'retryJob').resolves('b');
+      let err = await client.waitUntilJobCompletes('a', 0.01, 5, {
+        autoRetry: {maxRetries: 2},
+      }).catch((e) => e);
+      expect(err).to.be.an.instanceof(jobs.JobExecutionError);
+      expect(retryJob.called).to.be.false;
+
+      err = await client.waitUntilJobCompletes('a', 0.01, 5, {
+        autoRetry: {onlyFailureTypes: [jobs.JobFailureType.USER]},
+      }).catch((e) => e);
+      expect(err).to.be.an.instanceof(jobs.JobExecutionError);
+      expect(retryJob.calledOnce).to.be.true;
+      expect(retryJob.firstCall.args[1].onlyFailureTypes).to.deep.equal(
+        [jobs.JobFailureType.USER]);
+    });
+
+    it('does not retry jobs by default', async function() {
+      sandbox.stub(client, 'getJobDetails').resolves(failedJob('a'));
+      let retryJob = sandbox.stub(client, 'retryJob').resolves('b');
+      let err = await client.waitUntilJobCompletes('a', 0.01, 5)
+        .catch((e) => e);
+      expect(err).to.be.an.instanceof(jobs.JobExecutionError);
+      expect(retryJob.called).to.be.false;
+    });
+  });
+
+  describe('#retryJob()', function() {
+    let sandbox;
+    let post;
+
+    beforeEach(function() {
+      sandbox = sinon.sandbox.create();
+      sandbox.stub(client, 'getJobRequest').resolves(
+        new jobs.JobRequest('detector', '1.0'));
+      post = sandbox.stub(client.session_, 'post').resolves(
+        JSON.stringify({job: {id: 'b'}}));
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    function stubJob(fields) {
+      sandbox.stub(client, 'getJobDetails').resolves(Object.assign({
+        id: 'a',
+        name: 'detect',
+        state: jobs.JobState.FAILED,
+        failure_type: jobs.JobFailureType.PLATFORM,
+        compute_mode: jobs.JobComputeMode.GPU,
+        expiration_date: '2030-01-01T00:00:00.000Z',
+      }, fields));
+    }
+
+    it('uploads the request of the failed job as a new job', async function() {
+      stubJob();
+      let newJobId = await client.retryJob('a');
+      expect(newJobId).to.equal('b');
+      expect(post.calledOnce).to.be.true;
+      let formData = post.firstCall.args[2].formData;
+      expect(formData).to.have.all.keys(
+        'file', 'job_name', 'auto_start', 'job_ttl');
+      expect(formData.job_name).to.equal('detect');
+      expect(formData.auto_start).to.equal('true');
+      expect(formData.job_ttl).to.equal('2030-01-01T00:00:00.000Z');
+      let jobRequest = jobs.JobRequest.fromString(formData.file.value);
+      expect(jobRequest.analytic).to.equal('detector');
+      expect(jobRequest.computeMode).to.equal(jobs.JobComputeMode.GPU);
+    });
+
+    it('does not start the new job when autoStart is false',
+      async function() {
+        stubJob({expiration_date: undefined});
+        await client.retryJob('a', {autoStart: false});
+        let formData = post.firstCall.args[2].formData;
+        expect(formData.auto_start).to.equal('false');
+        expect(formData).to.not.have.property('job_ttl');
+      });
+
+    it('refuses to retry jobs that have not failed', async function() {
+      stubJob({state: jobs.JobState.RUNNING, failure_type: undefined});
+      let err = await client.retryJob('a').catch((e) => e);
+      expect(err).to.be.an.instanceof(api.JobRetryError);
+      expect(err.message).to.equal(
+        'Job a cannot be retried because it is RUNNING');
+      expect(post.called).to.be.false;
+    });
+
+    it('refuses to retry failure types that are not allowed',
+      async function() {
+        stubJob({failure_type: jobs.JobFailureType.USER});
+        let err = await client.retryJob('a', {
+          onlyFailureTypes: [jobs.JobFailureType.PLATFORM],
+        }).catch((e) => e);
+        expect(err).to.be.an.instanceof(api.JobRetryError);
+        expect(err.message).to.include('failure type USER');
+        expect(post.called).to.be.false;
+      });
+  });
+
+  describe('#submitManifest()', function() {
+    const DOC = {
+      info: {name: 'detector', version: '1.0', supports_cpu: true},
+      inputs: [{name: 'video', type: 'eta.core.types.Video'}],
+      parameters: [{name: 'fps', type: 'eta.core.types.Number', default: 5}],
+    };
+
+    let sandbox;
+    let manifestPath;
+    let resultsPath;
+    let upload;
+
+    beforeEach(function() {
+      sandbox = sinon.sandbox.create();
+      sandbox.stub(client, 'getAnalyticID').resolves('analytic-id');
+      sandbox.stub(client, 'getAnalyticDoc').resolves(DOC);
+      upload = sandbox.stub(client, 'uploadJobRequest').callsFake(
+        (jobRequest, jobName) => Promise.resolve({id: `${jobName}-id`}));
+      manifestPath = path.join(tmpDir, 'manifest.json');
+      resultsPath = path.join(tmpDir, 'manifest.results.json');
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    function writeManifest(fps) {
+      fs.writeFileSync(manifestPath, JSON.stringify({
+        defaults: {analytic: 'detector', auto_start: true},
+        jobs: ['a', 'b', 'c'].map((name, index) => ({
+          name,
+          inputs: {video: {'data-id': `${name}-data`}},
+          parameters: {fps: fps[index]},
+        })),
+      }));
+    }
+
+    function submittedNames() {
+      return upload.args.map((args) => args[1]);
+    }
+
+    it('does not submit any jobs when a job is invalid', async function() {
+      writeManifest([5, 'fast', 10]);
+      let err = await client.submitManifest(manifestPath).catch((e) => e);
+      expect(err).to.be.an.instanceof(manifests.ManifestError);
+      expect(err.message).to.match(/^Invalid manifest:\nb: /);
+      expect(err.problems.map((p) => p.name)).to.deep.equal(['b']);
+      expect(upload.called).to.be.false;
+      expect(fs.existsSync(resultsPath)).to.be.false;
+    });
+
+    it('submits the remaining jobs when a job cannot be submitted',
+      async function() {
+        writeManifest([5, 5, 5]);
+        upload.withArgs(sinon.match.any, 'b').rejects(
+          new requests.ServerError('Service unavailable', 503));
+        let results = await client.submitManifest(
+          manifestPath, {concurrency: 1});
+        expect(submittedNames()).to.deep.equal(['a', 'b', 'c']);
+        expect(upload.firstCall.args[2]).to.be.true;
+        expect(upload.firstCall.args[4].validate).to.be.false;
+        expect(results).to.deep.equal({
+          a: {entry: 0, file: null, job_id: 'a-id'},
+          b: {entry: 1, file: null, error: 'Service unavailable'},
+          c: {entry: 2, file: null, job_id: 'c-id'},
+        });
+        expect(JSON.parse(fs.readFileSync(resultsPath))).to.deep.equal(
+          results);
+      });
+
+    it('only submits the jobs that were not submitted before',
+      async function() {
+        writeManifest([5, 5, 5]);
+        upload.withArgs(sinon.match.any, 'b').rejects(
+          new requests.ServerError('Service unavailable', 503));
+        await client.submitManifest(manifestPath);
+
+        upload.resetHistory();
+        upload.withArgs(sinon.match.any, 'b').resolves({id: 'b-id'});
+        let results = await client.submitManifest(manifestPath);
+        expect(submittedNames()).to.deep.equal(['b']);
+        expect(results).to.deep.equal({
+          a: {entry: 0, file: null, job_id: 'a-id'},
+          b: {entry: 1, file: null, job_id: 'b-id'},
+          c: {entry: 2, file: null, job_id: 'c-id'},
+        });
+        expect(JSON.parse(fs.readFileSync(resultsPath))).to.deep.equal(
+          results);
+
+        upload.resetHistory();
+        await client.submitManifest(manifestPath, {resubmit: true});
+        expect(submittedNames()).to.deep.equal(['a', 'b', 'c']);
+      });
+  });
+
+  describe('#iterateJobs()', function() {
+    let sandbox;
+    let records;
+    let pages;
+    let onPage;
+
+    beforeEach(function() {
+      sandbox = sinon.sandbox.create();
+      records = [0, 1, 2, 3, 4, 5, 6].map((i) => ({id: `job-${i}`}));
+      pages = [];
+      onPage = function() {};
+      sandbox.stub(client, 'queryJobs').callsFake(function(jobsQuery) {
+        pages.push([jobsQuery.offset, jobsQuery.limit]);
+        let result = {jobs: jobsQuery.evaluate(records)};
+        onPage(pages.length);
+        return Promise.resolve(result);
+      });
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    async function iterate(jobsQuery, options) {
+      let ids = [];
+      for await (let record of client.iterateJobs(jobsQuery, options)) {
+        ids.push(record.id);
+      }
+      return ids;
+    }
+
+    function jobIds(...indices) {
+      return indices.map((i) => `job-${i}`);
+    }
+
+    it('fetches overlapping pages until the last page', async function() {
+      let ids = await iterate(new query.JobsQuery(), {pageSize: 3});
+      expect(ids).to.deep.equal(jobIds(0, 1, 2, 3, 4, 5, 6));
+      expect(pages).to.deep.equal([[0, 3], [2, 3], [4, 3], [6, 3]]);
+
+      records.pop();
+      pages = [];
+      ids = await iterate(new query.JobsQuery(), {pageSize: 3});
+      expect(ids).to.deep.equal(jobIds(0, 1, 2, 3, 4, 5));
+      expect(pages).to.deep.equal([[0, 3], [2, 3], [4, 3]]);
+    });
+
+    it('fetches at least two records per page', async function() {
+      let ids = await iterate(new query.JobsQuery().setLimit(1));
+      expect(ids).to.deep.equal(jobIds(0, 1, 2, 3, 4, 5, 6));
+      expect(pages.every(([, limit]) => limit === 2)).to.be.true;
+    });
+
+    it('starts at the offset of the query and stops after maxResults',
+      async function() {
+        let jobsQuery = new query.JobsQuery().addFields(['name']).setOffset(2);
+        let ids = await iterate(jobsQuery, {pageSize: 2, maxResults: 3});
+        expect(ids).to.deep.equal(jobIds(2, 3, 4));
+        expect(pages).to.deep.equal([[2, 2], [3, 2]]);
+        expect(jobsQuery.fields).to.deep.equal(['name']);
+      });
+
+    it('yields each record once when records are inserted',
+      async function() {
+        onPage = function(page) {
+          if (page === 1) {
+            records.unshift({id: 'job-new'});
+          }
+        };
+        let ids = await iterate(new query.JobsQuery(), {pageSize: 3});
+        expect(ids).to.deep.equal(jobIds(0, 1, 2, 3, 4, 5, 6));
+      });
+
+    it('does not skip records when records are removed', async function() {
+      onPage = function(page) {
+        if (page === 1) {
+          records.splice(0, 2);
+        }
+      };
+      let ids = await iterate(new query.JobsQuery(), {pageSize: 3});
+      expect(ids).to.deep.equal(jobIds(0, 1, 2, 3, 4, 5, 6));
+      // The second page did not overlap the first, so it was fetched again
+      expect(pages).to.deep.equal(
+        [[0, 3], [2, 3], [0, 3], [2, 3], [4, 3]]);
+    });
+  });
+
+  describe('#tailJobLog()', function() {
+    let sandbox;
+    let getJobState;
+
+    beforeEach(function() {
+      sandbox = sinon.sandbox.create();
+      getJobState = sandbox.stub(client, 'getJobState');
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    async function tail(options) {
+      let lines = [];
+      for await (let line of client.tailJobLog('job-id', options)) {
+        lines.push(line);
+      }
+      return lines;
+    }
+
+    function ranges() {
+      return received.map((req) => req.headers['range']);
+    }
+
+    // Updates the logfile before each poll of the state of the job
+    function stubStates(states, logs) {
+      states.forEach(function(state, index) {
+        getJobState.onCall(index).callsFake(function() {
+          log = logs[index];
+          return Promise.resolve(state);
+        });
+      });
+    }
+
+    it('yields the current lines of the logfile', async function() {
+      log = 'line 1\r\nline 2\npartial';
+      expect(await tail()).to.deep.equal(['line 1', 'line 2', 'partial']);
+      expect(ranges()).to.deep.equal([undefined]);
+      expect(getJobState.called).to.be.false;
+
+      log = null;
+      let err = await tail().catch((e) => e);
+      expect(err).to.be.an.instanceof(requests.NotFoundError);
+    });
+
+    it('skips data that servers ignoring Range send again', async function() {
+      logRanges = false;
+      stubStates(
+        [jobs.JobState.RUNNING, jobs.JobState.COMPLETE],
+        ['a\nb', 'a\nbc\nd\n']);
+      let lines = await tail({follow: true, sleepTime: 0});
+      expect(lines).to.deep.equal(['a', 'bc', 'd']);
+      expect(ranges()).to.deep.equal([undefined, 'bytes=3-']);
+    });
+
+    it('treats unsatisfiable ranges as no new data', async function() {
+      stubStates(
+        [jobs.JobState.RUNNING, jobs.JobState.RUNNING, jobs.JobState.COMPLETE],
+        ['a\n', 'a\n', 'a\nb\n']);
+      let lines = await tail({follow: true, sleepTime: 0});
+      expect(lines).to.deep.equal(['a', 'b']);
+      expect(ranges()).to.deep.equal([undefined, 'bytes=2-', 'bytes=2-']);
+    });
+
+    it('follows the logfile until the job finishes', async function() {
+      stubStates(
+        [jobs.JobState.QUEUED, jobs.JobState.RUNNING, jobs.JobState.FAILED],
+        [null, 'x\n', 'x\ny']);
+      let lines = await tail({follow: true, sleepTime: 0});
+      // The logfile does not exist until the job starts running
+      expect(lines).to.deep.equal(['x', 'y']);
+      expect(getJobState.callCount).to.equal(3);
+      expect(ranges()).to.deep.equal([undefined, undefined, 'bytes=2-']);
+    });
+  });
+
+  describe('#uploadJobRequest()', function() {
+    const SIGNED_URL = 'https://storage/bucket/video.mp4?signature=abc';
+
+    let sandbox;
+    let posts;
+
+    beforeEach(function() {
+      sandbox = sinon.sandbox.create();
+      posts = [];
+      sandbox.stub(client.session_, 'post').callsFake(
+        function(uri, headers, options) {
+          let route = uri.slice(client.baseURL.length);
+          if (route === '/data') {
+            let file = options.formData().file;
+            posts.push([route, file.path]);
+            return new Promise(function(resolve, reject) {
+              file.on('error', reject);
+              file.on('close', () => resolve(
+                JSON.stringify({data: {id: 'upload-id'}})));
+              file.resume();
+            });
+          }
+          if (route === '/data/url') {
+            posts.push([route, options.body]);
+            return Promise.resolve({data: {id: 'url-id'}});
+          }
+          posts.push([route, options.formData]);
+          return Promise.resolve(JSON.stringify({job: {id: 'job-id'}}));
+        });
+      fs.writeFileSync(outputPath, CONTENT);
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    function signedURLPath() {
+      return jobs.RemoteDataPath.fromSignedURL(SIGNED_URL, {
+        mimeType: 'video/mp4',
+        size: 1000,
+        expirationDate: '2030-01-01T00:00:00.000Z',
+      });
+    }
+
+    function createJobRequest() {
+      let jobRequest = new jobs.JobRequest('detector');
+      jobRequest.setInput(
+        'video', jobs.RemoteDataPath.fromLocalPath(outputPath));
+      jobRequest.setInput('mask', signedURLPath());
+      jobRequest.setDataParameter(
+        'labels', jobs.RemoteDataPath.fromLocalPath(outputPath));
+      jobRequest.setDataParameter('reference', signedURLPath());
+      jobRequest.setDataParameter(
+        'weights', jobs.RemoteDataPath.fromDataId('weights-id'));
+      return jobRequest;
+    }
+
+    it('uploads each local file and signed URL once', async function() {
+      let jobRequest = createJobRequest();
+      let job = await client.uploadJobRequest(jobRequest, 'detect', true);
+      expect(job).to.deep.equal({id: 'job-id'});
+      expect(posts.map((post) => post[0])).to.deep.equal(
+        ['/data', '/data/url', '/jobs']);
+      expect(posts[0][1]).to.equal(outputPath);
+      expect(posts[1][1]).to.deep.equal({
+        signed_url: SIGNED_URL,
+        filename: 'video.mp4',
+        mimetype: 'video/mp4',
+        size: 1000,
+        data_ttl: '2030-01-01T00:00:00.000Z',
+      });
+
+      let formData = posts[2][1];
+      expect(formData.job_name).to.equal('detect');
+      expect(formData.auto_start).to.equal('true');
+      let uploaded = JSON.parse(formData.file.value);
+      expect(uploaded.inputs).to.deep.equal({
+        'video': {'data-id': 'upload-id'},
+        'mask': {'data-id': 'url-id'},
+      });
+      expect(uploaded.parameters).to.deep.equal({
+        'labels': {'data-id': 'upload-id'},
+        'reference': {'data-id': 'url-id'},
+        'weights': {'data-id': 'weights-id'},
+      });
+      // The job request itself is not modified
+      expect(jobRequest.inputs.video.localPath).to.equal(outputPath);
+    });
+
+    it('reports the uploads without performing them when dry running',
+      async function() {
+        let jobRequest = createJobRequest();
+        let result = await client.uploadJobRequest(
+          jobRequest, 'detect', true, undefined, {dryRun: true});
+        expect(posts).to.be.empty;
+        expect(result.dryRun).to.be.true;
+        expect(result.jobRequest.toObject()).to.deep.equal(
+          jobRequest.toObject());
+        expect(result.actions).to.deep.equal([
+          {type: 'upload', field: 'inputs', name: 'video',
+            localPath: outputPath, size: CONTENT.length},
+          {type: 'postURL', field: 'inputs', name: 'mask', url: SIGNED_URL,
+            size: 1000},
+          {type: 'upload', field: 'parameters', name: 'labels',
+            localPath: outputPath, size: CONTENT.length},
+          {type: 'postURL', field: 'parameters', name: 'reference',
+            url: SIGNED_URL, size: 1000},
+        ]);
+      });
+
+    it('reports missing local files', async function() {
+      let jobRequest = new jobs.JobRequest('detector');
+      let missingPath = path.join(tmpDir, 'missing.mp4');
+      jobRequest.setInput(
+        'video', jobs.RemoteDataPath.fromLocalPath(missingPath));
+      let err = await client.uploadJobRequest(jobRequest, 'detect')
+        .catch((e) => e);
+      expect(err).to.be.an.instanceof(jobs.RemoteDataPathError);
+      expect(err.message).to.equal(
+        `Local file '${missingPath}' does not exist`);
+      expect(posts).to.be.empty;
+    });
+  });
+
+  describe('#resolveJobRequest()', function() {
+    let sandbox;
+
+    beforeEach(function() {
+      sandbox = sinon.sandbox.create();
+    });
+
+    afterEach(function() {
+      sandbox.restore();
+    });
+
+    it('records the data ID of each action', async function() {
+      let uploadData = sandbox.stub(client, 'uploadData').resolves(
+        {id: 'upload-id'});
+      let relativePath = path.relative(process.cwd(), outputPath);
+      fs.writeFileSync(outputPath, CONTENT);
+      let jobRequest = new jobs.JobRequest('detector');
+      jobRequest.setInput(
+        'video', jobs.RemoteDataPath.fromLocalPath(relativePath));
+      jobRequest.setDataParameter(
+        'labels', jobs.RemoteDataPath.fromLocalPath(outputPath));
+      let options = {onProgress: () => {}};
+      let resolved = await client.resolveJobRequest(jobRequest, options);
+      // Relative and absolute paths to the same file are uploaded once
+      expect(uploadData.calledOnce).to.be.true;
+      expect(uploadData.firstCall.args).to.deep.equal(
+        [relativePath, undefined, options]);
+      expect(resolved.actions.map((action) => action.dataId)).to.deep.equal(
+        ['upload-id', 'upload-id']);
+      expect(resolved.jobRequest.inputs.video.dataId).to.equal('upload-id');
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Tests for the users/jobs module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const jobs = require('../../lib/users/jobs.js');
+
+const JobRequest = jobs.JobRequest;
+const ProblemType = jobs.JobRequestProblemType;
+const RemoteDataPath = jobs.RemoteDataPath;
+
+const DOC = {
+  info: {
+    name: 'detector',
+    version: '1.0',
+    supports_cpu: true,
+    supports_gpu: false,
+  },
+  inputs: [
+    {name: 'video', type: 'eta.core.types.Video'},
+    {name: 'mask', type: 'eta.core.types.Image', required: false},
+  ],
+  parameters: [
+    {name: 'labels', type: 'eta.core.types.VideoLabels', required: false},
+    {name: 'fps', type: 'eta.core.types.Number', default: 5},
+    {name: 'threshold', type: 'eta.core.types.Number', default: 0.5,
+      required: true},
+    {name: 'classes', type: 'eta.core.types.StringArray', default: null},
+    {name: 'model', type: 'eta.core.types.String'},
+  ],
+};
+
+function validRequest() {
+  let jobRequest = JobRequest.fromAnalyticDoc(DOC);
+  jobRequest.setInput('video', RemoteDataPath.fromDataId('data-id'));
+  jobRequest.setParameter('model', 'yolo');
+  return jobRequest;
+}
+
+function problemTypes(problems) {
+  return problems.map((problem) => [problem.type, problem.name]);
+}
+
+describe('JobRequest', function() {
+  describe('#validate()', function() {
+    it('accepts valid job requests', function() {
+      let jobRequest = validRequest();
+      expect(jobRequest.analytic).to.equal('detector');
+      expect(jobRequest.parameters.fps).to.equal(5);
+      expect(jobRequest.validate()).to.deep.equal([]);
+
+      jobRequest.setDataParameter(
+        'labels', RemoteDataPath.fromLocalPath('/labels.json'));
+      jobRequest.setParameter('classes', null);
+      expect(jobRequest.validate()).to.deep.equal([]);
+    });
+
+    it('detects problems with inputs', function() {
+      let jobRequest = new JobRequest('detector');
+      jobRequest.setInput('audio', RemoteDataPath.fromDataId('data-id'));
+      jobRequest.setInput('mask', {'data-id': 'data-id'});
+      jobRequest.setParameter('model', 'yolo');
+      jobRequest.setParameter('threshold', 0.5);
+      let problems = jobRequest.validate(DOC);
+      expect(problemTypes(problems)).to.deep.equal([
+        [ProblemType.UNKNOWN_INPUT, 'audio'],
+        [ProblemType.INVALID_INPUT, 'mask'],
+        [ProblemType.MISSING_INPUT, 'video'],
+      ]);
+      expect(problems[0].message).to.equal(
+        'Analytic \'detector\' has no input \'audio\'');
+    });
+
+    it('detects problems with parameters', function() {
+      let jobRequest = new JobRequest('detector');
+      jobRequest.setInput('video', RemoteDataPath.fromDataId('data-id'));
+      jobRequest.setParameter('iou', 0.5);
+      jobRequest.setParameter('labels', {'data-id': 'data-id'});
+      jobRequest.setDataParameter('fps', RemoteDataPath.fromDataId('data-id'));
+      jobRequest.setParameter('classes', ['car', 1]);
+      jobRequest.setParameter('model', null);
+      let problems = jobRequest.validate(DOC);
+      expect(problemTypes(problems)).to.deep.equal([
+        [ProblemType.UNKNOWN_PARAMETER, 'iou'],
+        [ProblemType.EXPECTED_DATA, 'labels'],
+        [ProblemType.EXPECTED_VALUE, 'fps'],
+        [ProblemType.INVALID_TYPE, 'classes'],
+        [ProblemType.INVALID_TYPE, 'model'],
+        [ProblemType.MISSING_PARAMETER, 'threshold'],
+      ]);
+      expect(problems[3].message).to.equal(
+        'Parameter \'classes\' must be a \'eta.core.types.StringArray\', ' +
+        'but found ["car",1]');
+    });
+
+    it('detects unsupported compute modes', function() {
+      let jobRequest = validRequest();
+      jobRequest.computeMode = jobs.JobComputeMode.GPU;
+      let problems = jobRequest.validate();
+      expect(problemTypes(problems)).to.deep.equal([
+        [ProblemType.UNSUPPORTED_COMPUTE_MODE, undefined],
+      ]);
+      jobRequest.computeMode = jobs.JobComputeMode.CPU;
+      expect(jobRequest.validate()).to.deep.equal([]);
+    });
+
+    it('requires analytic documentation', function() {
+      let jobRequest = new JobRequest('detector');
+      expect(() => jobRequest.validate()).to.throw(
+        'No documentation is available for analytic \'detector\'');
+    });
+  });
+
+  describe('#getMissingValues()', function() {
+    it('lists the required inputs and parameters without values', function() {
+      let jobRequest = JobRequest.fromAnalyticDoc(DOC);
+      expect(jobRequest.getMissingValues()).to.deep.equal({
+        inputs: ['video'],
+        parameters: ['model'],
+      });
+    });
+  });
+});
+
+describe('RemoteDataPath', function() {
+  describe('.fromSignedURL()', function() {
+    const METADATA = {
+      mimeType: 'video/mp4',
+      size: 1024,
+      expirationDate: '2030-01-01T00:00:00Z',
+    };
+
+    it('uses the filename of the URL by default', function() {
+      let dataPath = RemoteDataPath.fromSignedURL(
+        'https://storage/bucket/my%20video.mp4?sig=abc', METADATA);
+      expect(dataPath.hasSignedURL).to.be.true;
+      expect(dataPath.metadata.filename).to.equal('my video.mp4');
+    });
+
+    it('rejects invalid URLs', function() {
+      for (let url of ['not a url', 'https://storage/%E0%A4%A', undefined]) {
+        expect(() => RemoteDataPath.fromSignedURL(url, METADATA))
+          .to.throw(jobs.RemoteDataPathError, 'Invalid signed URL');
+      }
+      let metadata = Object.assign({filename: 'video.mp4'}, METADATA);
+      expect(() => RemoteDataPath.fromSignedURL('video.mp4', metadata))
+        .to.throw(jobs.RemoteDataPathError, 'Invalid signed URL');
+    });
+
+    it('rejects missing metadata', function() {
+      expect(() => RemoteDataPath.fromSignedURL('https://storage/video.mp4'))
+        .to.throw(
+          jobs.RemoteDataPathError,
+          'missing mimeType, size, expirationDate');
+    });
+  });
+});
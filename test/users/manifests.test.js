@@ -0,0 +1,180 @@
+/**
+ * Tests for the users/manifests module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const expect = require('chai').expect;
+
+const manifests = require('../../lib/users/manifests.js');
+
+const Manifest = manifests.Manifest;
+const ManifestError = manifests.ManifestError;
+
+function expectManifestError(obj, options, message) {
+  expect(() => new Manifest(obj, options)).to.throw(ManifestError, message);
+}
+
+describe('Manifest', function() {
+  let tmpDir;
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel51-'));
+    ['b.mp4', 'a.mp4', 'c.txt'].forEach(
+      (name) => fs.writeFileSync(path.join(tmpDir, name), ''));
+  });
+
+  afterEach(function() {
+    fs.readdirSync(tmpDir).forEach((f) => fs.unlinkSync(path.join(tmpDir, f)));
+    fs.rmdirSync(tmpDir);
+  });
+
+  describe('variables', function() {
+    it('substitutes variables in strings', function() {
+      let manifest = new Manifest({
+        variables: {analytic: 'detector', fps: 5, prefix: 'run'},
+        jobs: [{
+          name: '${prefix}-${analytic}-${fps}',
+          analytic: '${analytic}',
+          inputs: {video: {'data-id': '${prefix}-data'}},
+          parameters: {fps: '${fps}', label: 'fps=${fps}'},
+        }],
+      });
+      let job = manifest.jobs[0];
+      expect(job.name).to.equal('run-detector-5');
+      expect(job.jobRequest.analytic).to.equal('detector');
+      expect(job.jobRequest.inputs.video.dataId).to.equal('run-data');
+      // Strings that are a single reference take the value itself
+      expect(job.jobRequest.parameters.fps).to.equal(5);
+      expect(job.jobRequest.parameters.label).to.equal('fps=5');
+    });
+
+    it('lets options override the variables of the manifest', function() {
+      let manifest = new Manifest({
+        variables: {analytic: 'detector'},
+        jobs: [{analytic: '${analytic}'}],
+      }, {variables: {analytic: 'tracker'}});
+      expect(manifest.jobs[0].jobRequest.analytic).to.equal('tracker');
+    });
+
+    it('rejects undefined variables', function() {
+      expectManifestError(
+        {jobs: [{analytic: '${analytic}'}]}, {},
+        'Entry 0 of manifest references undefined variable \'analytic\'');
+    });
+  });
+
+  describe('globs', function() {
+    it('defines one job per matching file, in sorted order', function() {
+      let manifest = new Manifest({
+        defaults: {analytic: 'detector', auto_start: true},
+        jobs: [{
+          name: 'detect-${file.stem}-${file.index}',
+          inputs: {video: {glob: '*.mp4'}},
+          parameters: {source: '${file.name}'},
+        }],
+      }, {baseDir: tmpDir});
+      expect(manifest.jobs.map((job) => job.name)).to.deep.equal(
+        ['detect-a-0', 'detect-b-1']);
+      let job = manifest.jobs[0];
+      expect(job.file).to.equal(path.join(tmpDir, 'a.mp4'));
+      expect(job.autoStart).to.be.true;
+      expect(job.jobRequest.inputs.video.localPath).to.equal(job.file);
+      expect(job.jobRequest.parameters.source).to.equal('a.mp4');
+    });
+
+    it('substitutes variables in glob patterns', function() {
+      let manifest = new Manifest({
+        variables: {dir: tmpDir},
+        jobs: [{analytic: 'detector', inputs: {video: {glob: '${dir}/*.txt'}}}],
+      });
+      expect(manifest.jobs).to.have.lengthOf(1);
+      expect(manifest.jobs[0].file).to.equal(path.join(tmpDir, 'c.txt'));
+    });
+
+    it('rejects globs that match no files', function() {
+      expectManifestError({
+        jobs: [{analytic: 'detector', inputs: {video: {glob: '*.mov'}}}],
+      }, {baseDir: tmpDir}, 'Glob \'*.mov\' of entry 0 of manifest matched');
+    });
+
+    it('rejects entries with multiple globs', function() {
+      expectManifestError({
+        jobs: [{
+          analytic: 'detector',
+          inputs: {video: {glob: '*.mp4'}, audio: {glob: '*.mp4'}},
+        }],
+      }, {baseDir: tmpDir}, 'more than one glob input');
+    });
+  });
+
+  describe('names', function() {
+    it('names jobs by analytic and index by default', function() {
+      let manifest = new Manifest({
+        jobs: [{analytic: 'detector'}, {analytic: 'detector'}],
+      });
+      expect(manifest.jobs.map((job) => job.name)).to.deep.equal(
+        ['detector-0', 'detector-1']);
+    });
+
+    it('rejects duplicate names', function() {
+      expectManifestError({
+        jobs: [
+          {name: 'job', analytic: 'detector'},
+          {name: 'job', analytic: 'tracker'},
+        ],
+      }, {}, 'Entry 1 of manifest defines duplicate job \'job\'');
+
+      // Globs whose names do not depend on the matched file
+      expectManifestError({
+        jobs: [{
+          name: 'detect',
+          analytic: 'detector',
+          inputs: {video: {glob: '*.mp4'}},
+        }],
+      }, {baseDir: tmpDir}, 'duplicate job \'detect\'');
+
+      // Explicit names that collide with default names
+      expectManifestError({
+        jobs: [
+          {analytic: 'detector'},
+          {name: 'detector-0', analytic: 'detector'},
+        ],
+      }, {}, 'duplicate job \'detector-0\'');
+    });
+  });
+
+  describe('.fromFile()', function() {
+    it('loads YAML manifests relative to their directory', function() {
+      let manifestPath = path.join(tmpDir, 'manifest.yml');
+      fs.writeFileSync(manifestPath, [
+        'jobs:',
+        '  - analytic: detector',
+        '    version: \'1.0\'',
+        '    inputs:',
+        '      video:',
+        '        local-path: a.mp4',
+      ].join('\n'));
+      let manifest = Manifest.fromFile(manifestPath);
+      expect(manifest.path).to.equal(manifestPath);
+      let jobRequest = manifest.jobs[0].jobRequest;
+      expect(jobRequest.version).to.equal('1.0');
+      expect(jobRequest.inputs.video.localPath).to.equal(
+        path.join(tmpDir, 'a.mp4'));
+    });
+
+    it('rejects files that cannot be parsed', function() {
+      let manifestPath = path.join(tmpDir, 'manifest.json');
+      fs.writeFileSync(manifestPath, '{');
+      expect(() => Manifest.fromFile(manifestPath)).to.throw(
+        ManifestError, 'Failed to parse manifest');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Tests for the users/models module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const expect = require('chai').expect;
+
+const models = require('../../lib/users/models.js');
+
+describe('Resource', function() {
+  const FIELDS = {
+    id: 'job-id',
+    name: 'test',
+    state: 'COMPLETE',
+    upload_date: '2019-01-01T00:00:00.000Z',
+  };
+
+  it('exposes fields as camel-cased attributes', function() {
+    let job = new models.Job(FIELDS);
+    expect(job.id).to.equal('job-id');
+    expect(job.uploadDate).to.be.an.instanceof(Date);
+    expect(job.getField('upload_date')).to.equal(job.uploadDate);
+    expect(job.getField('uploadDate')).to.be.undefined;
+    expect(job.toObject()).to.deep.equal(FIELDS);
+  });
+
+  it('does not overwrite members with fields', function() {
+    let fields = Object.assign({
+      refresh: 'value',
+      to_object: 'value',
+      is_complete: true,
+      api_: 'value',
+    }, FIELDS);
+    let job = new models.Job(fields);
+    expect(job.refresh).to.be.a('function');
+    expect(job.toObject).to.be.a('function');
+    expect(job.isComplete()).to.be.true;
+    expect(job.api_).to.be.null;
+    expect(job.getField('refresh')).to.equal('value');
+    expect(job.getField('is_complete')).to.be.true;
+    expect(job.toObject()).to.deep.equal(fields);
+  });
+
+  it('does not overwrite bound methods when updated', function() {
+    let job = new models.Job(FIELDS);
+    job.update_({state: 'FAILED', refresh: 'value'});
+    expect(job.state).to.equal('FAILED');
+    expect(job.refresh).to.be.a('function');
+    expect(job.getField('refresh')).to.equal('value');
+  });
+
+  it('serializes to strings and JSON files', function() {
+    let job = new models.Job(FIELDS);
+    expect(JSON.parse(job.toString())).to.deep.equal(FIELDS);
+    let tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel51-'));
+    let jsonPath = path.join(tmpDir, 'job.json');
+    try {
+      job.toJSON(jsonPath);
+      expect(JSON.parse(fs.readFileSync(jsonPath))).to.deep.equal(FIELDS);
+    } finally {
+      fs.unlinkSync(jsonPath);
+      fs.rmdirSync(tmpDir);
+    }
+  });
+});
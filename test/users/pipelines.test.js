@@ -0,0 +1,275 @@
+/**
+ * Tests for the users/pipelines module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const expect = require('chai').expect;
+
+const jobs = require('../../lib/users/jobs.js');
+const pipelines = require('../../lib/users/pipelines.js');
+
+const Pipeline = pipelines.Pipeline;
+const PipelineStepStatus = pipelines.PipelineStepStatus;
+
+// A fake API whose jobs complete (or fail, if their names are listed in
+// `failedJobs`) as soon as they are polled
+function fakeAPI() {
+  let api = {
+    jobs: {},
+    uploads: [],
+    failNextUpload: false,
+    failedJobs: [],
+    pollFailures: [],
+    polls: 0,
+  };
+  api.uploadJobRequest = function(jobRequest, jobName) {
+    let job = {
+      id: `job-${Object.keys(api.jobs).length + 1}`,
+      name: jobName,
+      state: jobs.JobState.READY,
+      upload_date: new Date().toISOString(),
+      expiration_date: '2030-01-01T00:00:00.000Z',
+      output_filename: 'output.json',
+      output_size: 100,
+    };
+    api.jobs[job.id] = job;
+    api.uploads.push({jobRequest, jobName});
+    if (api.failNextUpload) {
+      // The job was created, but the response was lost
+      api.failNextUpload = false;
+      let err = new Error('socket hang up');
+      err.code = 'ECONNRESET';
+      return Promise.reject(err);
+    }
+    return Promise.resolve(Object.assign({}, job));
+  };
+  api.batchGetJobDetails = function(jobIds) {
+    api.polls++;
+    let failure = api.pollFailures.shift();
+    if (failure === 'error') {
+      return Promise.reject(new Error('Service unavailable'));
+    }
+    let responses = {};
+    jobIds.forEach(function(jobId) {
+      if (failure === 'missing') {
+        return;
+      }
+      if (failure === 'unsuccessful') {
+        responses[jobId] = {success: false, message: 'Internal error'};
+        return;
+      }
+      let job = api.jobs[jobId];
+      job.state = api.failedJobs.includes(job.name) ?
+        jobs.JobState.FAILED : jobs.JobState.COMPLETE;
+      responses[jobId] = {success: true, response: job};
+    });
+    return Promise.resolve(responses);
+  };
+  api.getJobDetails = function(jobId) {
+    return Promise.resolve(api.jobs[jobId]);
+  };
+  api.getJobOutputDownloadURL = function(jobId) {
+    return Promise.resolve(
+      `https://storage/${jobId}/output.json?X-Goog-Date=20190101T000000Z` +
+      '&X-Goog-Expires=3600&X-Goog-Signature=abc');
+  };
+  api.queryJobs = function(jobsQuery) {
+    return Promise.resolve({jobs: jobsQuery.evaluate(Object.values(api.jobs))});
+  };
+  return api;
+}
+
+function jobRequest(analytic) {
+  return new jobs.JobRequest(analytic);
+}
+
+describe('Pipeline', function() {
+  let api;
+  let tmpDir;
+  let stateFile;
+
+  beforeEach(function() {
+    api = fakeAPI();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel51-'));
+    stateFile = path.join(tmpDir, 'pipeline.json');
+  });
+
+  afterEach(function() {
+    fs.readdirSync(tmpDir).forEach((f) => fs.unlinkSync(path.join(tmpDir, f)));
+    fs.rmdirSync(tmpDir);
+  });
+
+  function createPipeline() {
+    let trackRequest = jobRequest('tracker');
+    trackRequest.setInput('detections', Pipeline.outputOf(
+      'detect', {mimeType: 'application/json'}));
+    return new Pipeline(api, 'test')
+      .addStep('detect', jobRequest('detector'))
+      .addStep('track', trackRequest);
+  }
+
+  it('passes signed URLs to the outputs of upstream jobs', async function() {
+    let states = await createPipeline().run({sleepTime: 0});
+    expect(states.detect.status).to.equal(PipelineStepStatus.COMPLETE);
+    expect(states.track.status).to.equal(PipelineStepStatus.COMPLETE);
+
+    let input = api.uploads[1].jobRequest.inputs.detections;
+    expect(input.signedURL).to.match(/^https:\/\/storage\/job-1\//);
+    expect(input.metadata).to.deep.include({
+      filename: 'output.json',
+      mimeType: 'application/json',
+      size: 100,
+    });
+    // The URL expires long before the job output does
+    expect(input.metadata.expirationDate.toISOString()).to.equal(
+      '2019-01-01T01:00:00.000Z');
+  });
+
+  it('records submissions before uploading jobs', async function() {
+    let statuses = [];
+    await createPipeline().run({
+      sleepTime: 0,
+      stateFile,
+      onUpdate: (step) => statuses.push(`${step.name}:${step.status}`),
+    });
+    expect(statuses).to.deep.equal([
+      'detect:SUBMITTING', 'detect:ACTIVE', 'detect:COMPLETE',
+      'track:SUBMITTING', 'track:ACTIVE', 'track:COMPLETE',
+    ]);
+    let state = JSON.parse(fs.readFileSync(stateFile));
+    expect(state.steps.detect.job_id).to.equal('job-1');
+    expect(state.steps.detect.submitted_at).to.be.a('string');
+  });
+
+  it('does not resubmit jobs whose submission was interrupted',
+    async function() {
+      api.failNextUpload = true;
+      let err = await createPipeline().run({sleepTime: 0, stateFile})
+        .catch((e) => e);
+      expect(err.code).to.equal('ECONNRESET');
+      let state = JSON.parse(fs.readFileSync(stateFile));
+      expect(state.steps.detect.status).to.equal(
+        PipelineStepStatus.SUBMITTING);
+
+      let states = await createPipeline().run({sleepTime: 0, stateFile});
+      expect(states.detect.jobId).to.equal('job-1');
+      expect(states.track.jobId).to.equal('job-2');
+      expect(api.uploads.map((upload) => upload.jobName)).to.deep.equal(
+        ['test-detect', 'test-track']);
+    });
+
+  it('resubmits jobs that were not created', async function() {
+    let pipeline = createPipeline();
+    pipeline.getStep('detect').submittedAt = new Date();
+    pipeline.getStep('detect').status = PipelineStepStatus.SUBMITTING;
+    let states = await pipeline.run({sleepTime: 0});
+    expect(states.detect.status).to.equal(PipelineStepStatus.COMPLETE);
+    expect(api.uploads).to.have.lengthOf(2);
+  });
+
+  it('skips the steps downstream of failed steps', async function() {
+    let summarizeRequest = jobRequest('summarizer');
+    summarizeRequest.setInput('tracks', Pipeline.outputOf('track'));
+    let pipeline = createPipeline()
+      .addStep('summarize', summarizeRequest)
+      .addStep('classify', jobRequest('classifier'));
+    api.failedJobs = ['test-detect'];
+    let skipped = [];
+    let states = await pipeline.run({
+      sleepTime: 0,
+      onUpdate: function(step, previousStatus) {
+        if (step.status === PipelineStepStatus.SKIPPED) {
+          skipped.push(`${step.name}:${previousStatus}`);
+        }
+      },
+    });
+    expect(states.detect.status).to.equal(PipelineStepStatus.FAILED);
+    expect(states.detect.jobState).to.equal(jobs.JobState.FAILED);
+    expect(states.track.status).to.equal(PipelineStepStatus.SKIPPED);
+    expect(states.summarize.status).to.equal(PipelineStepStatus.SKIPPED);
+    expect(states.classify.status).to.equal(PipelineStepStatus.COMPLETE);
+    expect(skipped).to.deep.equal(['track:WAITING', 'summarize:WAITING']);
+    expect(api.uploads.map((upload) => upload.jobName)).to.deep.equal(
+      ['test-detect', 'test-classify']);
+  });
+
+  it('resumes active steps from the state file', async function() {
+    api.jobs['job-1'] = {
+      id: 'job-1',
+      name: 'test-detect',
+      state: jobs.JobState.RUNNING,
+      expiration_date: '2030-01-01T00:00:00.000Z',
+      output_filename: 'output.json',
+      output_size: 100,
+    };
+    fs.writeFileSync(stateFile, JSON.stringify({
+      name: 'test',
+      steps: {
+        detect: {
+          status: PipelineStepStatus.ACTIVE,
+          job_id: 'job-1',
+          job_state: jobs.JobState.RUNNING,
+          submitted_at: '2019-01-01T00:00:00.000Z',
+        },
+        track: {
+          status: PipelineStepStatus.WAITING,
+          job_id: null,
+          job_state: null,
+          submitted_at: null,
+        },
+      },
+    }));
+    let states = await createPipeline().run({sleepTime: 0, stateFile});
+    expect(states.detect).to.deep.equal({
+      status: PipelineStepStatus.COMPLETE,
+      jobId: 'job-1',
+      jobState: jobs.JobState.COMPLETE,
+    });
+    expect(states.track.status).to.equal(PipelineStepStatus.COMPLETE);
+    expect(api.uploads.map((upload) => upload.jobName)).to.deep.equal(
+      ['test-track']);
+    let input = api.uploads[0].jobRequest.inputs.detections;
+    expect(input.signedURL).to.match(/^https:\/\/storage\/job-1\//);
+    let state = JSON.parse(fs.readFileSync(stateFile));
+    expect(state.steps.track.status).to.equal(PipelineStepStatus.COMPLETE);
+  });
+
+  it('keeps polling after failed polls', async function() {
+    api.pollFailures = ['error', 'missing', 'unsuccessful', 'error'];
+    let states = await createPipeline().run({
+      sleepTime: 0, maxPollErrors: 5});
+    expect(states.detect.status).to.equal(PipelineStepStatus.COMPLETE);
+    expect(states.track.status).to.equal(PipelineStepStatus.COMPLETE);
+    expect(api.polls).to.equal(6);
+  });
+
+  it('stops after too many failed polls in a row', async function() {
+    api.pollFailures = ['missing', 'error', 'unsuccessful'];
+    let err = await createPipeline().run({sleepTime: 0, stateFile})
+      .catch((e) => e);
+    expect(err).to.be.an.instanceof(pipelines.PipelineError);
+    expect(err.message).to.equal(
+      'Failed to get details of job job-1 of step \'detect\': ' +
+      'Internal error');
+    let state = JSON.parse(fs.readFileSync(stateFile));
+    expect(state.steps.detect.status).to.equal(PipelineStepStatus.ACTIVE);
+
+    api.pollFailures = ['error'];
+    err = await createPipeline().run({
+      sleepTime: 0, stateFile, maxPollErrors: 1}).catch((e) => e);
+    expect(err.message).to.equal('Service unavailable');
+
+    let states = await createPipeline().run({sleepTime: 0, stateFile});
+    expect(states.detect.status).to.equal(PipelineStepStatus.COMPLETE);
+    expect(states.track.status).to.equal(PipelineStepStatus.COMPLETE);
+    expect(api.uploads).to.have.lengthOf(2);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Tests for the users/progress module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+const progress = require('../../lib/users/progress.js');
+
+const ProgressTracker = progress.ProgressTracker;
+
+describe('ProgressTracker', function() {
+  let clock;
+  let reports;
+  let tracker;
+
+  beforeEach(function() {
+    clock = sinon.useFakeTimers(Date.parse('2019-01-01T00:00:00Z'));
+    reports = [];
+    tracker = new ProgressTracker((report) => reports.push(report), 250);
+  });
+
+  afterEach(function() {
+    clock.restore();
+  });
+
+  it('throttles reports', function() {
+    tracker.start(1000);
+    tracker.update(100);
+    clock.tick(100);
+    tracker.update(100);
+    clock.tick(200);
+    tracker.update(100);
+    expect(reports.map((r) => r.transferred)).to.deep.equal([100, 300]);
+  });
+
+  it('always delivers the final report once', function() {
+    tracker.start(1000);
+    tracker.update(100);
+    tracker.update(900);
+    tracker.finish();
+    tracker.finish();
+    expect(reports.map((r) => r.transferred)).to.deep.equal([100, 1000]);
+    expect(reports[1].eta).to.equal(0);
+  });
+
+  it('computes the transfer rate and remaining time', function() {
+    tracker.start(1000);
+    clock.tick(2000);
+    tracker.update(500);
+    expect(reports).to.deep.equal(
+      [{transferred: 500, total: 1000, rate: 250, eta: 2}]);
+  });
+
+  it('leaves the remaining time undefined when unknown', function() {
+    tracker.start();
+    clock.tick(1000);
+    tracker.update(500);
+    expect(reports[0]).to.deep.equal(
+      {transferred: 500, total: undefined, rate: 500, eta: undefined});
+    tracker.start(1000);
+    expect(tracker.getProgress().eta).to.be.undefined;
+  });
+
+  it('excludes resumed bytes from the transfer rate', function() {
+    tracker.start(1000, 400);
+    clock.tick(1000);
+    tracker.update(200);
+    expect(reports).to.deep.equal(
+      [{transferred: 600, total: 1000, rate: 200, eta: 2}]);
+  });
+
+  it('reports the bytes that were actually transferred', function() {
+    tracker.start(1000);
+    tracker.update(300);
+    tracker.finish();
+    expect(reports[reports.length - 1]).to.include(
+      {transferred: 300, total: 1000});
+  });
+
+  it('uses the transferred bytes as the total if it is unknown', function() {
+    tracker.start();
+    tracker.update(300);
+    tracker.finish();
+    expect(reports[reports.length - 1]).to.include(
+      {transferred: 300, total: 300, eta: 0});
+  });
+
+  it('counts pending bytes when the transfer finishes', function() {
+    tracker.start(1000);
+    tracker.addPendingBytes(1000);
+    expect(tracker.getProgress().transferred).to.equal(0);
+    tracker.finish();
+    expect(reports).to.have.lengthOf(1);
+    expect(reports[0]).to.include({transferred: 1000, total: 1000});
+  });
+
+  it('counts the bytes that flow through its streams', function(done) {
+    tracker.start(10);
+    let counter = tracker.createStream();
+    let chunks = [];
+    counter.on('data', (chunk) => chunks.push(chunk.toString()));
+    counter.on('end', function() {
+      expect(chunks.join('')).to.equal('0123456789');
+      expect(tracker.getProgress().transferred).to.equal(10);
+      done();
+    });
+    counter.write('01234');
+    counter.end('56789');
+  });
+});
@@ -0,0 +1,306 @@
+/**
+ * Tests for the users/query module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+
+const query = require('../../lib/users/query.js');
+
+const DataQuery = query.DataQuery;
+const JobsQuery = query.JobsQuery;
+const QueryError = query.QueryError;
+
+function expectQueryError(fn) {
+  let err;
+  try {
+    fn();
+  } catch (e) {
+    err = e;
+  }
+  expect(err).to.be.an.instanceof(QueryError);
+  return err;
+}
+
+describe('BaseQuery', function() {
+  describe('strict validation', function() {
+    it('rejects unsupported fields', function() {
+      let q = new JobsQuery();
+      let err = expectQueryError(() => q.addField('color'));
+      expect(err.field).to.equal('color');
+      expect(err.message).to.include('supported fields are id, name');
+      expectQueryError(() => q.addSearch('color', 'red'));
+      expectQueryError(() => q.sortBy('color'));
+      expect(q.fields).to.be.empty;
+      expect(q.search).to.be.empty;
+      expect(q.sort).to.be.null;
+    });
+
+    it('rejects invalid offsets and limits', function() {
+      let q = new JobsQuery();
+      expectQueryError(() => q.setOffset(-1));
+      expectQueryError(() => q.setOffset(1.5));
+      expectQueryError(() => q.setLimit(0));
+      expectQueryError(() => q.setLimit('ten'));
+      q.setOffset(0).setLimit('10');
+      expect(q.offset).to.equal(0);
+      expect(q.limit).to.equal(10);
+    });
+
+    it('rejects searches that match no values of a field', function() {
+      let q = new JobsQuery();
+      let err = expectQueryError(() => q.addSearch('state', 'DONE'));
+      expect(err.field).to.equal('state');
+      expect(err.message).to.include('valid values are READY');
+      q.addSearch('state', 'fail');
+      expect(q.search).to.deep.equal(['state:fail']);
+    });
+
+    it('rejects invalid boolean and numeric searches', function() {
+      expectQueryError(() => new JobsQuery().addSearch('archived', 'yes'));
+      expectQueryError(() => new DataQuery().addSearch('size', '1kb'));
+      let q = new JobsQuery().addSearch('archived', 'TRUE|false');
+      expect(q.search).to.deep.equal(['archived:TRUE|false']);
+    });
+
+    it('rejects searches that contradict previous searches', function() {
+      let q = new JobsQuery().addSearchOr('state', ['RUNNING', 'FAILED']);
+      q.addSearch('state', 'FAILED');
+      expectQueryError(() => q.addSearch('state', 'COMPLETE'));
+      expect(q.search).to.deep.equal(['state:RUNNING|FAILED', 'state:FAILED']);
+
+      q = new JobsQuery().addSearch('archived', 'true');
+      expectQueryError(() => q.addSearch('archived', 'false'));
+    });
+
+    it('ignores invalid fields and values when not strict', function() {
+      let q = new JobsQuery({strict: false});
+      expect(q.isStrict()).to.be.false;
+      q.addField('color').addField('name').addSearch('state', 'DONE');
+      q.sortBy('color').setOffset(-1).setLimit('ten');
+      expect(q.fields).to.deep.equal(['name']);
+      expect(q.search).to.deep.equal(['state:DONE']);
+      expect(q.sort).to.be.null;
+      expect(q.offset).to.be.null;
+      expect(q.limit).to.be.null;
+    });
+
+    it('exposes copies of the field schema', function() {
+      let schema = JobsQuery.schema;
+      expect(schema.state.type).to.equal(query.FieldType.STRING);
+      expect(schema.state.values).to.include('COMPLETE');
+      schema.state.values.push('DONE');
+      expect(new JobsQuery().getSchema().state.values).to.not.include('DONE');
+    });
+  });
+
+  describe('typed filters', function() {
+    it('serializes comparisons of numeric fields', function() {
+      let q = new DataQuery()
+        .whereGreaterThan('size', 100)
+        .whereLessThan('size', '2000', true);
+      expect(q.search).to.deep.equal(['size:>100', 'size:<=2000']);
+    });
+
+    it('serializes dates in ISO 8601 format', function() {
+      let q = new JobsQuery()
+        .whereAfter('upload_date', new Date(Date.UTC(2019, 0, 1)))
+        .whereBefore('upload_date', '2019-02-01T00:00:00Z', true);
+      expect(q.search).to.deep.equal([
+        'upload_date:>2019-01-01T00:00:00.000Z',
+        'upload_date:<=2019-02-01T00:00:00.000Z',
+      ]);
+    });
+
+    it('serializes ranges as inclusive comparisons', function() {
+      let q = new DataQuery().whereBetween('size', 10, 20);
+      expect(q.search).to.deep.equal(['size:>=10', 'size:<=20']);
+    });
+
+    it('serializes exact matches by field type', function() {
+      let q = new JobsQuery()
+        .whereEquals('state', 'COMPLETE')
+        .whereEquals('archived', false)
+        .whereEquals('upload_date', '2019-01-01');
+      expect(q.search).to.deep.equal([
+        'state:=COMPLETE',
+        'archived:false',
+        'upload_date:=2019-01-01T00:00:00.000Z',
+      ]);
+    });
+
+    it('rejects filters on fields of the wrong type', function() {
+      let q = new JobsQuery();
+      let err = expectQueryError(() => q.whereGreaterThan('name', 'a'));
+      expect(err.message).to.include('requires a field of type');
+      expectQueryError(() => new DataQuery().whereAfter('size', new Date()));
+      expect(q.search).to.be.empty;
+    });
+
+    it('rejects invalid values', function() {
+      expectQueryError(() => new DataQuery().whereGreaterThan('size', 'big'));
+      expectQueryError(() => new DataQuery().whereLessThan('size', ''));
+      expectQueryError(
+        () => new JobsQuery().whereAfter('upload_date', 'yesterday'));
+      expectQueryError(() => new JobsQuery().whereEquals('archived', 'yes'));
+      expectQueryError(() => new JobsQuery().whereEquals('state', 'DONE'));
+    });
+
+    it('rejects contradictory filters', function() {
+      let q = new DataQuery().whereGreaterThan('size', 100);
+      expectQueryError(() => q.whereLessThan('size', 50));
+      expectQueryError(() => q.whereLessThan('size', 100, true));
+      q.whereLessThan('size', 101, true);
+      expect(q.search).to.deep.equal(['size:>100', 'size:<=101']);
+
+      expectQueryError(() => new DataQuery().whereBetween('size', 20, 10));
+      expectQueryError(() => new JobsQuery()
+        .whereEquals('state', 'COMPLETE')
+        .whereEquals('state', 'FAILED'));
+    });
+
+    it('ignores invalid filters when not strict', function() {
+      let q = new DataQuery({strict: false})
+        .whereGreaterThan('name', 'a')
+        .whereGreaterThan('size', 'big')
+        .whereGreaterThan('size', 100)
+        .whereLessThan('size', 50);
+      expect(q.search).to.deep.equal(['size:>100', 'size:<50']);
+    });
+  });
+
+  describe('serialization', function() {
+    it('supports multiple sort keys', function() {
+      let q = new JobsQuery().sortBy('state', false).thenBy('upload_date');
+      expect(q.sort).to.equal('state:asc,upload_date:desc');
+      expect(q.getSortKeys()).to.deep.equal([
+        {field: 'state', descending: false},
+        {field: 'upload_date', descending: true},
+      ]);
+      expectQueryError(() => q.thenBy('state'));
+      q.sortBy('name');
+      expect(q.sort).to.equal('name:desc');
+    });
+
+    it('round-trips queries through strings', function() {
+      let q = new JobsQuery()
+        .addFields(['id', 'name', 'state'])
+        .addSearch('name', 'test')
+        .addSearchOr('state', ['RUNNING', 'COMPLETE'])
+        .whereAfter('upload_date', '2019-01-01T00:00:00Z')
+        .addSearchOverAllFields('video')
+        .sortBy('upload_date')
+        .thenBy('name', false)
+        .setOffset(20)
+        .setLimit(10);
+      let parsed = JobsQuery.fromString(q.toString());
+      expect(parsed).to.be.an.instanceof(JobsQuery);
+      expect(parsed.toObject()).to.deep.equal(q.toObject());
+      expect(parsed.toString()).to.equal(q.toString());
+      expect(JobsQuery.fromString('?' + q.toString()).toString())
+        .to.equal(q.toString());
+    });
+
+    it('round-trips queries through objects', function() {
+      let q = new query.AnalyticsQuery()
+        .addField('name')
+        .setAllVersions(true);
+      let parsed = query.AnalyticsQuery.fromObject(q.toObject());
+      expect(parsed.all_versions).to.be.true;
+      expect(parsed.toObject()).to.deep.equal(q.toObject());
+
+      parsed = query.AnalyticsQuery.fromString(q.toString());
+      expect(parsed.all_versions).to.be.true;
+    });
+
+    it('tracks parsed filters for detecting contradictions', function() {
+      let q = DataQuery.fromString('search[0]=size%3A%3E100');
+      expect(q.search).to.deep.equal(['size:>100']);
+      expectQueryError(() => q.whereLessThan('size', 50));
+    });
+
+    it('rejects unsupported parameters and sort keys', function() {
+      expectQueryError(() => JobsQuery.fromObject({color: 'red'}));
+      expectQueryError(() => JobsQuery.fromObject({sort: 'name:up'}));
+      expectQueryError(() => JobsQuery.fromObject({fields: ['color']}));
+      expectQueryError(() => query.BaseQuery.fromObject({}));
+
+      let q = JobsQuery.fromObject(
+        {color: 'red', fields: ['color', 'name']}, {strict: false});
+      expect(q.fields).to.deep.equal(['name']);
+      expect(q).to.not.have.property('color');
+    });
+  });
+
+  describe('#evaluate()', function() {
+    const RECORDS = [
+      {id: '1', name: 'Detect cars', state: 'COMPLETE', archived: false,
+        upload_date: '2019-01-03T00:00:00Z'},
+      {id: '2', name: 'detect people', state: 'FAILED', archived: true,
+        upload_date: '2019-01-01T00:00:00Z'},
+      {id: '3', name: 'Track cars', state: 'RUNNING', archived: false},
+      {id: '4', name: 'detect bikes', state: 'COMPLETE', archived: false,
+        upload_date: '2019-01-02T00:00:00Z'},
+    ];
+
+    function ids(records) {
+      return records.map((record) => record.id);
+    }
+
+    it('matches searches ignoring case', function() {
+      let q = new JobsQuery().addSearch('name', 'DETECT');
+      expect(ids(q.evaluate(RECORDS))).to.deep.equal(['1', '2', '4']);
+      q = new JobsQuery().addSearchOr('name', ['people', 'track']);
+      expect(ids(q.evaluate(RECORDS))).to.deep.equal(['2', '3']);
+      q = new JobsQuery().addSearchOverAllFields('running');
+      expect(ids(q.evaluate(RECORDS))).to.deep.equal(['3']);
+    });
+
+    it('requires all searches to match', function() {
+      let q = new JobsQuery()
+        .addSearch('name', 'cars')
+        .addSearch('state', 'COMPLETE');
+      expect(ids(q.evaluate(RECORDS))).to.deep.equal(['1']);
+    });
+
+    it('applies typed filters', function() {
+      let q = new JobsQuery().whereAfter('upload_date', '2019-01-01');
+      expect(ids(q.evaluate(RECORDS))).to.deep.equal(['1', '4']);
+      q = new JobsQuery().whereEquals('state', 'COMPLETE')
+        .whereEquals('archived', false);
+      expect(ids(q.evaluate(RECORDS))).to.deep.equal(['1', '4']);
+      q = new DataQuery().whereBetween('size', 10, 20);
+      let records = [{id: 'a', size: 5}, {id: 'b', size: 10}, {id: 'c'}];
+      expect(ids(q.evaluate(records))).to.deep.equal(['b']);
+    });
+
+    it('sorts by multiple keys with missing values last', function() {
+      let q = new JobsQuery().sortBy('state', false).thenBy('upload_date');
+      expect(ids(q.evaluate(RECORDS))).to.deep.equal(['1', '4', '2', '3']);
+      q = new JobsQuery().sortBy('upload_date', false);
+      expect(ids(q.evaluate(RECORDS))).to.deep.equal(['2', '4', '1', '3']);
+    });
+
+    it('preserves the order of records with equal sort keys', function() {
+      let q = new JobsQuery().sortBy('archived', false);
+      expect(ids(q.evaluate(RECORDS))).to.deep.equal(['1', '3', '4', '2']);
+    });
+
+    it('applies offsets, limits, and fields', function() {
+      let q = new JobsQuery()
+        .addFields(['id', 'upload_date'])
+        .sortBy('id')
+        .setOffset(1)
+        .setLimit(2);
+      expect(q.evaluate(RECORDS)).to.deep.equal([
+        {id: '3'},
+        {id: '2', upload_date: '2019-01-01T00:00:00Z'},
+      ]);
+      expect(new JobsQuery().evaluate(RECORDS)[0]).to.equal(RECORDS[0]);
+    });
+  });
+});
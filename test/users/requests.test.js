@@ -0,0 +1,516 @@
+/**
+ * Tests for the users/requests module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const stream = require('stream');
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+const requests = require('../../lib/users/requests.js');
+const utils = require('../../lib/users/utils.js');
+
+const RetryPolicy = requests.RetryPolicy;
+
+describe('RetryPolicy', function() {
+  let sandbox;
+
+  beforeEach(function() {
+    sandbox = sinon.sandbox.create();
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  describe('#getDelay()', function() {
+    it('doubles the delay after each attempt', function() {
+      let policy = new RetryPolicy({baseDelay: 100, jitter: 0});
+      expect(policy.getDelay(1)).to.equal(100);
+      expect(policy.getDelay(2)).to.equal(200);
+      expect(policy.getDelay(3)).to.equal(400);
+    });
+
+    it('caps the delay at maxDelay', function() {
+      let policy = new RetryPolicy({baseDelay: 100, maxDelay: 250, jitter: 0});
+      expect(policy.getDelay(3)).to.equal(250);
+      expect(policy.getDelay(10)).to.equal(250);
+    });
+
+    it('randomizes the given fraction of the delay', function() {
+      let policy = new RetryPolicy({baseDelay: 1000, jitter: 0.5});
+      sandbox.stub(Math, 'random').returns(1);
+      expect(policy.getDelay(1)).to.equal(500);
+      Math.random.returns(0);
+      expect(policy.getDelay(1)).to.equal(1000);
+    });
+
+    it('honors Retry-After seconds on 429 and 503 responses', function() {
+      let policy = new RetryPolicy({baseDelay: 100, jitter: 0});
+      let headers = {'retry-after': '3'};
+      expect(policy.getDelay(1, {statusCode: 429, headers})).to.equal(3000);
+      expect(policy.getDelay(1, {statusCode: 503, headers})).to.equal(3000);
+    });
+
+    it('honors Retry-After dates', function() {
+      sandbox.useFakeTimers(Date.parse('2019-01-01T00:00:00Z'));
+      let policy = new RetryPolicy({jitter: 0});
+      let res = {
+        statusCode: 503,
+        headers: {'retry-after': 'Tue, 01 Jan 2019 00:00:05 GMT'},
+      };
+      expect(policy.getDelay(1, res)).to.equal(5000);
+      res.headers['retry-after'] = 'Mon, 31 Dec 2018 23:59:00 GMT';
+      expect(policy.getDelay(1, res)).to.equal(0);
+    });
+
+    it('ignores Retry-After on other responses', function() {
+      let policy = new RetryPolicy({baseDelay: 100, jitter: 0});
+      let res = {statusCode: 500, headers: {'retry-after': '3'}};
+      expect(policy.getDelay(1, res)).to.equal(100);
+    });
+
+    it('ignores invalid Retry-After values', function() {
+      let policy = new RetryPolicy({baseDelay: 100, jitter: 0});
+      let res = {statusCode: 429, headers: {'retry-after': 'soon'}};
+      expect(policy.getDelay(2, res)).to.equal(200);
+    });
+
+    it('clamps negative Retry-After values to zero', function() {
+      let policy = new RetryPolicy({jitter: 0});
+      let res = {statusCode: 429, headers: {'retry-after': '-5'}};
+      expect(policy.getDelay(1, res)).to.equal(0);
+    });
+  });
+
+  describe('#isRetryableError()', function() {
+    it('retries transient network errors', function() {
+      let policy = new RetryPolicy();
+      expect(policy.isRetryableError({code: 'ECONNRESET'})).to.be.true;
+      expect(policy.isRetryableError({code: 'ENOENT'})).to.be.false;
+      expect(policy.isRetryableError(null)).to.be.false;
+    });
+  });
+
+  describe('#isRetryableResponse()', function() {
+    it('retries the configured status codes', function() {
+      let policy = new RetryPolicy({retryStatusCodes: [503]});
+      expect(policy.isRetryableResponse({statusCode: 503})).to.be.true;
+      expect(policy.isRetryableResponse({statusCode: 500})).to.be.false;
+    });
+  });
+
+  describe('.from()', function() {
+    it('returns RetryPolicy instances unchanged', function() {
+      let policy = new RetryPolicy();
+      expect(RetryPolicy.from(policy)).to.equal(policy);
+    });
+
+    it('creates a RetryPolicy from options', function() {
+      let policy = RetryPolicy.from({maxAttempts: 5});
+      expect(policy).to.be.an.instanceof(RetryPolicy);
+      expect(policy.maxAttempts).to.equal(5);
+      expect(RetryPolicy.from().maxAttempts).to.equal(3);
+    });
+  });
+});
+
+describe('Session', function() {
+  function fakeTransport(responses) {
+    let transport = {calls: 0};
+    transport.send = function() {
+      let res = responses[Math.min(transport.calls++, responses.length - 1)];
+      return (res instanceof Error) ? Promise.reject(res) :
+        Promise.resolve(res);
+    };
+    return transport;
+  }
+
+  it('retries retryable responses of idempotent requests', async function() {
+    let transport = fakeTransport([
+      {statusCode: 503, headers: {}, body: ''},
+      {statusCode: 200, headers: {}, body: 'ok'},
+    ]);
+    let session = new requests.Session({
+      transport, retry: {baseDelay: 1, jitter: 0}});
+    expect(await session.get('http://test')).to.equal('ok');
+    expect(transport.calls).to.equal(2);
+  });
+
+  it('retries retryable network errors', async function() {
+    let err = new Error('socket hang up');
+    err.code = 'ECONNRESET';
+    let transport = fakeTransport([err, {statusCode: 200, body: 'ok'}]);
+    let session = new requests.Session({
+      transport, retry: {baseDelay: 1, jitter: 0}});
+    expect(await session.get('http://test')).to.equal('ok');
+    expect(transport.calls).to.equal(2);
+  });
+
+  it('does not retry non-idempotent requests by default', async function() {
+    let transport = fakeTransport([
+      {statusCode: 503, headers: {}, body: ''},
+      {statusCode: 200, headers: {}, body: 'ok'},
+    ]);
+    let session = new requests.Session({
+      transport, retry: {baseDelay: 1, jitter: 0}});
+    let err = await session.post('http://test').catch((e) => e);
+    expect(err).to.be.an.instanceof(requests.ServerError);
+    expect(transport.calls).to.equal(1);
+  });
+
+  it('does not retry pipes after data is written', async function() {
+    let calls = 0;
+    let dest;
+    let transport = {
+      stream: function() {
+        calls++;
+        let body = new stream.PassThrough();
+        body.write('partial');
+        setImmediate(() => {
+          let err = new Error('socket hang up');
+          err.code = 'ECONNRESET';
+          body.emit('error', err);
+        });
+        return Promise.resolve({statusCode: 200, headers: {}, body});
+      },
+    };
+    let session = new requests.Session({
+      transport, retry: {baseDelay: 1, jitter: 0}});
+    let err = await session.pipe('http://test', function() {
+      dest = new stream.PassThrough();
+      return dest;
+    }).catch((e) => e);
+    expect(err.code).to.equal('ECONNRESET');
+    expect(calls).to.equal(1);
+    expect(dest.destroyed).to.be.true;
+  });
+
+  it('retries resumable pipes after data is written', async function() {
+    let ranges = [];
+    let transport = {
+      stream: function(req) {
+        ranges.push(req.headers['Range']);
+        let body = new stream.PassThrough();
+        if (ranges.length === 1) {
+          body.write('part');
+          setImmediate(function() {
+            let err = new Error('socket hang up');
+            err.code = 'ECONNRESET';
+            body.emit('error', err);
+          });
+        } else {
+          body.end('ial');
+        }
+        return Promise.resolve({statusCode: 206, headers: {}, body});
+      },
+    };
+    let session = new requests.Session({
+      transport, retry: {baseDelay: 1, jitter: 0}});
+    let chunks = [];
+    let headers = () => Promise.resolve(
+      {'Range': `bytes=${chunks.join('').length}-`});
+    await session.pipe('http://test', function() {
+      return new stream.Writable({
+        write: function(chunk, encoding, callback) {
+          chunks.push(chunk.toString());
+          callback();
+        },
+      });
+    }, headers, {resumable: true});
+    expect(ranges).to.deep.equal(['bytes=0-', 'bytes=4-']);
+    expect(chunks.join('')).to.equal('partial');
+  });
+
+  it('merges headers whose names differ only in case', async function() {
+    let sent;
+    let transport = {
+      send: function(req) {
+        sent = req;
+        return Promise.resolve({statusCode: 200, headers: {}, body: 'ok'});
+      },
+    };
+    let session = new requests.Session({transport});
+    await session.get('http://test', {
+      'range': 'bytes=0-',
+      'Authorization': 'Bearer key',
+      'Range': 'bytes=10-',
+    });
+    expect(sent.headers).to.deep.equal({
+      'Authorization': 'Bearer key',
+      'Range': 'bytes=10-',
+    });
+  });
+
+  it('times out attempts that take too long', async function() {
+    let signals = [];
+    let transport = {
+      send: function(req, signal) {
+        signals.push(signal);
+        return new Promise(() => {});
+      },
+    };
+    let session = new requests.Session({
+      transport, retry: {maxAttempts: 2, baseDelay: 1, jitter: 0}});
+    let err = await session.get('http://test', {}, {timeout: 10})
+      .catch((e) => e);
+    expect(err).to.be.an.instanceof(utils.APITimeoutError);
+    expect(err.code).to.equal('ETIMEDOUT');
+    expect(signals).to.have.lengthOf(2);
+    signals.forEach((signal) => expect(signal.aborted).to.be.true);
+  });
+
+  it('does not time out pipes while the body is transferred',
+    async function() {
+      let transport = {
+        stream: function() {
+          let body = new stream.PassThrough();
+          body.write('first');
+          setTimeout(() => body.end('last'), 50);
+          return Promise.resolve({statusCode: 200, headers: {}, body});
+        },
+      };
+      let session = new requests.Session({transport});
+      let chunks = [];
+      let dest = new stream.Writable({
+        write: function(chunk, encoding, callback) {
+          chunks.push(chunk.toString());
+          callback();
+        },
+      });
+      let res = await session.pipe('http://test', dest, {}, {timeout: 10});
+      expect(res.statusCode).to.equal(200);
+      expect(chunks.join('')).to.equal('firstlast');
+    });
+
+  it('aborts requests and pending retries', async function() {
+    let controller = new AbortController();
+    let signal;
+    let transport = {
+      send: function(req, transportSignal) {
+        signal = transportSignal;
+        setImmediate(() => controller.abort());
+        return new Promise(() => {});
+      },
+    };
+    let session = new requests.Session({transport});
+    let err = await session.get('http://test', {}, {signal: controller.signal})
+      .catch((e) => e);
+    expect(err).to.be.an.instanceof(utils.APIAbortError);
+    expect(signal.aborted).to.be.true;
+
+    transport = fakeTransport([{statusCode: 503, headers: {}, body: ''}]);
+    session = new requests.Session({
+      transport, retry: {baseDelay: 1000, jitter: 0}});
+    controller = new AbortController();
+    let promise = session.get('http://test', {}, {signal: controller.signal});
+    setTimeout(() => controller.abort(), 10);
+    err = await promise.catch((e) => e);
+    expect(err).to.be.an.instanceof(utils.APIAbortError);
+    expect(transport.calls).to.equal(1);
+
+    err = await session.get('http://test', {}, {signal: controller.signal})
+      .catch((e) => e);
+    expect(err).to.be.an.instanceof(utils.APIAbortError);
+    expect(transport.calls).to.equal(1);
+  });
+
+  it('stops after maxAttempts', async function() {
+    let transport = fakeTransport([{statusCode: 500, headers: {}, body: ''}]);
+    let session = new requests.Session({
+      transport, retry: {maxAttempts: 3, baseDelay: 1, jitter: 0}});
+    let err = await session.get('http://test').catch((e) => e);
+    expect(err.statusCode).to.equal(500);
+    expect(transport.calls).to.equal(3);
+  });
+});
+
+describe('Session#use()', function() {
+  function recordingTransport(log) {
+    let transport = {requests: []};
+    transport.send = function(req) {
+      log.push('send');
+      transport.requests.push(req);
+      return Promise.resolve({statusCode: 200, headers: {}, body: 'ok'});
+    };
+    return transport;
+  }
+
+  it('calls middleware in the order in which it was registered',
+    async function() {
+      let log = [];
+      let session = new requests.Session({
+        transport: recordingTransport(log)});
+      ['a', 'b'].forEach(function(name) {
+        session.use(async function(req, next) {
+          log.push(`${name}:before`);
+          let res = await next();
+          log.push(`${name}:after`);
+          return res;
+        });
+      });
+      expect(await session.get('http://test')).to.equal('ok');
+      expect(log).to.deep.equal(
+        ['a:before', 'b:before', 'send', 'b:after', 'a:after']);
+    });
+
+  it('lets middleware short-circuit requests', async function() {
+    let log = [];
+    let transport = recordingTransport(log);
+    let session = new requests.Session({transport});
+    session.use(() => ({statusCode: 200, headers: {}, body: 'cached'}));
+    session.use(function(req, next) {
+      log.push('unreachable');
+      return next();
+    });
+    expect(await session.get('http://test')).to.equal('cached');
+    expect(log).to.be.empty;
+
+    session = new requests.Session({transport});
+    session.use(() => ({statusCode: 404, headers: {}, body: ''}));
+    let err = await session.get('http://test').catch((e) => e);
+    expect(err).to.be.an.instanceof(requests.NotFoundError);
+  });
+
+  it('lets middleware modify and replace requests', async function() {
+    let transport = recordingTransport([]);
+    let session = new requests.Session({transport});
+    session.use(function(req, next) {
+      req.headers['x-first'] = '1';
+      return next();
+    });
+    session.use(function(req, next) {
+      return next(Object.assign({}, req, {uri: 'http://other'}));
+    });
+    await session.get('http://test', {'x-original': '0'});
+    expect(transport.requests).to.have.lengthOf(1);
+    expect(transport.requests[0].method).to.equal('GET');
+    expect(transport.requests[0].uri).to.equal('http://other');
+    expect(transport.requests[0].headers).to.deep.equal(
+      {'x-original': '0', 'x-first': '1'});
+  });
+
+  it('lets middleware modify and replace responses', async function() {
+    let session = new requests.Session({transport: recordingTransport([])});
+    session.use(async function(req, next) {
+      let res = await next();
+      res.body = res.body.toUpperCase();
+      return res;
+    });
+    expect(await session.get('http://test')).to.equal('OK');
+
+    session.use(async function(req, next) {
+      await next();
+      return {statusCode: 503, headers: {}, body: ''};
+    });
+    let err = await session.get('http://test', {}, {idempotent: false})
+      .catch((e) => e);
+    expect(err).to.be.an.instanceof(requests.ServerError);
+  });
+
+  it('calls middleware for every attempt', async function() {
+    let transport = {
+      calls: 0,
+      send: () => Promise.resolve(transport.calls++ ?
+        {statusCode: 200, headers: {}, body: 'ok'} :
+        {statusCode: 503, headers: {}, body: ''}),
+    };
+    let session = new requests.Session({
+      transport, retry: {baseDelay: 1, jitter: 0}});
+    let statusCodes = [];
+    session.use(async function(req, next) {
+      let res = await next();
+      statusCodes.push(res.statusCode);
+      return res;
+    });
+    expect(await session.get('http://test')).to.equal('ok');
+    expect(statusCodes).to.deep.equal([503, 200]);
+  });
+
+  it('rejects middleware that is not a function', function() {
+    let session = new requests.Session({transport: recordingTransport([])});
+    expect(() => session.use('middleware')).to.throw(TypeError);
+  });
+});
+
+describe('APIError', function() {
+  describe('.fromResponseBody()', function() {
+    it('parses JSON error bodies', function() {
+      let body = JSON.stringify({error: {message: 'Bad data', code: 400}});
+      let err = requests.APIError.fromResponseBody(body, {
+        statusCode: 400, method: 'POST', uri: 'http://test/data'});
+      expect(err).to.be.an.instanceof(requests.ValidationError);
+      expect(err.message).to.equal('Bad data');
+      expect(err.code).to.equal(400);
+      expect(err.statusCode).to.equal(400);
+      expect(err.method).to.equal('POST');
+      expect(err.uri).to.equal('http://test/data');
+      expect(err.body).to.equal(body);
+    });
+
+    it('parses already-parsed JSON error bodies', function() {
+      let body = {error: {message: 'Missing', code: 'NOT_FOUND'}};
+      let err = requests.APIError.fromResponseBody(body, {statusCode: 404});
+      expect(err).to.be.an.instanceof(requests.NotFoundError);
+      expect(err.code).to.equal('NOT_FOUND');
+      expect(err.statusCode).to.equal(404);
+    });
+
+    it('supports HTML error pages', function() {
+      let body = '<html><body><h1>502 Bad Gateway</h1></body></html>';
+      let err = requests.APIError.fromResponseBody(body, {statusCode: 502});
+      expect(err).to.be.an.instanceof(requests.ServerError);
+      expect(err.message).to.equal('Request failed with status code 502');
+      expect(err.code).to.equal(502);
+      expect(err.body).to.equal(body);
+    });
+
+    it('supports empty bodies', function() {
+      let err = requests.APIError.fromResponseBody('', {statusCode: 401});
+      expect(err).to.be.an.instanceof(requests.AuthenticationError);
+      expect(err.message).to.equal('Request failed with status code 401');
+
+      err = requests.APIError.fromResponseBody(undefined);
+      expect(err.constructor).to.equal(requests.APIError);
+      expect(err.message).to.equal('Request failed');
+      expect(err.statusCode).to.be.null;
+    });
+
+    it('uses the error code when no status code is given', function() {
+      let body = JSON.stringify({error: {message: 'Denied', code: 403}});
+      let err = requests.APIError.fromResponseBody(body);
+      expect(err).to.be.an.instanceof(requests.PermissionError);
+      expect(err.statusCode).to.equal(403);
+    });
+
+    it('records the Retry-After delay of rate limit errors', function() {
+      let err = requests.APIError.fromResponseBody('', {
+        statusCode: 429, retryAfter: 2000});
+      expect(err).to.be.an.instanceof(requests.RateLimitError);
+      expect(err.retryAfter).to.equal(2000);
+    });
+  });
+
+  it('is raised for unsuccessful responses', async function() {
+    let transport = {
+      send: () => Promise.resolve({
+        statusCode: 503,
+        headers: {'retry-after': '1'},
+        body: '<html>Service Unavailable</html>',
+      }),
+    };
+    let session = new requests.Session({transport, retry: {maxAttempts: 1}});
+    let err = await session.get('http://test/jobs').catch((e) => e);
+    expect(err).to.be.an.instanceof(requests.ServerError);
+    expect(err.method).to.equal('GET');
+    expect(err.uri).to.equal('http://test/jobs');
+    expect(err.headers['retry-after']).to.equal('1');
+    expect(err.toString()).to.equal(
+      'ServerError: 503: Request failed with status code 503');
+  });
+});
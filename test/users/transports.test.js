@@ -0,0 +1,181 @@
+/**
+ * Tests for the users/transports module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+
+const expect = require('chai').expect;
+
+const api = require('../../lib/users/api.js');
+const auth = require('../../lib/users/auth.js');
+const query = require('../../lib/users/query.js');
+const requests = require('../../lib/users/requests.js');
+const transports = require('../../lib/users/transports.js');
+
+// The global fetch() is only available on Node.js 18+
+const describeFetch = (typeof fetch === 'function') ? describe : describe.skip;
+
+describeFetch('FetchTransport', function() {
+  let server;
+  let baseURL;
+  let received;
+  let tmpDir;
+
+  before(function(done) {
+    server = http.createServer(function(req, res) {
+      let chunks = [];
+      req.on('data', (chunk) => chunks.push(chunk));
+      req.on('end', function() {
+        received = {
+          method: req.method,
+          url: req.url,
+          headers: req.headers,
+          body: Buffer.concat(chunks).toString(),
+        };
+        if (req.url === '/download') {
+          res.write('hello ');
+          res.end('world');
+          return;
+        }
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ok: true}));
+      });
+    });
+    server.listen(0, '127.0.0.1', function() {
+      baseURL = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  beforeEach(function() {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel51-'));
+  });
+
+  afterEach(function() {
+    fs.readdirSync(tmpDir).forEach((f) => fs.unlinkSync(path.join(tmpDir, f)));
+    fs.rmdirSync(tmpDir);
+  });
+
+  it('streams file streams in multipart forms', async function() {
+    let filePath = path.join(tmpDir, 'video.mp4');
+    fs.writeFileSync(filePath, 'x'.repeat(100000));
+    let transport = new transports.FetchTransport();
+    let res = await transport.send({
+      method: 'POST',
+      uri: baseURL + '/data',
+      headers: {},
+      formData: {
+        file: fs.createReadStream(filePath),
+        data_ttl: '2030-01-01',
+      },
+    });
+    expect(res.statusCode).to.equal(200);
+    let contentType = received.headers['content-type'];
+    expect(contentType).to.match(/^multipart\/form-data; boundary=/);
+    let boundary = contentType.split('boundary=')[1];
+    expect(received.body).to.include(
+      'Content-Disposition: form-data; name="file"; filename="video.mp4"');
+    expect(received.body).to.include('x'.repeat(100000));
+    expect(received.body).to.include(
+      'Content-Disposition: form-data; name="data_ttl"\r\n\r\n2030-01-01');
+    expect(received.body.endsWith(`--${boundary}--\r\n`)).to.be.true;
+  });
+
+  it('streams wrapped streams with explicit filenames', async function() {
+    let transport = new transports.FetchTransport();
+    let value = new stream.PassThrough();
+    value.end('{"a": 1}');
+    await transport.send({
+      method: 'POST',
+      uri: baseURL + '/jobs',
+      headers: {},
+      formData: {
+        file: {value, options: {filename: 'job.json'}},
+      },
+    });
+    expect(received.body).to.include('filename="job.json"');
+    expect(received.body).to.include('{"a": 1}');
+  });
+
+  it('sends in-memory values as regular forms', async function() {
+    let transport = new transports.FetchTransport();
+    await transport.send({
+      method: 'POST',
+      uri: baseURL + '/jobs',
+      headers: {},
+      formData: {
+        file: {
+          value: '{"analytic": "test"}',
+          options: {filename: 'job.json', contentType: 'application/json'},
+        },
+        job_name: 'test',
+      },
+    });
+    expect(received.body).to.include('filename="job.json"');
+    expect(received.body).to.include('Content-Type: application/json');
+    expect(received.body).to.include('{"analytic": "test"}');
+  });
+
+  it('exposes streamed responses as ReadableStreams', async function() {
+    let transport = new transports.FetchTransport();
+    let res = await transport.stream({
+      method: 'GET', uri: baseURL + '/download', headers: {}});
+    expect(res.body.getReader).to.be.a('function');
+    expect(await new Response(res.body).text()).to.equal('hello world');
+  });
+
+  it('pipes streamed responses into Node streams', async function() {
+    let session = new requests.Session({
+      transport: new transports.FetchTransport()});
+    let outputPath = path.join(tmpDir, 'download.txt');
+    let chunks = [];
+    await session.pipe(
+      baseURL + '/download', () => fs.createWriteStream(outputPath), {},
+      {onData: (chunk) => chunks.push(chunk)});
+    expect(fs.readFileSync(outputPath, 'utf8')).to.equal('hello world');
+    expect(Buffer.concat(chunks).toString()).to.equal('hello world');
+  });
+
+  it('sends GET bodies as query strings', async function() {
+    let transport = new transports.FetchTransport();
+    await transport.send({
+      method: 'GET',
+      uri: baseURL + '/jobs/list',
+      headers: {'content-type': 'application/json'},
+      body: JSON.stringify({limit: 10, fields: ['id', 'name']}),
+    });
+    expect(received.method).to.equal('GET');
+    expect(received.url).to.equal(
+      '/jobs/list?limit=10&fields%5B0%5D=id&fields%5B1%5D=name');
+    expect(received.headers['content-type']).to.be.undefined;
+  });
+
+  it('runs queries of API sessions', async function() {
+    let token = auth.Token.fromPrivateKey('private-key', baseURL);
+    let client = new api.API(token, {
+      transport: new transports.FetchTransport()});
+    let jobsQuery = new query.JobsQuery()
+      .addFields(['id', 'name'])
+      .addSearch('name', 'test')
+      .sortBy('upload_date')
+      .setLimit(10);
+    let result = await client.queryJobs(jobsQuery);
+    expect(result).to.deep.equal({ok: true});
+    expect(received.method).to.equal('GET');
+    expect(received.url).to.equal('/v1/jobs?' + jobsQuery.toString());
+    expect(received.body).to.equal('');
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Tests for the users/uploads module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const expect = require('chai').expect;
+
+const requests = require('../../lib/users/requests.js');
+const uploads = require('../../lib/users/uploads.js');
+
+const ChunkedUpload = uploads.ChunkedUpload;
+
+const CONTENT = '0123456789';
+const URI = 'https://api/data/uploads';
+
+// A fake session that implements the chunked upload protocol
+function fakeSession() {
+  let session = {
+    created: [],
+    parts: {},
+    completed: [],
+    puts: [],
+    active: 0,
+    maxActive: 0,
+    failures: {},
+  };
+  let fail = function(key) {
+    let err = session.failures[key];
+    delete session.failures[key];
+    return err;
+  };
+  session.post = function(uri, headers, options) {
+    let err = fail(uri);
+    if (err) {
+      return Promise.reject(err);
+    }
+    if (uri === URI) {
+      let id = `upload-${session.created.length + 1}`;
+      session.created.push(options.body);
+      session.parts[id] = {};
+      return Promise.resolve({
+        upload: {id, part_size: options.body.size_override},
+      });
+    }
+    let id = uri.split('/').slice(-2)[0];
+    session.completed.push({id, parts: options.body.parts});
+    return Promise.resolve({data: {id: 'data-id'}});
+  };
+  session.put = function(uri, headers, options) {
+    let [id, , number] = uri.split('/').slice(-3);
+    session.puts.push(Number(number));
+    session.active++;
+    session.maxActive = Math.max(session.maxActive, session.active);
+    return new Promise(function(resolve, reject) {
+      setImmediate(function() {
+        session.active--;
+        let err = fail(`part-${number}`) ||
+          (session.parts[id] ? null : new requests.NotFoundError(
+            'Upload not found', 404));
+        if (err) {
+          return reject(err);
+        }
+        session.parts[id][number] = options.body.toString();
+        resolve(JSON.stringify({part: {number, etag: `etag-${number}`}}));
+      });
+    });
+  };
+  return session;
+}
+
+describe('ChunkedUpload', function() {
+  let session;
+  let tmpDir;
+  let stateDir;
+  let filePath;
+
+  beforeEach(function() {
+    session = fakeSession();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'voxel51-'));
+    stateDir = path.join(tmpDir, 'state');
+    filePath = path.join(tmpDir, 'video.mp4');
+    fs.writeFileSync(filePath, CONTENT);
+  });
+
+  afterEach(function() {
+    if (fs.existsSync(stateDir)) {
+      fs.readdirSync(stateDir).forEach(
+        (f) => fs.unlinkSync(path.join(stateDir, f)));
+      fs.rmdirSync(stateDir);
+    }
+    fs.readdirSync(tmpDir).forEach((f) => fs.unlinkSync(path.join(tmpDir, f)));
+    fs.rmdirSync(tmpDir);
+  });
+
+  function createUpload(options={}) {
+    return new ChunkedUpload(session, URI, {}, filePath, Object.assign({
+      partSize: 4,
+      concurrency: 2,
+      stateDir,
+    }, options));
+  }
+
+  it('uploads files in parts', async function() {
+    let body = await createUpload().upload({data_ttl: '2030-01-01'});
+    expect(body).to.deep.equal({data: {id: 'data-id'}});
+    expect(session.created).to.deep.equal([{
+      filename: 'video.mp4',
+      size: 10,
+      part_size: 4,
+      data_ttl: '2030-01-01',
+    }]);
+    expect(session.parts['upload-1']).to.deep.equal(
+      {1: '0123', 2: '4567', 3: '89'});
+    expect(session.maxActive).to.be.at.most(2);
+    expect(session.completed).to.deep.equal([{
+      id: 'upload-1',
+      parts: [
+        {number: 1, etag: 'etag-1'},
+        {number: 2, etag: 'etag-2'},
+        {number: 3, etag: 'etag-3'},
+      ],
+    }]);
+    expect(fs.readdirSync(stateDir)).to.be.empty;
+  });
+
+  it('uses the part size chosen by the server', async function() {
+    await createUpload().upload({size_override: 6});
+    expect(session.parts['upload-1']).to.deep.equal({1: '012345', 2: '6789'});
+  });
+
+  it('records its state in the state directory', async function() {
+    session.failures['part-3'] = new requests.ValidationError('Bad part', 400);
+    let upload = createUpload();
+    let err = await upload.upload().catch((e) => e);
+    expect(err).to.be.an.instanceof(requests.ValidationError);
+    expect(path.dirname(upload.statePath)).to.equal(stateDir);
+    expect(fs.readdirSync(tmpDir).sort()).to.deep.equal(['state', 'video.mp4']);
+    let state = JSON.parse(fs.readFileSync(upload.statePath));
+    expect(state.upload_id).to.equal('upload-1');
+    expect(state.parts).to.deep.equal({1: 'etag-1', 2: 'etag-2'});
+  });
+
+  it('resumes interrupted uploads from the completed parts',
+    async function() {
+      session.failures['part-2'] = new requests.ValidationError('Bad', 400);
+      await createUpload().upload().catch(() => {});
+      session.puts = [];
+
+      await createUpload().upload();
+      expect(session.created).to.have.lengthOf(1);
+      expect(session.puts).to.deep.equal([2]);
+      expect(session.parts['upload-1']).to.deep.equal(
+        {1: '0123', 2: '4567', 3: '89'});
+      expect(session.completed[0].parts.map((p) => p.number)).to.deep.equal(
+        [1, 2, 3]);
+    });
+
+  it('starts over when the server no longer has the upload',
+    async function() {
+      session.failures['part-2'] = new requests.ValidationError('Bad', 400);
+      await createUpload().upload().catch(() => {});
+      delete session.parts['upload-1'];
+
+      await createUpload().upload();
+      expect(session.created).to.have.lengthOf(2);
+      expect(session.parts['upload-2']).to.deep.equal(
+        {1: '0123', 2: '4567', 3: '89'});
+      expect(session.completed).to.deep.equal([{
+        id: 'upload-2',
+        parts: [
+          {number: 1, etag: 'etag-1'},
+          {number: 2, etag: 'etag-2'},
+          {number: 3, etag: 'etag-3'},
+        ],
+      }]);
+    });
+
+  it('does not resume uploads of modified files', async function() {
+    session.failures['part-2'] = new requests.ValidationError('Bad', 400);
+    await createUpload().upload().catch(() => {});
+    fs.writeFileSync(filePath, CONTENT + 'more');
+
+    await createUpload().upload();
+    expect(session.created).to.have.lengthOf(2);
+    expect(session.completed[0].id).to.equal('upload-2');
+  });
+
+  it('reports servers that do not support chunked uploads',
+    async function() {
+      for (let statusCode of [404, 405, 501]) {
+        session.failures[URI] = requests.APIError.fromResponseBody(
+          '', {statusCode});
+        let err = await createUpload().upload().catch((e) => e);
+        expect(err).to.be.an.instanceof(
+          uploads.ChunkedUploadNotSupportedError);
+      }
+      expect(fs.existsSync(stateDir)).to.be.false;
+
+      let serverError = new requests.ServerError('Unavailable', 503);
+      session.failures[URI] = serverError;
+      expect(await createUpload().upload().catch((e) => e))
+        .to.equal(serverError);
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Tests for the users/utils module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+const utils = require('../../lib/users/utils.js');
+
+const Backoff = utils.Backoff;
+
+function getDelays(backoff, attempts) {
+  let delays = [];
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    delays.push(backoff.getDelay(attempt));
+  }
+  return delays;
+}
+
+describe('Backoff', function() {
+  let sandbox;
+
+  beforeEach(function() {
+    sandbox = sinon.sandbox.create();
+  });
+
+  afterEach(function() {
+    sandbox.restore();
+  });
+
+  it('uses fixed delays by default', function() {
+    expect(getDelays(new Backoff(), 3)).to.deep.equal([5000, 5000, 5000]);
+    expect(getDelays(new Backoff({delay: 100}), 2)).to.deep.equal([100, 100]);
+  });
+
+  it('grows exponential delays up to the maximum delay', function() {
+    let backoff = new Backoff(
+      {strategy: 'exponential', delay: 100, maxDelay: 500});
+    expect(getDelays(backoff, 5)).to.deep.equal([100, 200, 400, 500, 500]);
+    backoff = new Backoff({strategy: 'exponential', delay: 100, factor: 3});
+    expect(getDelays(backoff, 3)).to.deep.equal([100, 300, 900]);
+  });
+
+  it('caps the delays of custom strategies', function() {
+    let strategy = sinon.spy((attempt, elapsed) => attempt * 100 + elapsed);
+    let backoff = new Backoff({strategy, maxDelay: 250});
+    expect(backoff.getDelay(1, 10)).to.equal(110);
+    expect(backoff.getDelay(2, 60)).to.equal(250);
+    expect(strategy.args).to.deep.equal([[1, 10], [2, 60]]);
+  });
+
+  it('randomizes a fraction of each delay', function() {
+    sandbox.stub(Math, 'random').returns(0.5);
+    let backoff = new Backoff({delay: 1000, maxDelay: 800, jitter: 0.5});
+    expect(backoff.getDelay(1)).to.equal(600);
+  });
+
+  it('constructs backoffs from other values', function() {
+    let backoff = new Backoff({delay: 10});
+    expect(Backoff.from(backoff)).to.equal(backoff);
+    expect(Backoff.from(250).getDelay(3)).to.equal(250);
+    expect(Backoff.from(() => 42).getDelay(1)).to.equal(42);
+    expect(getDelays(Backoff.from({strategy: 'exponential', delay: 1}), 3))
+      .to.deep.equal([1, 2, 4]);
+    expect(Backoff.from(undefined).getDelay(1)).to.equal(5000);
+    expect(() => new Backoff({strategy: 'linear'})).to.throw(
+      TypeError, 'Unsupported backoff strategy \'linear\'');
+  });
+});
+
+describe('waitForCondition', function() {
+  it('polls with the delays of the backoff until satisfied',
+    async function() {
+      let condition = sinon.stub().resolves(false);
+      condition.onCall(3).resolves('done');
+      let backoff = new Backoff({strategy: 'exponential', delay: 1,
+        maxDelay: 3});
+      let getDelay = sinon.spy(backoff, 'getDelay');
+      let polls = [];
+      let result = utils.waitForCondition(
+        condition, ['a', 'b'], backoff, 5000, {
+          onPoll: (poll) => polls.push(poll),
+        });
+      // The first check happens after the function returns
+      expect(condition.called).to.be.false;
+
+      expect(await result).to.equal('done');
+      expect(condition.callCount).to.equal(4);
+      expect(condition.alwaysCalledWithExactly('a', 'b')).to.be.true;
+      expect(getDelay.args.map((args) => args[0])).to.deep.equal([1, 2, 3]);
+      expect(getDelay.returnValues).to.deep.equal([1, 2, 3]);
+      expect(polls.map((poll) => [poll.attempt, poll.value])).to.deep.equal(
+        [[1, false], [2, false], [3, false], [4, 'done']]);
+      polls.forEach((poll) => expect(poll.elapsed).to.be.a('number'));
+    });
+
+  it('uses the isSatisfied function to check values', async function() {
+    let condition = sinon.stub();
+    condition.onCall(0).resolves({state: 'RUNNING'});
+    condition.onCall(1).resolves({state: 'COMPLETE'});
+    let value = await utils.waitForCondition(condition, [], 1, 5000, {
+      isSatisfied: (job) => Promise.resolve(job.state === 'COMPLETE'),
+    });
+    expect(value).to.deep.equal({state: 'COMPLETE'});
+  });
+
+  it('times out with the last value and the elapsed time', async function() {
+    let condition = sinon.stub().resolves({state: 'RUNNING'});
+    let polls = [];
+    let err = await utils.waitForCondition(condition, [], 5, 30, {
+      onPoll: (poll) => polls.push(poll),
+      isSatisfied: (job) => job.state === 'COMPLETE',
+    }).catch((e) => e);
+    expect(err).to.be.an.instanceof(utils.APITimeoutError);
+    expect(err.lastValue).to.deep.equal({state: 'RUNNING'});
+    expect(err.elapsed).to.be.at.least(30);
+    expect(err.message).to.equal(
+      `Maximum wait time exceeded after ${polls.length} attempts in ` +
+      `${err.elapsed}ms`);
+    // The condition is checked one final time at the maximum wait time
+    expect(polls[polls.length - 1].elapsed).to.equal(err.elapsed);
+    expect(polls.every((poll) => poll.value.state === 'RUNNING')).to.be.true;
+  });
+
+  it('annotates errors thrown by the condition', async function() {
+    let condition = sinon.stub().resolves(false);
+    condition.onCall(1).rejects(new Error('Service unavailable'));
+    let err = await utils.waitForCondition(condition, [], 1, 5000)
+      .catch((e) => e);
+    expect(err.message).to.equal('Service unavailable');
+    expect(err.attempt).to.equal(2);
+    expect(err.elapsed).to.be.a('number');
+  });
+});
@@ -0,0 +1,195 @@
+/**
+ * Tests for the users/watcher module.
+ *
+ * Copyright 2017-2019, Voxel51, Inc.<br>
+ * {@link https://voxel51.com voxel51.com}
+ */
+
+'use strict';
+
+const expect = require('chai').expect;
+const sinon = require('sinon');
+
+const jobs = require('../../lib/users/jobs.js');
+const models = require('../../lib/users/models.js');
+const watcher = require('../../lib/users/watcher.js');
+
+const JobState = jobs.JobState;
+const JobWatcher = watcher.JobWatcher;
+
+function response(id, state, fields={}) {
+  return {
+    success: true,
+    response: new models.Job(Object.assign({id, state}, fields)),
+  };
+}
+
+// Runs the watcher until it has completed the given number of polls
+function runPolls(jobWatcher, count) {
+  return new Promise(function(resolve) {
+    let polls = 0;
+    jobWatcher.on('progress', function() {
+      polls++;
+      if (polls === count) {
+        jobWatcher.stop();
+        resolve();
+      }
+    });
+    jobWatcher.start();
+  });
+}
+
+describe('JobWatcher', function() {
+  let api;
+  let events;
+
+  beforeEach(function() {
+    api = {batchGetJobs: sinon.stub()};
+    events = [];
+  });
+
+  function record(jobWatcher) {
+    jobWatcher.on('stateChange', (job, previousState) => events.push(
+      ['stateChange', job.id, job.state, previousState]));
+    jobWatcher.on('running', (job) => events.push(['running', job.id]));
+    jobWatcher.on('complete', (job) => events.push(['complete', job.id]));
+    jobWatcher.on('failed', (job, failureType) => events.push(
+      ['failed', job.id, failureType]));
+    jobWatcher.on('expired', (job) => events.push(['expired', job.id]));
+    return jobWatcher;
+  }
+
+  it('emits events as the states of jobs change', async function() {
+    let jobWatcher = record(new JobWatcher(api, ['a', 'b']));
+    api.batchGetJobs.onCall(0).resolves({
+      a: response('a', JobState.RUNNING),
+      b: response('b', JobState.QUEUED),
+    });
+    api.batchGetJobs.onCall(1).resolves({
+      a: response('a', JobState.COMPLETE),
+      b: response('b', JobState.FAILED, {
+        failure_type: jobs.JobFailureType.USER}),
+    });
+    let summaries = [];
+    jobWatcher.on('progress', (summary) => summaries.push(summary));
+
+    await jobWatcher.poll();
+    expect(events).to.deep.equal([
+      ['stateChange', 'a', JobState.RUNNING, undefined],
+      ['running', 'a'],
+      ['stateChange', 'b', JobState.QUEUED, undefined],
+    ]);
+
+    events = [];
+    await jobWatcher.poll();
+    expect(events).to.deep.equal([
+      ['stateChange', 'a', JobState.COMPLETE, JobState.RUNNING],
+      ['complete', 'a'],
+      ['stateChange', 'b', JobState.FAILED, JobState.QUEUED],
+      ['failed', 'b', jobs.JobFailureType.USER],
+    ]);
+    expect(jobWatcher.getStates()).to.deep.equal(
+      {a: JobState.COMPLETE, b: JobState.FAILED});
+    expect(summaries[1]).to.deep.include({total: 2, done: 2});
+    expect(summaries[1].counts).to.include({COMPLETE: 1, FAILED: 1});
+  });
+
+  it('polls the jobs with one request per poll', async function() {
+    let options = {interval: 1};
+    let jobWatcher = new JobWatcher(api, ['a', 'b', 'c'], options);
+    api.batchGetJobs.onCall(0).resolves({
+      a: response('a', JobState.COMPLETE),
+      b: response('b', JobState.RUNNING),
+      c: response('c', JobState.RUNNING),
+    });
+    api.batchGetJobs.resolves({
+      b: response('b', JobState.RUNNING),
+      c: response('c', JobState.RUNNING),
+    });
+    await runPolls(jobWatcher, 3);
+    expect(api.batchGetJobs.args).to.deep.equal([
+      [['a', 'b', 'c'], options],
+      [['b', 'c'], options],
+      [['b', 'c'], options],
+    ]);
+    expect(jobWatcher.isRunning).to.be.false;
+  });
+
+  it('emits expired events when watching expiration', async function() {
+    let jobWatcher = record(new JobWatcher(
+      api, ['a'], {watchExpiration: true}));
+    api.batchGetJobs.onCall(0).resolves({a: response('a', JobState.COMPLETE, {
+      expiration_date: '2999-01-01T00:00:00.000Z'})});
+    api.batchGetJobs.onCall(1).resolves({a: response('a', JobState.COMPLETE, {
+      expiration_date: '2000-01-01T00:00:00.000Z'})});
+
+    await jobWatcher.poll();
+    expect(events.map((event) => event[0])).to.deep.equal(
+      ['stateChange', 'complete']);
+
+    events = [];
+    await jobWatcher.poll();
+    expect(events).to.deep.equal([['expired', 'a']]);
+
+    // Expired jobs are no longer polled
+    expect(await jobWatcher.poll()).to.deep.equal([]);
+    expect(api.batchGetJobs.callCount).to.equal(2);
+  });
+
+  it('stops watching jobs whose details cannot be fetched', async function() {
+    let jobWatcher = new JobWatcher(api, ['a', 'b']);
+    api.batchGetJobs.resolves({
+      a: response('a', JobState.RUNNING),
+      b: {success: false, message: 'Job not found'},
+    });
+
+    // Errors are ignored when there are no listeners
+    let polled = await jobWatcher.poll();
+    expect(polled.map((job) => job.id)).to.deep.equal(['a']);
+    expect(jobWatcher.jobIds).to.deep.equal(['a']);
+
+    let errors = [];
+    jobWatcher.on('error', (err) => errors.push(err));
+    jobWatcher.add('c');
+    await jobWatcher.poll();
+    expect(errors).to.have.lengthOf(1);
+    expect(errors[0]).to.be.an.instanceof(watcher.JobWatcherError);
+    expect(errors[0].jobId).to.equal('c');
+    expect(errors[0].message).to.equal(
+      'Failed to get details of job c: no response');
+  });
+
+  it('emits failed polls only when there are listeners', async function() {
+    let err = new Error('Service unavailable');
+
+    // Without listeners, failed polls must not be thrown from the timer
+    let quietWatcher = new JobWatcher(api, ['a'], {interval: 1});
+    await new Promise(function(resolve) {
+      api.batchGetJobs.callsFake(function() {
+        if (api.batchGetJobs.callCount === 2) {
+          quietWatcher.stop();
+          setImmediate(resolve);
+        }
+        return Promise.reject(err);
+      });
+      quietWatcher.start();
+    });
+    expect(api.batchGetJobs.callCount).to.equal(2);
+
+    api.batchGetJobs.reset();
+    api.batchGetJobs.rejects(err);
+    let jobWatcher = new JobWatcher(api, ['a'], {interval: 1});
+    let errors = [];
+    await new Promise(function(resolve) {
+      jobWatcher.on('error', function(e) {
+        errors.push(e);
+        if (errors.length === 2) {
+          jobWatcher.stop();
+          resolve();
+        }
+      });
+      jobWatcher.start();
+    });
+    expect(errors).to.deep.equal([err, err]);
+  });
+});